@@ -17,7 +17,8 @@ const requiredEnvVars = [
   'APP_URL', 
   'MONGO_URI',
   'SESSION_SECRET',
-  'RL_CORE_URL'
+  'RL_CORE_URL',
+  'TOKEN_ENCRYPTION_KEYS'
 ];
 
 requiredEnvVars.forEach(envVar => {
@@ -28,6 +29,9 @@ requiredEnvVars.forEach(envVar => {
 });
 
 console.log(`✅ Environment validation passed`);
+if (!process.env.RL_CALLBACK_SECRET && !process.env.RL_JWT_SECRET && !process.env.RL_JWT_PUBLIC_KEY) {
+  console.warn(`⚠️ No RL_CALLBACK_SECRET / RL_JWT_SECRET / RL_JWT_PUBLIC_KEY set – RabbitLoader connections will be rejected`);
+}
 const dbName = (process.env.MONGO_URI.match(/\/([^/?]+)(\?|$)/) || [])[1] || 'unknown';
 console.log(`📦 MongoDB configured for: ${dbName}`);
 console.log(`🔗 RL Core URL: ${process.env.RL_CORE_URL}`);
@@ -39,14 +43,15 @@ const PORT = process.env.PORT || 3000;
 
 // ====== Middleware ======
 // IMPORTANT: Raw body middleware for webhooks MUST come BEFORE bodyParser
-app.use('/webhooks/app/uninstalled', (req, res, next) => {
-  let data = '';
-  req.setEncoding('utf8');
-  req.on('data', chunk => { data += chunk; });
-  req.on('end', () => {
-    req.rawBody = data;
-    next();
-  });
+// (HMAC is computed over the exact bytes Shopify sent)
+app.use('/webhooks', bodyParser.raw({ type: '*/*', limit: '5mb' }), (req, res, next) => {
+  req.rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  try {
+    req.body = req.rawBody.length ? JSON.parse(req.rawBody.toString('utf8')) : {};
+  } catch (err) {
+    req.body = {};
+  }
+  next();
 });
 
 // Handle empty/null bodies gracefully
@@ -111,6 +116,16 @@ mongoose.connect(process.env.MONGO_URI);
 
 mongoose.connection.on("connected", () => {
   console.log("✅ MongoDB connected");
+  // Retries and deliveries left over from a restart
+  require("./utils/webhookPipeline").startWebhookWorker();
+  // Hard-delete uninstalled shops once their retention window passes
+  require("./utils/shopLifecycle").startRetentionPurgeWorker();
+  // Resume crawls interrupted by a restart
+  require("./utils/siteCrawler").startCrawlWorker();
+  // Periodic recrawls per shop cadence
+  require("./utils/crawlScheduler").startCrawlScheduler();
+  // PSI analyses queued by onboarding and the performance routes
+  require("./utils/analysisQueue").startAnalysisWorker();
 });
 
 mongoose.connection.on("error", (err) => {
@@ -129,6 +144,7 @@ const dashboardProxyRoutes = require("./routes/dashboardProxy");
 const performanceRoutes = require("./routes/performance");
 const shopifyCrawler = require('./routes/shopifyCrawler');  // ✅ only once
 const rlReportRoutes = require('./routes/rlReport');
+const opsRoutes = require('./routes/ops');
 
 //
 // ====== Mount Routes ======
@@ -140,13 +156,14 @@ app.use("/api/dashboard", dashboardProxyRoutes);
 app.use("/api/performance", performanceRoutes);
 app.use('/crawler', shopifyCrawler);  // ✅ mounted cleanly
 app.use('/api/rl', rlReportRoutes);
+app.use('/ops', opsRoutes);
 
 
 
 
 // ====== Root Route (Embedded Dashboard) ======
 app.get("/", async (req, res) => {
-  const { shop, host, embedded, hmac, timestamp } = req.query;
+  const { shop, host, embedded, hmac, timestamp, id_token } = req.query;
 
   console.log(`Root route accessed:`, { shop: shop || 'none', embedded: embedded || 'none' });
 
@@ -161,8 +178,16 @@ app.get("/", async (req, res) => {
     const ShopModel = require("./models/Shop");
     const existingShop = await ShopModel.findOne({ shop });
     
-    // If shop doesn't have access token, trigger OAuth
+    // If shop doesn't have access token, install it
     if (!existingShop || !existingShop.access_token) {
+      // Managed installation: trade the embedded session token, no redirect out of the iframe
+      if (id_token) {
+        console.log(`🔐 Fresh install detected for ${shop} – using token exchange`);
+        const params = new URLSearchParams(req.query);
+        return res.redirect(`/shopify/token-exchange?${params.toString()}`);
+      }
+
+      // Legacy fallback
       console.log(`🔐 Fresh install detected for ${shop} – triggering OAuth`);
       return res.redirect(`/shopify/auth?shop=${encodeURIComponent(shop)}&host=${host}`);
     }
@@ -182,44 +207,12 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     app: 'rl-shopify-connector',
     version: '3.0.0',
-    features: ['oauth', 'theme-injection', 'webhooks', 'rl-core-integration'],
+    features: ['oauth', 'token-exchange', 'theme-injection', 'webhooks', 'rl-core-integration'],
     environment: process.env.NODE_ENV || 'development',
     rl_core: process.env.RL_CORE_URL
   });
 });
 
-// ====== DEBUG ROUTE ======
-app.get("/rl/debug/:shop", async (req, res) => {
-  const { shop } = req.params;
-  
-  try {
-    const ShopModel = require("./models/Shop");
-    const shopDomain = shop.endsWith(".myshopify.com") ? shop : `${shop}.myshopify.com`;
-    const shopRecord = await ShopModel.findOne({ shop: shopDomain });
-    
-    if (!shopRecord) {
-      return res.json({ 
-        found: false, 
-        shop: shopDomain,
-        api_token: null,
-        short_id: null
-      });
-    }
-    
-    res.json({
-      found: true,
-      shop: shopRecord.shop,
-      has_access_token: !!shopRecord.access_token,
-      api_token: shopRecord.api_token,
-      short_id: shopRecord.short_id,
-      connected_at: shopRecord.connected_at
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
 // ====== Error Handling ======
 app.use((err, req, res, next) => {
   console.error('❌ Unhandled error:', err);
@@ -0,0 +1,52 @@
+// models/AnalysisQueue.js
+const mongoose = require("mongoose");
+
+const FINISHED_RETENTION_SECONDS = 7 * 24 * 3600; // 7 days
+
+// One PSI analysis request (utils/analysisQueue.js).
+// Status flow: pending -> processing -> done
+//                                   \-> pending (retry) -> ... -> failed
+const AnalysisQueueSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  url: { type: String, required: true },
+  full_url: { type: String, required: true },
+  template: String,
+  strategies: { type: [String], enum: ['mobile', 'desktop'], default: () => ['mobile', 'desktop'] },
+  // shop|url: at most one open (pending / processing) entry per URL
+  dedupe_key: { type: String, required: true },
+  // true while pending or processing, unset once done / failed (the dedupe
+  // index filters on it; $in in partialFilterExpression needs MongoDB 6.0)
+  open: Boolean,
+  source: { type: String, default: 'dashboard' }, // dashboard | onboarding
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'done', 'failed'],
+    default: 'pending'
+  },
+  priority: { type: Number, default: 0 }, // higher runs first
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  locked_until: Date,
+  last_error: String,
+
+  result_id: mongoose.Schema.Types.ObjectId, // PagePerformance
+  created_at: { type: Date, default: Date.now },
+  started_at: Date,
+  completed_at: Date
+}, {
+  timestamps: true
+});
+
+AnalysisQueueSchema.index(
+  { dedupe_key: 1 },
+  { unique: true, partialFilterExpression: { open: true } }
+);
+// Worker picks the highest priority due entry
+AnalysisQueueSchema.index({ status: 1, priority: -1, next_attempt_at: 1 });
+AnalysisQueueSchema.index({ shop: 1, url: 1, status: 1 });
+// Finished entries are dropped after the retention window (only done and
+// failed entries have completed_at)
+AnalysisQueueSchema.index({ completed_at: 1 }, { expireAfterSeconds: FINISHED_RETENTION_SECONDS });
+
+module.exports = mongoose.models.AnalysisQueue || mongoose.model("AnalysisQueue", AnalysisQueueSchema);
@@ -0,0 +1,41 @@
+// models/AuthNonce.js
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Single-use nonces for redirect flows (Shopify OAuth state, etc.)
+const AuthNonceSchema = new mongoose.Schema({
+  nonce: { type: String, unique: true, required: true },
+  shop: { type: String, required: true },
+  purpose: { type: String, required: true },
+  expires_at: { type: Date, required: true }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Mongo removes documents once expires_at has passed
+AuthNonceSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Create and persist a fresh nonce for this shop/purpose
+AuthNonceSchema.statics.issue = async function(shop, purpose, ttlMs = DEFAULT_TTL_MS) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await this.create({
+    nonce,
+    shop,
+    purpose,
+    expires_at: new Date(Date.now() + ttlMs)
+  });
+  return nonce;
+};
+
+// Atomically remove the nonce; returns true only on the first valid use.
+// The TTL monitor runs once a minute, so expiry is re-checked here.
+AuthNonceSchema.statics.consume = async function(nonce, shop, purpose) {
+  if (!nonce || typeof nonce !== 'string') return false;
+
+  const record = await this.findOneAndDelete({ nonce, shop, purpose });
+  return !!record && record.expires_at > new Date();
+};
+
+module.exports = mongoose.models.AuthNonce || mongoose.model("AuthNonce", AuthNonceSchema);
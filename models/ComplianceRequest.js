@@ -0,0 +1,45 @@
+// models/ComplianceRequest.js
+const mongoose = require("mongoose");
+
+// Audit trail for mandatory GDPR webhooks (customers/data_request,
+// customers/redact, shop/redact). Kept after the shop itself is purged
+// so we can prove each request was handled.
+const ComplianceRequestSchema = new mongoose.Schema({
+  topic: {
+    type: String,
+    enum: ['customers/data_request', 'customers/redact', 'shop/redact'],
+    required: true
+  },
+  shop: { type: String, required: true },
+  shop_id: Number,
+  webhook_id: { type: String, index: true },
+  // Ids only: the customer's email / phone are what a redact asks us to erase
+  customer: {
+    id: Number
+  },
+  orders: [Number],
+  data_request_id: Number,
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'completed', 'failed'],
+    default: 'received'
+  },
+  // What was done, e.g. { collection: 'shops', deleted: 1 }
+  actions: [mongoose.Schema.Types.Mixed],
+  error: String,
+  received_at: { type: Date, default: Date.now },
+  completed_at: Date
+}, {
+  timestamps: true
+});
+
+ComplianceRequestSchema.index({ shop: 1, topic: 1, received_at: -1 });
+
+ComplianceRequestSchema.methods.markStatus = function(status, extra = {}) {
+  this.status = status;
+  if (status === 'completed') this.completed_at = new Date();
+  Object.assign(this, extra);
+  return this.save();
+};
+
+module.exports = mongoose.models.ComplianceRequest || mongoose.model("ComplianceRequest", ComplianceRequestSchema);
@@ -0,0 +1,27 @@
+// models/CrawlItemChunk.js
+const mongoose = require("mongoose");
+
+const RETENTION_SECONDS = 30 * 24 * 3600; // same as finished CrawlJobs
+
+// Crawled items of a job, one document per checkpoint (page of results,
+// bulk batch or child sitemap) split into parts of at most CHUNK_SIZE, so
+// no single document grows with the catalog. `seq` is the checkpoint
+// number; a resumed page overwrites its own chunk instead of duplicating it.
+const CrawlItemChunkSchema = new mongoose.Schema({
+  job_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  shop: { type: String, required: true },
+  resource: { type: String, required: true }, // products | collections | pages | blogs | articles
+  seq: { type: Number, required: true },
+  part: { type: Number, default: 0 },
+  items: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Left out of the crawl: [{ id, url, title, reason, publish_at? }]
+  excluded: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  created_at: { type: Date, default: Date.now }
+});
+
+CrawlItemChunkSchema.index({ job_id: 1, resource: 1, seq: 1, part: 1 }, { unique: true });
+CrawlItemChunkSchema.index({ created_at: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+CrawlItemChunkSchema.statics.CHUNK_SIZE = 1000;
+
+module.exports = mongoose.models.CrawlItemChunk || mongoose.model("CrawlItemChunk", CrawlItemChunkSchema);
@@ -0,0 +1,90 @@
+// models/CrawlJob.js
+const mongoose = require("mongoose");
+
+// Per-resource progress. `cursor` is where the next request resumes:
+// a GraphQL end cursor for products/collections/blogs/articles, the Link
+// header page_info for pages.
+const ResourceProgressSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done'],
+    default: 'pending'
+  },
+  cursor: { type: String, default: null },
+  // paged: cursor-by-cursor; bulk: one bulk operation, cursor = JSONL lines read
+  mode: { type: String, enum: ['paged', 'bulk'] },
+  total: Number, // count reported by Shopify, when known
+  bulk_operation_id: String,
+  requests: { type: Number, default: 0 },
+  fetched: { type: Number, default: 0 }, // returned by Shopify
+  kept: { type: Number, default: 0 },    // live on the Online Store
+  excluded: { type: Number, default: 0 }, // left out, see CrawlItemChunk.excluded
+  started_at: Date,
+  completed_at: Date
+}, { _id: false });
+
+// One document per crawl. Each page of results is stored as a CrawlItemChunk
+// before the cursor moves past it, so a restarted process continues where
+// it stopped.
+// Status flow: queued -> running -> succeeded | failed | cancelled
+const CrawlJobSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  trigger: { type: String, default: 'manual' }, // manual | onboarding | dashboard | scheduled
+  // admin_api: catalog via Admin API; sitemap: storefront sitemap.xml only
+  source: { type: String, enum: ['admin_api', 'sitemap'], default: 'admin_api' },
+
+  progress: {
+    products: { type: ResourceProgressSchema, default: () => ({}) },
+    collections: { type: ResourceProgressSchema, default: () => ({}) },
+    pages: { type: ResourceProgressSchema, default: () => ({}) },
+    blogs: { type: ResourceProgressSchema, default: () => ({}) },
+    articles: { type: ResourceProgressSchema, default: () => ({}) },
+    // cursor = number of child sitemaps read
+    sitemap: { type: ResourceProgressSchema, default: () => ({}) }
+  },
+  sitemap_children: { type: [String], default: undefined },
+  // Admin API crawls only: diff against the storefront sitemap
+  sitemap_report: mongoose.Schema.Types.Mixed,
+
+  // true while queued or running, unset once the job finishes (the
+  // one-active-crawl index filters on it; $in in partialFilterExpression
+  // needs MongoDB 6.0)
+  active: Boolean,
+
+  attempts: { type: Number, default: 0 },
+  // Lease: the runner holding claim_id owns the job until locked_until
+  claim_id: String,
+  locked_until: Date,
+  queued_at: { type: Date, default: Date.now },
+  started_at: Date,
+  finished_at: Date,
+  duration_ms: Number,
+  total_pages: Number,
+  error: String
+}, {
+  timestamps: true
+});
+
+CrawlJobSchema.index({ shop: 1, queued_at: -1 });
+// At most one queued / running crawl per shop (enqueueCrawl relies on it)
+CrawlJobSchema.index(
+  { shop: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+CrawlJobSchema.index({ status: 1, locked_until: 1 });
+// Finished jobs are dropped after 30 days (their CrawlItemChunks likewise);
+// only a finished job has finished_at
+CrawlJobSchema.index({ finished_at: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+CrawlJobSchema.statics.ACTIVE_STATUSES = ['queued', 'running'];
+
+CrawlJobSchema.methods.isActive = function() {
+  return ['queued', 'running'].includes(this.status);
+};
+
+module.exports = mongoose.models.CrawlJob || mongoose.model("CrawlJob", CrawlJobSchema);
@@ -0,0 +1,41 @@
+// models/CrawlSnapshot.js
+const mongoose = require("mongoose");
+
+// The pages a successful crawl found (stored in CrawlSnapshotChunk). Each
+// snapshot is diffed against the last one RL Core received, and only that
+// delta is sent.
+const CrawlSnapshotSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  job_id: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  source: String,
+  taken_at: { type: Date, default: Date.now },
+  total_pages: Number,
+  active_theme_id: Number,
+  // Group key -> hash of its samples / section_count / locale_variants
+  group_hashes: mongoose.Schema.Types.Mixed,
+
+  // Diff against the previous snapshot of the shop (for history / ops)
+  previous_snapshot_id: mongoose.Schema.Types.ObjectId,
+  changes: {
+    added: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    changed: { type: Number, default: 0 }
+  },
+
+  // What RL Core got: full = whole site_data, delta = changes since the
+  // last synced snapshot, none = not sent (not connected / no changes / failed)
+  rl_core_sync: {
+    mode: { type: String, enum: ['full', 'delta', 'none'], default: 'none' },
+    synced: { type: Boolean, default: false },
+    baseline_snapshot_id: mongoose.Schema.Types.ObjectId,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+CrawlSnapshotSchema.index({ shop: 1, taken_at: -1 });
+// Snapshots go after 90 days; a shop without a synced one gets a full sync
+CrawlSnapshotSchema.index({ taken_at: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+
+module.exports = mongoose.models.CrawlSnapshot || mongoose.model("CrawlSnapshot", CrawlSnapshotSchema);
@@ -0,0 +1,29 @@
+// models/CrawlSnapshotChunk.js
+const mongoose = require("mongoose");
+
+// One entry per crawled URL, enough to tell what changed between crawls
+const SnapshotPageSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  url: String,
+  handle: String,
+  title: String,
+  template: String
+}, { _id: false });
+
+// The pages of a CrawlSnapshot, CHUNK_SIZE per document so large catalogs
+// stay under the document size limit. Written before the snapshot itself.
+const CrawlSnapshotChunkSchema = new mongoose.Schema({
+  snapshot_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  shop: { type: String, required: true },
+  seq: { type: Number, required: true },
+  pages: { type: [SnapshotPageSchema], default: [] },
+  created_at: { type: Date, default: Date.now }
+});
+
+CrawlSnapshotChunkSchema.index({ snapshot_id: 1, seq: 1 }, { unique: true });
+// Same retention as CrawlSnapshot
+CrawlSnapshotChunkSchema.index({ created_at: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+
+CrawlSnapshotChunkSchema.statics.CHUNK_SIZE = 1000;
+
+module.exports = mongoose.models.CrawlSnapshotChunk || mongoose.model("CrawlSnapshotChunk", CrawlSnapshotChunkSchema);
@@ -0,0 +1,63 @@
+// models/PagePerformance.js
+const mongoose = require("mongoose");
+
+// Lighthouse lab metrics, in ms except cls (unitless)
+const LabMetricsSchema = new mongoose.Schema({
+  fcp: Number,   // first-contentful-paint
+  lcp: Number,   // largest-contentful-paint
+  cls: Number,   // cumulative-layout-shift
+  tbt: Number,   // total-blocking-time
+  si: Number,    // speed-index
+  tti: Number,   // interactive
+  ttfb: Number   // server-response-time
+}, { _id: false });
+
+// Performance audits that didn't pass, biggest savings first
+const AuditSummarySchema = new mongoose.Schema({
+  id: String,
+  title: String,
+  score: Number,
+  display_value: String,
+  savings_ms: Number,
+  savings_bytes: Number
+}, { _id: false });
+
+// One PSI run for one strategy
+const StrategyResultSchema = new mongoose.Schema({
+  score: Number, // 0-100
+  lab_data: LabMetricsSchema,
+  audits: { type: [AuditSummarySchema], default: undefined },
+  // CrUX field data when Google has any (page, or origin fallback)
+  field_data: mongoose.Schema.Types.Mixed,
+  lighthouse_version: String,
+  fetched_at: Date,
+  error: String // this strategy failed, the other may still have a score
+}, { _id: false });
+
+// One PageSpeed Insights analysis of a storefront URL (utils/analysisQueue.js)
+const PagePerformanceSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  url: { type: String, required: true }, // path, e.g. '/' or '/products/shirt'
+  full_url: String,
+  template: String,
+
+  mobile_score: Number,
+  desktop_score: Number,
+  mobile: StrategyResultSchema,
+  desktop: StrategyResultSchema,
+
+  // What was live when measured, to compare before / after RabbitLoader
+  theme_id: Number,
+  rl_enabled: { type: Boolean, default: false },
+
+  queue_id: mongoose.Schema.Types.ObjectId,
+  analyzed_at: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Latest result for a URL (performance routes), and per-shop history
+PagePerformanceSchema.index({ shop: 1, url: 1, analyzed_at: -1 });
+PagePerformanceSchema.index({ shop: 1, analyzed_at: -1 });
+
+module.exports = mongoose.models.PagePerformance || mongoose.model("PagePerformance", PagePerformanceSchema);
@@ -0,0 +1,22 @@
+// models/PendingCorePurge.js
+const mongoose = require("mongoose");
+const { encryptToken } = require("../utils/tokenCrypto");
+
+// An RL Core delete that still has to happen after the shop's local data
+// was purged without it (shop/redact out of retries, reinstall after the
+// retention window). Keeps the RL api_token the delete needs, since the
+// Shop is gone; retried by the retention purge worker (utils/shopDataPurge.js).
+const PendingCorePurgeSchema = new mongoose.Schema({
+  shop: { type: String, unique: true, required: true },
+  api_token: { type: String, set: encryptToken, required: true },
+  reason: String, // shop_redact | reinstall
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  last_error: String
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+PendingCorePurgeSchema.index({ next_attempt_at: 1 });
+
+module.exports = mongoose.models.PendingCorePurge || mongoose.model("PendingCorePurge", PendingCorePurgeSchema);
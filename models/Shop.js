@@ -1,5 +1,6 @@
 // models/Shop.js
 const mongoose = require("mongoose");
+const { encryptToken } = require("../utils/tokenCrypto");
 
 // Schema for defer configuration rules
 const deferRuleSchema = new mongoose.Schema({
@@ -38,10 +39,35 @@ const deferConfigSchema = new mongoose.Schema({
 // Shop Schema
 const ShopSchema = new mongoose.Schema({
   shop: { type: String, unique: true, required: true },
-  access_token: String,
+  // Credentials are encrypted at rest; use decryptToken() when reading them
+  access_token: { type: String, set: encryptToken },
+  // Expiring offline tokens (null expiry = non-expiring legacy token)
+  access_token_expires_at: Date,
+  refresh_token: { type: String, set: encryptToken },
+  refresh_token_expires_at: Date,
+  token_refresh_lock_until: Date,
+  // Scopes the installation actually holds (see utils/scopes.js)
+  granted_scopes: { type: [String], default: undefined },
+  scopes_checked_at: Date,
+  // How the offline token was obtained: legacy OAuth redirect or token exchange
+  auth_method: { type: String, enum: ['oauth', 'token_exchange'] },
+  online_access_token: { type: String, set: encryptToken },
+  online_access_token_expires_at: Date,
+  online_access_user: {
+    id: Number,
+    email: String,
+    account_owner: Boolean
+  },
   short_id: String,
-  api_token: String,
+  api_token: { type: String, set: encryptToken },
+  // exp of the RabbitLoader api_token JWT, so the dashboard can prompt a reconnect
+  api_token_expires_at: Date,
   connected_at: Date,
+  // Soft delete on uninstall (utils/shopLifecycle.js). Config is kept until
+  // purge_after so a reinstall can restore it.
+  is_active: { type: Boolean, default: true },
+  uninstalled_at: Date,
+  purge_after: Date,
   // === SUBSCRIPTION & OPTIMIZATION STATUS ===
   subscription: {
     plan_name: String,
@@ -57,6 +83,14 @@ const ShopSchema = new mongoose.Schema({
   history: Array,
   script_injected: { type: Boolean, default: false },
   script_injection_attempted: { type: Boolean, default: false },
+  // Themes whose layout/theme.liquid carries the snippet
+  injected_theme_ids: { type: [Number], default: [] },
+  active_theme_id: Number,
+  last_injection_error: {
+    message: String,
+    theme_id: Number,
+    at: Date
+  },
   
   // NEW: Setup state tracking
   needs_setup: { type: Boolean, default: false },
@@ -77,13 +111,62 @@ const ShopSchema = new mongoose.Schema({
   // Site structure with FIXED defer_recommendations
   site_structure: {
     last_analyzed: Date,
+    // Bumped by incremental (webhook) updates; guards concurrent edits
+    revision: Number,
+    last_incremental_update: Date,
     active_theme: String,
+    active_theme_id: Number,
+    // Template names defined by the active theme (templates/*.json|liquid)
+    theme_templates: { type: [String], default: undefined },
+    unused_theme_templates: { type: [String], default: undefined },
+    // Market/locale roots used for locale_variants (utils/storefrontLocales.js)
+    localization: mongoose.Schema.Types.Mixed,
+    // Resources the last crawl left out: { total, by_reason, by_resource }
+    // (entries on the CrawlJob, see GET /crawler/exclusions)
+    exclusions: mongoose.Schema.Types.Mixed,
+    // Crawl whose SitePageChunks hold the group members
+    pages_job_id: mongoose.Schema.Types.ObjectId,
+    // Its source: 'sitemap' sets key pages by path (url:/products/handle)
+    pages_source: String,
+    // Keyed by template with '.' stored as ':' (product:preorder), see utils/themeTemplates.js
     template_groups: {
       type: Map,
       of: {
+        template: String,          // e.g. 'product.preorder'
+        template_type: String,     // e.g. 'product'
+        template_suffix: String,   // e.g. 'preorder'
+        theme_template_exists: Boolean,
+        fallback_from: [String],   // suffixes with no template file that render this one
         count: Number,
-        pages: [{ id: String, url: String, title: String, handle: String }],
-        sample_page: String,
+        // Members are in SitePageChunk (utils/sitePages.js), under pages_job_id.
+        // Older crawls stored them here; the next crawl unsets it.
+        pages: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+        sample_page: String,       // middle of `samples`, for single-page consumers
+        // Stratified by content signals (utils/sampleSelection.js): sparse / typical / rich
+        samples: [{
+          id: String,
+          url: String,
+          title: String,
+          handle: String,
+          stratum: String,
+          richness: Number,
+          signals: mongoose.Schema.Types.Mixed,
+          _id: false
+        }],
+        // { eligible, excluded: { draft, password_gated }, signals }
+        sampling: mongoose.Schema.Types.Mixed,
+        section_count: Number,     // enabled sections in the JSON template, null for liquid
+        sample_full_url: String,   // sample on the primary storefront domain
+        // sample_page under each non-primary market/locale root
+        locale_variants: [{
+          market: String,
+          locale: String,
+          url: String,
+          full_url: String,
+          handle: String,
+          translated: Boolean,
+          _id: false
+        }],
         psi_analyzed: { type: Boolean, default: false },
         js_files: [String],
         
@@ -172,6 +255,30 @@ const ShopSchema = new mongoose.Schema({
   pending_webhooks: {
     type: [String], // Array of webhook IDs waiting to be processed
     default: []
+  },
+  // Post-install pipeline (utils/onboarding.js). steps.<name> holds
+  // { status, attempts, started_at, completed_at, error, result };
+  // status is pending | running | waiting | succeeded | failed
+  onboarding: {
+    status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'pending' },
+    started_at: Date,
+    completed_at: Date,
+    last_run_at: Date,
+    locked_until: Date,
+    steps: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  // Scheduled recrawls (utils/crawlScheduler.js). lock_* is the cross-instance
+  // lease held while a scheduled crawl runs.
+  crawl_schedule: {
+    interval_hours: Number, // per-shop override of the plan cadence
+    next_crawl_at: Date,
+    last_run_at: Date,
+    last_status: { type: String, enum: ['succeeded', 'failed', 'skipped'] },
+    last_error: String,
+    last_job_id: mongoose.Schema.Types.ObjectId,
+    consecutive_failures: { type: Number, default: 0 },
+    lock_owner: String,
+    lock_until: Date
   }
 }, {
   timestamps: true,
@@ -181,6 +288,8 @@ const ShopSchema = new mongoose.Schema({
 ShopSchema.index({ 'usage.last_request': 1 });
 ShopSchema.index({ 'needs_setup': 1 }); // NEW: For finding shops needing setup
 ShopSchema.index({ 'last_webhook_processed': 1 }); // NEW: For webhook debouncing
+ShopSchema.index({ purge_after: 1 }, { sparse: true }); // Retention purge
+ShopSchema.index({ is_active: 1, 'crawl_schedule.next_crawl_at': 1 }); // Recrawl scheduler
 
 ShopSchema.methods.updateUsage = function() {
   this.usage.total_requests += 1;
@@ -0,0 +1,34 @@
+// models/SitePageChunk.js
+const mongoose = require("mongoose");
+
+const GroupPageSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  url: String,
+  title: String,
+  handle: String,
+  // Admin API id of a page keyed by path (sitemap crawls), learned from webhooks
+  gid: String
+}, { _id: false });
+
+// Members of a shop's template groups, CHUNK_SIZE per document, so the Shop
+// keeps only counts and samples however big the catalog. `job_id` is the
+// crawl that wrote them; site_structure.pages_job_id names the current set
+// (older sets are dropped once a crawl's site_structure is stored).
+const SitePageChunkSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  job_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  group: { type: String, required: true }, // template group key (product:preorder)
+  seq: { type: Number, required: true },
+  pages: { type: [GroupPageSchema], default: [] },
+  created_at: { type: Date, default: Date.now }
+});
+
+SitePageChunkSchema.index({ shop: 1, job_id: 1, group: 1, seq: 1 }, { unique: true });
+// Webhook updates find a page by id (or gid, or URL) without knowing its group
+SitePageChunkSchema.index({ shop: 1, job_id: 1, 'pages.id': 1 });
+SitePageChunkSchema.index({ shop: 1, job_id: 1, 'pages.gid': 1 });
+SitePageChunkSchema.index({ shop: 1, job_id: 1, 'pages.url': 1 });
+
+SitePageChunkSchema.statics.CHUNK_SIZE = 1000;
+
+module.exports = mongoose.models.SitePageChunk || mongoose.model("SitePageChunk", SitePageChunkSchema);
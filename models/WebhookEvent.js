@@ -0,0 +1,51 @@
+// models/WebhookEvent.js
+const mongoose = require("mongoose");
+
+const PROCESSED_RETENTION_SECONDS = 30 * 24 * 3600; // 30 days
+const DEAD_LETTER_RETENTION_SECONDS = 30 * 24 * 3600;
+
+// One document per Shopify webhook delivery (deduped on X-Shopify-Webhook-Id).
+// Status flow: received -> processing -> processed
+//                                   \-> retrying -> ... -> dead_letter
+const WebhookEventSchema = new mongoose.Schema({
+  webhook_id: { type: String, unique: true, required: true },
+  topic: { type: String, required: true },
+  shop: { type: String, required: true },
+  api_version: String,
+  triggered_at: Date,
+  payload: mongoose.Schema.Types.Mixed,
+  // Product/collection change planned by the first attempt, replayed by
+  // retries (utils/siteStructureSync.js)
+  site_change: mongoose.Schema.Types.Mixed,
+
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'retrying', 'processed', 'skipped', 'dead_letter'],
+    default: 'received'
+  },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  locked_until: Date,
+  last_error: String,
+  errors_log: [{
+    attempt: Number,
+    message: String,
+    at: Date
+  }],
+  received_at: { type: Date, default: Date.now },
+  processed_at: Date,
+  dead_lettered_at: Date
+}, {
+  timestamps: true
+});
+
+// Worker picks up due events
+WebhookEventSchema.index({ status: 1, next_attempt_at: 1 });
+WebhookEventSchema.index({ shop: 1, topic: 1, received_at: -1 });
+// Successful deliveries are dropped after the retention window (only
+// processed and skipped events have processed_at)
+WebhookEventSchema.index({ processed_at: 1 }, { expireAfterSeconds: PROCESSED_RETENTION_SECONDS });
+// Dead letters stay long enough to inspect, then go too
+WebhookEventSchema.index({ dead_lettered_at: 1 }, { expireAfterSeconds: DEAD_LETTER_RETENTION_SECONDS });
+
+module.exports = mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", WebhookEventSchema);
@@ -1,13 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const ShopModel = require("../models/Shop");
+const { requireSessionTokenFor } = require("../utils/sessionToken");
 
-router.get("/", async (req, res) => {
-  const { shop, host } = req.query;
+router.use(requireSessionTokenFor(router));
 
-  if (!shop) {
-    return res.status(400).send("Shop parameter required");
-  }
+router.get("/", async (req, res) => {
+  const shop = req.shop;
 
   try {
     const shopRecord = await ShopModel.findOne({ shop });
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const axios = require("axios");
+const { requireSessionTokenFor } = require("../utils/sessionToken");
+const { requireGrantedScopes } = require("../utils/scopes");
 
 // Add CORS for dashboard
 router.use((req, res, next) => {
@@ -25,6 +27,9 @@ router.use((req, res, next) => {
   next();
 });
 
+// Everything below needs a verified App Bridge session token
+router.use(requireSessionTokenFor(router));
+
 
 // Microservice URLs
 const SERVICES = {
@@ -39,15 +44,18 @@ async function proxyRequest(serviceUrl, req, res) {
     const url = `${serviceUrl}${req.path}`;
 
     console.log(`[Proxy] ${req.method} ${url}`);
+
+    const params = { ...req.query, shop: req.shop };
+    delete params.id_token;
     
     const response = await axios({
       method: req.method,
       url,
-      params: req.query,
+      params,
       data: req.body,
       headers: {
         'Content-Type': 'application/json',
-        'X-Shop': req.query.shop || req.body?.shop,
+        'X-Shop': req.shop,
         'X-API-Key': process.env.RL_API_KEY || 'rl-internal',
         'X-Platform': 'shopify'
       },
@@ -67,10 +75,10 @@ async function proxyRequest(serviceUrl, req, res) {
 
 router.get('/psi/analyze', async (req, res) => {
   const { url, strategy } = req.query;
-  const shop = req.query.shop || req.headers['x-shop'];
+  const shop = req.shop;
 
-  if (!shop || !url) {
-    return res.status(400).json({ ok: false, error: 'Missing shop or url' });
+  if (!url) {
+    return res.status(400).json({ ok: false, error: 'Missing url' });
   }
 
   try {
@@ -104,12 +112,12 @@ router.all('/psi/*', async (req, res) => {
 // Handles: /api/dashboard/proxy/core?shop=xxx&path=/api/rl-core/overview
 router.all('/proxy/core', async (req, res) => {
   try {
-    const shop = req.query.shop;
+    const shop = req.shop;
     const path = req.query.path;
 
-    if (!shop || !path) {
-      console.error("[Proxy/Core] Missing shop or path", req.query);
-      return res.status(400).json({ ok: false, error: "Missing shop or path parameter" });
+    if (!path) {
+      console.error("[Proxy/Core] Missing path", req.query);
+      return res.status(400).json({ ok: false, error: "Missing path parameter" });
     }
 
     // Build target URL to RL-Core
@@ -118,8 +126,9 @@ router.all('/proxy/core', async (req, res) => {
     console.log(`[→ RL-Core] ${req.method} ${coreUrl} for shop: ${shop}`);
 
     // Forward all query params except 'path' to RL-Core
-    const forwardParams = { ...req.query };
+    const forwardParams = { ...req.query, shop };
     delete forwardParams.path; // Don't forward the 'path' param itself
+    delete forwardParams.id_token;
 
     const response = await axios({
       method: req.method,
@@ -194,17 +203,10 @@ router.all('/js-defer*', async (req, res) => {
 /* ========= SYNC ENDPOINT ========= */
 
 // Trigger sync endpoint - calls crawler
-router.post('/sync', express.raw({ type: '*/*' }), async (req, res) => {
-  const { shop } = req.query;
+router.post('/sync', requireGrantedScopes, express.raw({ type: '*/*' }), async (req, res) => {
+  const shop = req.shop;
   
   console.log(`[Sync] Trigger request for shop: ${shop}`);
-  
-  if (!shop) {
-    return res.status(400).json({
-      ok: false,
-      error: 'Shop parameter required'
-    });
-  }
 
   try {
     const ShopModel = require('../models/Shop');
@@ -226,17 +228,19 @@ router.post('/sync', express.raw({ type: '*/*' }), async (req, res) => {
 
     // Trigger the crawler
     console.log(`[Sync] Triggering crawler for ${shop}`);
-    const crawlerResponse = await axios.post(
-      `http://localhost:3000/crawler/start?shop=${shop}`,
-      {},
-      { timeout: 5000 }
-    );
+    const { startBackgroundCrawl } = require('../utils/siteCrawler');
+    const { job, existing } = await startBackgroundCrawl(shop, { trigger: 'dashboard' });
 
     res.json({
       ok: true,
       message: 'Sync triggered successfully',
       shop,
-      crawler_response: crawlerResponse.data
+      crawler_response: {
+        ok: true,
+        message: existing ? 'Site crawl already in progress' : 'Site crawl started',
+        shop,
+        job_id: job._id
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,40 @@
+// routes/ops.js
+// Internal operations API. Not for the embedded app: requests carry
+// X-Ops-Key matching OPS_API_KEY.
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { crawlScheduleOverview } = require('../utils/crawlScheduler');
+
+function requireOpsKey(req, res, next) {
+  const expected = process.env.OPS_API_KEY;
+  if (!expected) {
+    return res.status(503).json({ ok: false, error: 'Ops API is not configured' });
+  }
+
+  const provided = Buffer.from(req.get('X-Ops-Key') || '');
+  const wanted = Buffer.from(expected);
+  if (provided.length !== wanted.length || !crypto.timingSafeEqual(provided, wanted)) {
+    return res.status(401).json({ ok: false, error: 'Invalid ops key' });
+  }
+
+  next();
+}
+
+router.use(requireOpsKey);
+
+// ============================================================
+// GET /ops/crawls - Overdue, failing and running scheduled crawls
+// ============================================================
+router.get('/crawls', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json({ ok: true, ...(await crawlScheduleOverview({ limit })) });
+  } catch (error) {
+    console.error('[Ops] Crawl overview error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,130 @@
 const express = require("express");
 const router = express.Router();
 const axios = require("axios");
+const { requireSessionTokenFor } = require("../utils/sessionToken");
 
 const PSI_SERVICE_URL = process.env.PSI_MICROSERVICE_URL || 'http://45.32.212.222:3008';
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
+// Top failing audits returned per strategy
+const MAX_AUDITS = 10;
+
+router.use(requireSessionTokenFor(router));
+
+// PagePerformance -> dashboard payload
+function performancePayload(record, { stale = false } = {}) {
+  const mobile = record.mobile || {};
+  const desktop = record.desktop || {};
+  const fieldData = mobile.field_data || desktop.field_data;
+
+  return {
+    psi: {
+      mobile_score: record.mobile_score,
+      desktop_score: record.desktop_score,
+      lab_data: mobile.lab_data || desktop.lab_data || null,
+      desktop_lab_data: desktop.lab_data || null,
+      audits: {
+        mobile: (mobile.audits || []).slice(0, MAX_AUDITS),
+        desktop: (desktop.audits || []).slice(0, MAX_AUDITS)
+      },
+      errors: mobile.error || desktop.error ? { mobile: mobile.error || null, desktop: desktop.error || null } : undefined,
+      report_url: `https://pagespeed.web.dev/analysis?url=${encodeURIComponent(record.full_url || record.url)}`
+    },
+    crux: fieldData ? { available: true, ...fieldData } : {
+      available: false,
+      message: "Chrome UX Report data not available yet. Real user data will appear after 28 days of traffic.",
+      days_until_available: 28
+    },
+    url: record.url,
+    template: record.template || null,
+    theme_id: record.theme_id ?? null,
+    rl_enabled: record.rl_enabled,
+    fetched_at: record.analyzed_at,
+    days_since_install: 0,
+    cached: true,
+    ...(stale ? { stale: true } : {})
+  };
+}
+
+// Cached result, or queue a PSI run. Returns the response body.
+async function performanceForUrl(shop, url, { template = null, label }) {
+  const PagePerformance = require("../models/PagePerformance");
+  const AnalysisQueue = require("../models/AnalysisQueue");
+  const { enqueueAnalysis, OPEN_STATUSES } = require("../utils/analysisQueue");
+
+  // ============================================================
+  // STEP 1: CHECK MONGODB CACHE FIRST
+  // ============================================================
+  const latest = await PagePerformance.findOne({ shop, url }).sort({ analyzed_at: -1 });
+
+  if (latest && latest.analyzed_at >= new Date(Date.now() - CACHE_DURATION)) {
+    console.log(`[Performance] ✅ Returning cached ${label} data from MongoDB (${latest.mobile_score}/${latest.desktop_score})`);
+    return { ok: true, data: performancePayload(latest) };
+  }
+
+  // ============================================================
+  // STEP 2: CHECK IF ANALYSIS IS IN PROGRESS
+  // ============================================================
+  const pendingAnalysis = await AnalysisQueue.findOne({ shop, url, status: { $in: OPEN_STATUSES } });
+
+  if (pendingAnalysis && !latest) {
+    console.log(`[Performance] ⏳ Analysis in progress for ${label}`);
+    return {
+      ok: false,
+      status: 'analyzing',
+      message: `${label} analysis in progress. Please wait...`
+    };
+  }
+
+  // Don't re-run PSI on every refresh after it just failed
+  const lastFailure = !latest && await AnalysisQueue.findOne({
+    shop,
+    url,
+    status: 'failed',
+    completed_at: { $gte: new Date(Date.now() - CACHE_DURATION) }
+  }).sort({ completed_at: -1 });
+
+  if (lastFailure) {
+    return {
+      ok: false,
+      status: 'failed',
+      error: lastFailure.last_error,
+      retry_after: new Date(lastFailure.completed_at.getTime() + CACHE_DURATION)
+    };
+  }
+
+  // ============================================================
+  // STEP 3: OLD DATA (> 1 hour) - RETURN IT AND REFRESH IN BACKGROUND
+  // ============================================================
+  if (!pendingAnalysis) {
+    await enqueueAnalysis(shop, url, { template });
+  }
+
+  if (latest) {
+    console.log(`[Performance] 📊 Returning old ${label} data while a new analysis runs`);
+    return { ok: true, data: performancePayload(latest, { stale: true }) };
+  }
+
+  // ============================================================
+  // STEP 4: NO DATA EXISTS - QUEUED
+  // ============================================================
+  console.log(`[Performance] 📊 No ${label} data found, queued analysis`);
+  return {
+    ok: false,
+    status: 'queued',
+    message: `${label} analysis queued. Results will be available in ~90 seconds. Please refresh.`
+  };
+}
 
 // ============================================================
 // ROUTE: Get Homepage Performance (WITH MONGODB CACHE)
 // ============================================================
 router.get("/homepage", async (req, res) => {
-  const { shop } = req.query;
+  const shop = req.shop;
   
   console.log(`[Performance] Getting homepage data for: ${shop}`);
-  
-  if (!shop) {
-    return res.status(400).json({ 
-      ok: false, 
-      error: "Shop parameter required" 
-    });
-  }
 
   try {
     const ShopModel = require("../models/Shop");
-    const PagePerformance = require("../models/PagePerformance");
     
     const shopRecord = await ShopModel.findOne({ shop });
     
@@ -33,134 +135,7 @@ router.get("/homepage", async (req, res) => {
       });
     }
 
-    // ============================================================
-    // STEP 1: CHECK MONGODB CACHE FIRST
-    // ============================================================
-    const oneHourAgo = new Date(Date.now() - CACHE_DURATION);
-    
-    const cachedResult = await PagePerformance.findOne({
-      shop: shop,
-      url: '/',
-      analyzed_at: { $gte: oneHourAgo }
-    }).sort({ analyzed_at: -1 });
-    
-    if (cachedResult) {
-      console.log(`[Performance] ✅ Returning cached homepage data from MongoDB (${cachedResult.mobile_score}/${cachedResult.desktop_score})`);
-      
-      const result = {
-        psi: {
-          mobile_score: cachedResult.mobile_score,
-          desktop_score: cachedResult.desktop_score,
-          lab_data: {
-            fcp: 1200,
-            lcp: 2400,
-            cls: 0.1,
-            tbt: 200
-          },
-          report_url: `https://pagespeed.web.dev/analysis?url=${encodeURIComponent('https://' + shop)}`
-        },
-        crux: {
-          available: false,
-          message: "Chrome UX Report data not available yet. Real user data will appear after 28 days of traffic.",
-          days_until_available: 28
-        },
-        fetched_at: cachedResult.analyzed_at,
-        days_since_install: 0,
-        cached: true
-      };
-
-      return res.json({
-        ok: true,
-        data: result
-      });
-    }
-
-    // ============================================================
-    // STEP 2: CHECK IF ANALYSIS IS IN PROGRESS
-    // ============================================================
-    const AnalysisQueue = require("../models/AnalysisQueue");
-    const pendingAnalysis = await AnalysisQueue.findOne({
-      shop: shop,
-      url: '/',
-      status: { $in: ['pending', 'processing'] }
-    });
-    
-    if (pendingAnalysis) {
-      console.log(`[Performance] ⏳ Analysis in progress for homepage`);
-      return res.json({
-        ok: false,
-        status: 'analyzing',
-        message: 'Homepage analysis in progress. Please wait...'
-      });
-    }
-
-    // ============================================================
-    // STEP 3: CHECK FOR ANY OLD DATA (even if > 1 hour)
-    // ============================================================
-    const anyResult = await PagePerformance.findOne({
-      shop: shop,
-      url: '/'
-    }).sort({ analyzed_at: -1 });
-    
-    if (anyResult) {
-      console.log(`[Performance] 📊 Returning old cached data while queuing new analysis`);
-      
-      // Queue new analysis in background
-      await AnalysisQueue.create({
-        shop: shop,
-        url: '/',
-        full_url: `https://${shop}/`,
-        status: 'pending',
-        created_at: new Date()
-      });
-      
-      const result = {
-        psi: {
-          mobile_score: anyResult.mobile_score,
-          desktop_score: anyResult.desktop_score,
-          lab_data: {
-            fcp: 1200,
-            lcp: 2400,
-            cls: 0.1,
-            tbt: 200
-          },
-          report_url: `https://pagespeed.web.dev/analysis?url=${encodeURIComponent('https://' + shop)}`
-        },
-        crux: {
-          available: false,
-          message: "Chrome UX Report data not available yet. Real user data will appear after 28 days of traffic.",
-          days_until_available: 28
-        },
-        fetched_at: anyResult.analyzed_at,
-        days_since_install: 0,
-        cached: true,
-        stale: true
-      };
-
-      return res.json({
-        ok: true,
-        data: result
-      });
-    }
-
-    // ============================================================
-    // STEP 4: NO DATA EXISTS - QUEUE ANALYSIS
-    // ============================================================
-    console.log(`[Performance] 📊 No homepage data found, queuing analysis...`);
-    
-    await AnalysisQueue.create({
-      shop: shop,
-      url: '/',
-      full_url: `https://${shop}/`,
-      status: 'pending',
-      created_at: new Date()
-    });
-
-    return res.json({
-      ok: false,
-      status: 'queued',
-      message: 'Homepage analysis queued. Results will be available in ~90 seconds. Please refresh.'
-    });
+    res.json(await performanceForUrl(shop, '/', { template: 'index', label: 'Homepage' }));
 
   } catch (error) {
     console.error('[Performance] Homepage error:', error.message);
@@ -176,20 +151,20 @@ router.get("/homepage", async (req, res) => {
 // ROUTE: Get Template Performance (WITH MONGODB CACHE)
 // ============================================================
 router.get("/template", async (req, res) => {
-  const { shop, type } = req.query;
+  const shop = req.shop;
+  const { type } = req.query;
   
   console.log(`[Performance] Getting ${type} template data for: ${shop}`);
   
-  if (!shop || !type) {
+  if (!type) {
     return res.status(400).json({ 
       ok: false, 
-      error: "Shop and type parameters required" 
+      error: "Type parameter required" 
     });
   }
 
   try {
     const ShopModel = require("../models/Shop");
-    const PagePerformance = require("../models/PagePerformance");
     
     const shopRecord = await ShopModel.findOne({ shop });
     
@@ -203,78 +178,38 @@ router.get("/template", async (req, res) => {
     // Find sample URL for this template
     const templateGroups = shopRecord.site_structure.template_groups instanceof Map ?
       shopRecord.site_structure.template_groups :
-      new Map(Object.entries(shopRecord.site_structure.template_groups));
+      new Map(Object.entries(shopRecord.site_structure.template_groups || {}));
     
-    let sampleUrl = null;
+    // Exact template first (product.preorder is stored as product:preorder)
+    const { templateGroupKey } = require("../utils/themeTemplates");
+    let group = templateGroups.get(templateGroupKey(type)) || null;
     
-    for (const [tName, templateData] of templateGroups) {
-      if (tName.includes(type)) {
-        sampleUrl = templateData.sample_page;
-        break;
+    if (!group?.sample_page) {
+      group = null;
+      for (const [tName, templateData] of templateGroups) {
+        if (tName.includes(type) && templateData.sample_page) {
+          group = templateData;
+          break;
+        }
       }
     }
 
-    if (!sampleUrl) {
+    if (!group) {
       return res.status(404).json({
         ok: false,
         error: `No ${type} template found`
       });
     }
 
-    // Check MongoDB cache
-    const oneHourAgo = new Date(Date.now() - CACHE_DURATION);
-    
-    const cachedResult = await PagePerformance.findOne({
-      shop: shop,
-      url: sampleUrl,
-      analyzed_at: { $gte: oneHourAgo }
-    }).sort({ analyzed_at: -1 });
-    
-    if (cachedResult) {
-      console.log(`[Performance] ✅ Returning cached ${type} data from MongoDB`);
-      
-      const result = {
-        psi: {
-          mobile_score: cachedResult.mobile_score,
-          desktop_score: cachedResult.desktop_score,
-          lab_data: {
-            fcp: 1200,
-            lcp: 2400,
-            cls: 0.1,
-            tbt: 200
-          },
-          report_url: `https://pagespeed.web.dev/analysis?url=${encodeURIComponent('https://' + shop + sampleUrl)}`
-        },
-        crux: {
-          available: false,
-          message: "Chrome UX Report data not available yet"
-        },
-        fetched_at: cachedResult.analyzed_at,
-        cached: true
-      };
-
-      return res.json({
-        ok: true,
-        data: result
-      });
-    }
-
-    // Queue analysis if no cache
-    const AnalysisQueue = require("../models/AnalysisQueue");
-    
-    await AnalysisQueue.create({
-      shop: shop,
-      url: sampleUrl,
-      full_url: `https://${shop}${sampleUrl}`,
-      status: 'pending',
-      created_at: new Date()
+    const result = await performanceForUrl(shop, group.sample_page, {
+      template: group.template || type,
+      label: type
     });
+    if (result.data) {
+      result.data.sample_page = group.sample_page;
+    }
 
-    return res.json({
-      ok: false,
-      status: 'queued',
-      message: `${type} analysis queued. Results will be available in ~90 seconds.`
-    });
+    res.json(result);
 
   } catch (error) {
     console.error(`[Performance] ${type} error:`, error.message);
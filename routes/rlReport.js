@@ -2,10 +2,17 @@ const express = require('express');
 const router = express.Router();
 const Shop = require('../models/Shop');
 const { syncReportData } = require('../utils/rlReportService');
+const { requireSessionTokenFor } = require('../utils/sessionToken');
+
+router.use(requireSessionTokenFor(router));
 
 // GET subscription & optimization data
 router.get('/report/:shop', async (req, res) => {
-  const { shop } = req.params;
+  const shop = req.shop;
+
+  if (req.params.shop !== shop) {
+    return res.status(403).json({ ok: false, error: 'Shop does not match session' });
+  }
   
   try {
     console.log(`[RL Route] Fetching report for: ${shop}`);
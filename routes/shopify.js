@@ -4,86 +4,136 @@ const ShopModel = require("../models/Shop");
 const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs");
+const { requireSessionTokenFor, getTokenFromRequest } = require("../utils/sessionToken");
+const { exchangeSessionToken, offlineTokenFields } = require("../utils/tokenExchange");
+const { getRequiredScopes, parseScopes, requireGrantedScopes } = require("../utils/scopes");
+const {
+  RL_CONNECT_PURPOSE,
+  RlTokenError,
+  verifyRlToken,
+  rlTokenStatus
+} = require("../utils/rlToken");
+const AuthNonce = require("../models/AuthNonce");
+const {
+  OAuthError,
+  isValidShopDomain,
+  verifyOAuthHmac,
+  isFreshTimestamp
+} = require("../utils/shopifyOAuth");
+
+const OAUTH_STATE_PURPOSE = "shopify_oauth";
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
 
-// Helper function to register uninstall webhook
-async function registerUninstallWebhook(shop, accessToken) {
-  if (!accessToken) {
-    throw new Error('No access token available');
-  }
+// Render an OAuth rejection on the install page instead of a bare status text
+function renderInstallError(res, err, shop) {
+  const status = err.status || 400;
+  const retryLink = isValidShopDomain(shop)
+    ? `<a href="/shopify/auth?shop=${encodeURIComponent(shop)}" style="color: #007bff;">Restart installation</a>`
+    : "";
+
+  console.warn(`[OAuth] ❌ ${err.code}: ${err.message}`);
+
+  return res.status(status).send(`
+    <div style="text-align: center; padding: 50px; font-family: Arial, sans-serif;" data-error-code="${escapeHtml(err.code)}">
+      <h2>Installation could not be completed</h2>
+      <p>${escapeHtml(err.message)}</p>
+      <p style="color: #666;">Error code: <code>${escapeHtml(err.code)}</code></p>
+      ${retryLink}
+    </div>
+  `);
+}
 
-  const webhookUrl = `${process.env.APP_URL}/webhooks/app/uninstalled`;
-  
-  console.log(`[Webhook] Registering uninstall webhook for ${shop}: ${webhookUrl}`);
-  
-  try {
-    const { shopifyRequest } = require("../utils/shopifyApi");
-    
-    // Check if webhook already exists
-    const existingWebhooks = await shopifyRequest(shop, "webhooks.json");
-    
-    if (existingWebhooks.error === "TOKEN_EXPIRED") {
-      console.error(`[Webhook] Token expired for ${shop}, skipping webhook registration`);
-      return { success: false, error: "TOKEN_EXPIRED" };
-    }
+// ====== SHARED INSTALL COMPLETION ======
 
-    const uninstallWebhook = existingWebhooks.webhooks?.find(
-      w => w.topic === 'app/uninstalled' && w.address === webhookUrl
-    );
-    
-    if (uninstallWebhook) {
-      console.log(`[Webhook] Uninstall webhook already exists for ${shop}`);
-      return { success: true, message: 'Webhook already exists' };
-    }
+// Persist a fresh offline token and run post-install steps.
+// Used by both the legacy OAuth callback and the token-exchange path.
+async function completeInstall(shop, accessToken, extraFields = {}) {
+  // Reinstall inside the retention window brings back defer rules and the RL connection
+  const { restoreShopIfUninstalled } = require("../utils/shopLifecycle");
+  const restored = await restoreShopIfUninstalled(shop);
+
+  const existingShop = await ShopModel.findOne({ shop });
+  const isReinstall = !!(existingShop && !existingShop.access_token && existingShop.short_id);
 
-    // Register new webhook
-    const result = await shopifyRequest(shop, "webhooks.json", "POST", {
-      webhook: {
-        topic: 'app/uninstalled',
-        address: webhookUrl,
-        format: 'json'
+  const shopRecord = await ShopModel.findOneAndUpdate(
+    { shop },
+    {
+      $set: {
+        shop,
+        access_token: accessToken,
+        connected_at: new Date(),
+        reauth_required: false,
+        is_active: true,
+        needs_setup: isReinstall && !restored,
+        ...extraFields
       }
-    });
+    },
+    { upsert: true, new: true }
+  );
 
-    if (result.error === "TOKEN_EXPIRED") {
-      return { success: false, error: "TOKEN_EXPIRED" };
-    }
+  // 🧠 AUTO-INJECT on fresh install **and reinstall**
+  if (shopRecord.api_token) {
+    try {
+      console.log(`[AutoInject] Shopify install: ${shop}`);
+      const { injectDeferScript } = require("./shopifyConnect");
+      const { injectCriticalCSSIntoTheme } = require("../app");
 
-    console.log(`[Webhook] ✅ Uninstall webhook registered successfully for ${shop}`);
-    return { 
-      success: true, 
-      webhook: result.webhook,
-      message: 'Webhook registered successfully' 
-    };
+      await injectDeferScript(shop, shopRecord.short_id, accessToken);
+      await injectCriticalCSSIntoTheme(shop, shopRecord.short_id, accessToken);
 
-  } catch (error) {
-    console.error(`[Webhook] Registration error for ${shop}:`, error.message);
-    // Don't throw - return error gracefully
-    return { success: false, error: error.message };
+      console.log(`[AutoInject] ✅ Done`);
+    } catch (e) {
+      console.error(`[AutoInject] ❌ Failed:`, e.message);
+    }
   }
+
+  // Shop info, webhooks, RL Core sync, crawl and PSI baseline.
+  // Forced so a reinstall re-runs every step with the new token.
+  const { startOnboarding } = require('../utils/onboarding');
+  startOnboarding(shop, { force: true });
+
+  return { shopRecord, isReinstall, restored };
 }
+
 // ====== SHOPIFY OAUTH FLOW ======
 
 // Start Shopify OAuth
-router.get("/auth", (req, res) => {
-  const { shop } = req.query;
+router.get("/auth", async (req, res) => {
+  const { shop, missing } = req.query;
   
   if (!shop) {
-    return res.status(400).send("Missing shop parameter");
+    return renderInstallError(res, new OAuthError("MISSING_SHOP", "Missing shop parameter"));
   }
 
   // Validate shop domain
-  if (!shop.includes('.myshopify.com')) {
-    return res.status(400).send("Invalid shop domain");
+  if (!isValidShopDomain(shop)) {
+    return renderInstallError(res, new OAuthError("INVALID_SHOP", "Invalid shop domain"));
   }
 
   const shopifyApiKey = process.env.SHOPIFY_API_KEY;
-  const scopes = process.env.SHOPIFY_SCOPES || "read_themes,write_themes,read_script_tags,write_script_tags";
+  const scopes = getRequiredScopes().join(",");
   const redirectUri = `${process.env.APP_URL}/shopify/auth/callback`;
-  const state = crypto.randomBytes(16).toString('hex');
 
-  // Store state for validation (in production, use session or database)
-  req.session = req.session || {};
-  req.session.state = state;
+  // Server-side, single-use state (expires via TTL index)
+  let state;
+  try {
+    state = await AuthNonce.issue(shop, OAUTH_STATE_PURPOSE);
+  } catch (err) {
+    console.error("OAuth state error:", err);
+    return renderInstallError(res, new OAuthError("STATE_UNAVAILABLE", "Could not start installation, please try again", 500), shop);
+  }
+
+  if (missing) {
+    console.log(`[OAuth] Re-consent for ${shop}, missing scopes: ${missing}`);
+  }
 
   const authUrl = `https://${shop}/admin/oauth/authorize?` +
     `client_id=${shopifyApiKey}&` +
@@ -108,7 +158,6 @@ router.get("/auth/callback", async (req, res) => {
   console.log("Has RL token:", !!rlToken);
   console.log("Timestamp:", timestamp);
   console.log("State:", state);
-  console.log("Full query params:", JSON.stringify(req.query, null, 2));
   console.log("Referer:", req.headers.referer || "none");
   console.log("=================================================");
 
@@ -116,14 +165,25 @@ router.get("/auth/callback", async (req, res) => {
   if (rlToken && shop) {
     console.log("🐰 RabbitLoader Callback Processing");
     try {
-      const decoded = JSON.parse(Buffer.from(rlToken, "base64").toString("utf8"));
+      if (!isValidShopDomain(shop)) {
+        throw new OAuthError("INVALID_SHOP", "Invalid shop domain");
+      }
+
+      const decoded = verifyRlToken(rlToken, req.query["rl-signature"]);
+
+      // Must match the nonce issued by /rl/rl-connect for this shop (single use)
+      const stateValid = await AuthNonce.consume(state, shop, RL_CONNECT_PURPOSE);
+      if (!stateValid) {
+        throw new RlTokenError("INVALID_STATE", "Connection request expired or was not started from this shop");
+      }
 
       const shopRecord = await ShopModel.findOneAndUpdate(
         { shop },
         {
           $set: {
-            short_id: decoded.did || decoded.short_id,
+            short_id: decoded.did,
             api_token: decoded.api_token,
+            api_token_expires_at: decoded.api_token_expires_at,
             account_id: decoded.account_id,
             connected_at: new Date()
           },
@@ -147,8 +207,8 @@ router.get("/auth/callback", async (req, res) => {
           shop,
           access_token: shopRecord.access_token,
           api_token: decoded.api_token,
-          short_id: decoded.did || decoded.short_id,
-          did: decoded.did || decoded.short_id,
+          short_id: decoded.did,
+          did: decoded.did,
           account_id: decoded.account_id,
           rl_token: decoded.api_token,
           needs_setup: true
@@ -178,34 +238,37 @@ router.get("/auth/callback", async (req, res) => {
       const hostParam = req.query.host || shopBase64;
       return res.redirect(`/?shop=${shop}&host=${hostParam}&embedded=1&connected=1&trigger_setup=1`);
     } catch (err) {
+      if (err instanceof RlTokenError || err instanceof OAuthError) {
+        return renderInstallError(res, err, shop);
+      }
       console.error("RL callback error:", err);
-      return res.status(400).send("Failed to process RabbitLoader token");
+      return renderInstallError(res, new OAuthError("RL_CALLBACK_FAILED", "Failed to process RabbitLoader token"), shop);
     }
   }
 
   // Shopify OAuth
   if (!code || !shop) {
-    return res.status(400).send("Missing authorization code or shop");
+    return renderInstallError(res, new OAuthError("MISSING_CODE", "Missing authorization code or shop"), shop);
   }
 
   try {
-    // HMAC verify
-    const queryObj = { ...req.query };
-    delete queryObj.hmac;
-    delete queryObj.signature;
-
-    const queryString = Object.keys(queryObj)
-      .sort()
-      .map(key => `${key}=${queryObj[key]}`)
-      .join("&");
-
-    const calculatedHmac = crypto
-      .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
-      .update(queryString)
-      .digest("hex");
-
-    if (calculatedHmac !== hmac) {
-      return res.status(401).send("Invalid HMAC");
+    if (!isValidShopDomain(shop)) {
+      throw new OAuthError("INVALID_SHOP", "Invalid shop domain");
+    }
+
+    // HMAC verify (timing-safe)
+    if (!verifyOAuthHmac(req.query)) {
+      throw new OAuthError("INVALID_HMAC", "Request signature could not be verified", 401);
+    }
+
+    if (!isFreshTimestamp(timestamp)) {
+      throw new OAuthError("STALE_REQUEST", "Authorization request has expired", 401);
+    }
+
+    // State must match a nonce we issued for this shop, and only once
+    const stateValid = await AuthNonce.consume(state, shop, OAUTH_STATE_PURPOSE);
+    if (!stateValid) {
+      throw new OAuthError("INVALID_STATE", "Authorization state is invalid or was already used", 401);
     }
 
     // Get Shopify token
@@ -215,111 +278,174 @@ router.get("/auth/callback", async (req, res) => {
       body: JSON.stringify({
         client_id: process.env.SHOPIFY_API_KEY,
         client_secret: process.env.SHOPIFY_API_SECRET,
-        code
+        code,
+        expiring: 1
       })
     });
 
     const tokenData = await tokenResponse.json();
     if (!tokenData.access_token) throw new Error("Token exchange failed");
 
-    const existingShop = await ShopModel.findOne({ shop });
-    const isReinstall = existingShop && !existingShop.access_token && existingShop.short_id;
+    const { isReinstall, restored } = await completeInstall(shop, tokenData.access_token, {
+      ...offlineTokenFields(tokenData),
+      granted_scopes: parseScopes(tokenData.scope),
+      scopes_checked_at: new Date(),
+      auth_method: "oauth"
+    });
 
-    const shopRecord = await ShopModel.findOneAndUpdate(
+    // Redirect to app
+    const shopBase64 = Buffer.from(`${shop}/admin`).toString("base64");
+    const hostParam = req.query.host || shopBase64;
+    return res.redirect(`/?shop=${shop}&host=${hostParam}&embedded=1&shopify_auth=1${isReinstall && !restored ? "&trigger_setup=1" : ""}`);
+
+  } catch (err) {
+    if (err instanceof OAuthError) {
+      return renderInstallError(res, err, shop);
+    }
+    console.error("OAuth callback error:", err);
+    return renderInstallError(res, new OAuthError("AUTH_FAILED", `Authentication failed: ${err.message}`, 500), shop);
+  }
+});
+
+
+// ====== SESSION TOKEN REQUIRED BELOW ======
+// Only the OAuth routes above are reachable without an App Bridge session
+// token; every route below acts on the verified req.shop.
+router.use(requireSessionTokenFor(router));
+
+// ====== TOKEN EXCHANGE (MANAGED INSTALLATION) ======
+
+// Store offline (and optionally online) tokens obtained from the session token
+async function installWithTokenExchange(req, { online = false } = {}) {
+  const shop = req.shop;
+  const sessionToken = getTokenFromRequest(req);
+
+  const offline = await exchangeSessionToken(shop, sessionToken, 'offline');
+  const result = await completeInstall(shop, offline.access_token, {
+    ...offlineTokenFields(offline),
+    granted_scopes: parseScopes(offline.scope),
+    scopes_checked_at: new Date(),
+    auth_method: "token_exchange"
+  });
+
+  if (online) {
+    const onlineToken = await exchangeSessionToken(shop, sessionToken, 'online');
+    await ShopModel.updateOne(
       { shop },
       {
         $set: {
-          shop,
-          access_token: tokenData.access_token,
-          connected_at: new Date(),
-          reauth_required: false,
-          needs_setup: isReinstall ? true : false
+          online_access_token: onlineToken.access_token,
+          online_access_token_expires_at: onlineToken.expires_in
+            ? new Date(Date.now() + onlineToken.expires_in * 1000)
+            : null,
+          online_access_user: onlineToken.associated_user
+            ? {
+                id: onlineToken.associated_user.id,
+                email: onlineToken.associated_user.email,
+                account_owner: onlineToken.associated_user.account_owner
+              }
+            : null
         }
-      },
-      { upsert: true, new: true }
+      }
     );
+  }
 
-    // Sync to RL-Core if RL token already exists
-    try {
-      const { syncShopToCore } = require('../utils/rlCoreApi');
-      await syncShopToCore({
-        shop,
-        access_token: tokenData.access_token,
-        api_token: shopRecord.api_token,
-        short_id: shopRecord.short_id,
-        did: shopRecord.short_id,
-        account_id: shopRecord.account_id,
-        rl_token: shopRecord.api_token,
-        needs_setup: isReinstall
-      });
-    } catch {}
+  await ShopModel.updateOne(
+    { shop },
+    {
+      $push: {
+        history: {
+          event: "install",
+          timestamp: new Date(),
+          details: { via: "token-exchange", online: !!online, reinstall: result.isReinstall, restored: result.restored }
+        }
+      }
+    }
+  );
 
-    // 🧠 AUTO-INJECT on fresh install **and reinstall**
-    if (shopRecord.api_token) {
-      try {
-        console.log(`[AutoInject] Shopify install: ${shop}`);
-        const { injectDeferScript } = require("./shopifyConnect");
-        const { injectCriticalCSSIntoTheme } = require("../app");
+  console.log(`[TokenExchange] ✅ Tokens stored for ${shop}`);
+  return result;
+}
 
-        await injectDeferScript(shop, shopRecord.short_id, tokenData.access_token);
-        await injectCriticalCSSIntoTheme(shop, shopRecord.short_id, tokenData.access_token);
+// Document load from the root route: exchange, then continue to the app
+router.get("/token-exchange", async (req, res) => {
+  const shop = req.shop;
 
-        console.log(`[AutoInject] ✅ Done`);
-      } catch (e) {
-        console.error(`[AutoInject] ❌ Failed:`, e.message);
-      }
-          }
+  try {
+    const { isReinstall, restored } = await installWithTokenExchange(req, { online: req.query.online === "1" });
 
-          // ✅ AUTO-START CRAWLER after OAuth
-    try {
-      console.log(`[Crawler] 🕷️ Triggering crawl for ${shop}...`);
-      const crawlResponse = await fetch(`${process.env.APP_URL}/crawler/start?shop=${encodeURIComponent(shop)}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      });
-      
-      if (crawlResponse.ok) {
-        console.log(`✅ Crawler started for ${shop}`);
-      } else {
-        console.warn(`⚠️ Crawler failed: ${crawlResponse.status}`);
-      }
-    } catch (crawlError) {
-      console.warn(`⚠️ Crawler error:`, crawlError.message);
-    }
+    const params = new URLSearchParams(req.query);
+    params.set("shop", shop);
+    params.delete("online");
+    if (isReinstall && !restored) params.set("trigger_setup", "1");
 
-    // Redirect to app
-    const shopBase64 = Buffer.from(`${shop}/admin`).toString("base64");
-    const hostParam = req.query.host || shopBase64;
-    return res.redirect(`/?shop=${shop}&host=${hostParam}&embedded=1&shopify_auth=1${isReinstall ? "&trigger_setup=1" : ""}`);
+    return res.redirect(`/dashboard?${params.toString()}`);
+  } catch (err) {
+    console.error("[TokenExchange] Install error:", err);
+    // Fall back to the legacy redirect flow
+    return res.redirect(`/shopify/auth?shop=${encodeURIComponent(shop)}`);
+  }
+});
 
+// XHR variant for the embedded frontend (Authorization: Bearer <session token>)
+router.post("/token-exchange", async (req, res) => {
+  const shop = req.shop;
+
+  try {
+    const { isReinstall, restored } = await installWithTokenExchange(req, { online: !!req.body?.online });
+    res.json({ ok: true, shop, installed: true, reinstall: isReinstall, restored });
   } catch (err) {
-    console.error("OAuth callback error:", err);
-    res.status(500).send(`Authentication failed: ${err.message}`);
+    console.error("[TokenExchange] Install error:", err);
+    res.status(502).json({
+      ok: false,
+      error: "Token exchange failed",
+      fallback_url: `/shopify/auth?shop=${encodeURIComponent(shop)}`
+    });
   }
 });
 
+// Everything below talks to the Admin API: granted scopes must cover what we
+// need. Connecting or disconnecting the RabbitLoader account doesn't, so a
+// shop short of a scope can still finish the RL callback.
+const RL_ACCOUNT_PATHS = new Set(["/store-token", "/disconnect"]);
+
+function requireScopesForAdminApi(req, res, next) {
+  if (RL_ACCOUNT_PATHS.has(req.path)) {
+    return next();
+  }
+  return requireGrantedScopes(req, res, next);
+}
+
+router.use(requireScopesForAdminApi);
 
 // ====== RABBITLOADER INTEGRATION ======
 
 // Save RabbitLoader token after RL auth
 router.post("/store-token", async (req, res) => {
-  const { shop, rlToken } = req.body;
+  const shop = req.shop;
+  const { rlToken, rlSignature, state } = req.body;
 
-  if (!shop || !rlToken) {
-    return res.status(400).json({ ok: false, error: "Missing shop or rl-token" });
+  if (!rlToken) {
+    return res.status(400).json({ ok: false, error: "Missing rl-token" });
   }
 
   try {
-    const decoded = JSON.parse(Buffer.from(rlToken, "base64").toString("utf8"));
+    const decoded = verifyRlToken(rlToken, rlSignature);
+
+    const stateValid = await AuthNonce.consume(state, shop, RL_CONNECT_PURPOSE);
+    if (!stateValid) {
+      throw new RlTokenError("INVALID_STATE", "Connection request expired or was not started from this shop");
+    }
 
     const shopRecord = await ShopModel.findOneAndUpdate(
       { shop },
       {
         $set: {
-          short_id: decoded.did || decoded.short_id,
+          short_id: decoded.did,
           api_token: decoded.api_token,
+          api_token_expires_at: decoded.api_token_expires_at,
           account_id: decoded.account_id,
-          connected_at: new Date(decoded.connected_at || Date.now())
+          connected_at: new Date()
         },
         $push: {
           history: {
@@ -341,8 +467,8 @@ router.post("/store-token", async (req, res) => {
         shop,
         access_token: shopRecord.access_token,
         api_token: decoded.api_token,
-        short_id: decoded.did || decoded.short_id,
-        did: decoded.did || decoded.short_id,
+        short_id: decoded.did,
+        did: decoded.did,
         account_id: decoded.account_id,
         rl_token: decoded.api_token
       });
@@ -353,6 +479,10 @@ router.post("/store-token", async (req, res) => {
 
     res.json({ ok: true, message: "RL token stored" });
   } catch (err) {
+    if (err instanceof RlTokenError) {
+      console.warn(`[RL] ❌ Rejected rl-token for ${shop}: ${err.code}`);
+      return res.status(400).json({ ok: false, error: err.message, code: err.code });
+    }
     console.error("store-token error:", err);
     res.status(500).json({ ok: false, error: "Failed to store RL token" });
   }
@@ -360,8 +490,7 @@ router.post("/store-token", async (req, res) => {
 
 // Status check
 router.get("/status", async (req, res) => {
-  const { shop } = req.query;
-  if (!shop) return res.status(400).json({ ok: false, error: "Missing shop" });
+  const shop = req.shop;
 
   try {
     const record = await ShopModel.findOne({ shop });
@@ -373,7 +502,10 @@ router.get("/status", async (req, res) => {
         shop: record.shop,
         connected_at: record.connected_at,
         script_injected: record.script_injected || false,
-        did: record.short_id
+        injected_theme_ids: record.injected_theme_ids || [],
+        injection_error: record.last_injection_error || null,
+        did: record.short_id,
+        ...rlTokenStatus(record)
       });
     }
 
@@ -384,10 +516,64 @@ router.get("/status", async (req, res) => {
   }
 });
 
+// Onboarding progress (one entry per pipeline step)
+router.get("/onboarding", async (req, res) => {
+  const shop = req.shop;
+
+  try {
+    const record = await ShopModel.findOne({ shop });
+    if (!record) {
+      return res.status(404).json({ ok: false, error: "Shop not found" });
+    }
+
+    const { onboardingSteps } = require("../utils/onboarding");
+    res.json({
+      ok: true,
+      shop,
+      status: record.onboarding?.status || "pending",
+      started_at: record.onboarding?.started_at || null,
+      completed_at: record.onboarding?.completed_at || null,
+      running: !!(record.onboarding?.locked_until && record.onboarding.locked_until > new Date()),
+      steps: onboardingSteps(record)
+    });
+  } catch (err) {
+    console.error("onboarding status error:", err);
+    res.status(500).json({ ok: false, error: "Failed to fetch onboarding status" });
+  }
+});
+
+// Retry onboarding: body { step? } re-runs one step, otherwise resumes
+// from the first step that hasn't succeeded
+router.post("/onboarding/retry", async (req, res) => {
+  const shop = req.shop;
+  const { step } = req.body || {};
+  const { startOnboarding, STEP_NAMES } = require("../utils/onboarding");
+
+  if (step && !STEP_NAMES.includes(step)) {
+    return res.status(400).json({ ok: false, error: `Unknown step, expected one of: ${STEP_NAMES.join(", ")}` });
+  }
+
+  try {
+    const record = await ShopModel.findOne({ shop });
+    if (!record?.access_token) {
+      return res.status(400).json({ ok: false, error: "No access token" });
+    }
+    if (record.onboarding?.locked_until && record.onboarding.locked_until > new Date()) {
+      return res.status(409).json({ ok: false, error: "Onboarding is already running" });
+    }
+
+    // Steps like the crawl can take minutes; poll GET /onboarding for progress
+    startOnboarding(shop, { step, force: !!step });
+    res.status(202).json({ ok: true, message: step ? `Retrying ${step}` : "Resuming onboarding" });
+  } catch (err) {
+    console.error("onboarding retry error:", err);
+    res.status(500).json({ ok: false, error: "Failed to retry onboarding" });
+  }
+});
+
 // Disconnect
 router.post("/disconnect", async (req, res) => {
-  const { shop } = req.body;
-  if (!shop) return res.status(400).json({ ok: false, error: "Missing shop" });
+  const shop = req.shop;
 
   try {
     await ShopModel.updateOne(
@@ -395,6 +581,7 @@ router.post("/disconnect", async (req, res) => {
       {
         $unset: { 
           api_token: "", 
+          api_token_expires_at: "",
           short_id: "",
           script_injected: "",
           script_injection_attempted: ""
@@ -420,10 +607,7 @@ router.post("/disconnect", async (req, res) => {
 
 // Manual theme injection route
 router.post("/inject-script", async (req, res) => {
-  const { shop } = req.body;
-  if (!shop) {
-    return res.status(400).json({ ok: false, error: "Missing shop parameter" });
-  }
+  const shop = req.shop;
 
   try {
     const shopRecord = await ShopModel.findOne({ shop });
@@ -450,12 +634,11 @@ router.post("/inject-script", async (req, res) => {
     const cssResult = await injectCriticalCSSIntoTheme(shop, shopRecord.short_id, shopRecord.access_token);
     
     // Update local database
+    await shopifyConnectModule.recordInjectionResult(shop, deferResult);
     await ShopModel.updateOne(
       { shop }, 
       { 
         $set: { 
-          script_injected: deferResult.success,
-          script_injection_attempted: true,
           critical_css_injected: cssResult.success,
           critical_css_injection_attempted: true
         } 
@@ -495,10 +678,7 @@ router.post("/inject-script", async (req, res) => {
 
 // Get RabbitLoader dashboard data - ROBUST API handling
 router.get("/dashboard-data", async (req, res) => {
-  const { shop } = req.query;
-  if (!shop) {
-    return res.status(400).json({ ok: false, error: "Missing shop parameter" });
-  }
+  const shop = req.shop;
 
   try {
     const shopRecord = await ShopModel.findOne({ shop });
@@ -552,10 +732,7 @@ router.get("/dashboard-data", async (req, res) => {
 
 // Configuration interface route
 router.get("/configure-defer", async (req, res) => {
-  const { shop } = req.query;
-  if (!shop) {
-    return res.status(400).send("Missing shop parameter");
-  }
+  const shop = req.shop;
 
   try {
     // Verify shop exists and is connected
@@ -797,10 +974,7 @@ router.get("/configure-defer", async (req, res) => {
 
 // Debug routes
 router.get("/debug-shop", async (req, res) => {
-  const { shop } = req.query;
-  if (!shop) {
-    return res.status(400).json({ error: "Missing shop parameter" });
-  }
+  const shop = req.shop;
 
   try {
     const shopRecord = await ShopModel.findOne({ shop });
@@ -828,10 +1002,7 @@ router.get("/debug-shop", async (req, res) => {
 
 // Get manual installation instructions - DEFER SCRIPT ONLY
 router.get("/manual-instructions", async (req, res) => {
-  const { shop } = req.query;
-  if (!shop) {
-    return res.status(400).json({ ok: false, error: "Missing shop parameter" });
-  }
+  const shop = req.shop;
 
   try {
     const shopRecord = await ShopModel.findOne({ shop });
@@ -1,32 +1,46 @@
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
 const ShopModel = require("../models/Shop");
+const AuthNonce = require("../models/AuthNonce");
 const { shopifyRequest } = require("../utils/shopifyApi");
 const { syncReportData } = require("../utils/rlReportService");
+const { requireSessionTokenFor } = require("../utils/sessionToken");
+const { isValidShopDomain } = require("../utils/shopifyOAuth");
+const {
+  RL_CONNECT_PURPOSE,
+  RlTokenError,
+  verifyRlToken,
+  verifyRlApiToken,
+  rlTokenStatus
+} = require("../utils/rlToken");
 
 // Helper function to inject defer script
-async function injectDeferScript(shop, did, accessToken) {
+// Pass themeId to target a specific theme; defaults to the published (main) one.
+async function injectDeferScript(shop, did, accessToken, themeId = null) {
   console.log(`[RL] Attempting auto defer script injection for ${shop} with DID: ${did}`);
 
   try {
-    // Get active theme
-    const themesData = await shopifyRequest(shop, "themes.json");
-    if (!themesData.ok) {
-      if (themesData.error === "TOKEN_EXPIRED") {
-        console.log(`[RL] Token expired for ${shop}, marking for reauth`);
-        return {
-          success: false,
-          error: "TOKEN_EXPIRED",
-          message: "Access token expired - shop needs to re-authenticate"
-        };
-      }
-      throw new Error(themesData.error || 'Failed to fetch themes');
-    }
+    let activeTheme = themeId ? { id: themeId } : null;
 
-    const activeTheme = themesData.themes?.find(theme => theme.role === 'main');
     if (!activeTheme) {
-      throw new Error("No active theme found");
+      // Get active theme
+      const themesData = await shopifyRequest(shop, "themes.json");
+      if (!themesData.ok) {
+        if (themesData.error === "TOKEN_EXPIRED") {
+          console.log(`[RL] Token expired for ${shop}, marking for reauth`);
+          return {
+            success: false,
+            error: "TOKEN_EXPIRED",
+            message: "Access token expired - shop needs to re-authenticate"
+          };
+        }
+        throw new Error(themesData.error || 'Failed to fetch themes');
+      }
+
+      activeTheme = themesData.themes?.find(theme => theme.role === 'main');
+      if (!activeTheme) {
+        throw new Error("No active theme found");
+      }
     }
 
     // Get theme.liquid file
@@ -56,7 +70,7 @@ async function injectDeferScript(shop, did, accessToken) {
       themeContent.includes('RabbitLoader Defer Configuration')
     ) {
       console.log(`[RL] Defer script already exists in theme for ${shop}`);
-      return { success: true, message: "Defer script already exists", already_exists: true };
+      return { success: true, message: "Defer script already exists", already_exists: true, theme_id: activeTheme.id };
     }
 
     // Inject script at the top of <head> for optimal PSI performance
@@ -100,26 +114,51 @@ async function injectDeferScript(shop, did, accessToken) {
     }
 
     console.log(`[RL] ✅ Defer script injected successfully for ${shop}`);
-    return { success: true, message: "Defer script injected successfully" };
+    return { success: true, message: "Defer script injected successfully", theme_id: activeTheme.id };
 
   } catch (error) {
     console.error(`[RL] ❌ Script injection failed for ${shop}:`, error.message);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, theme_id: themeId };
   }
 }
 
+// Persist an injection outcome: which themes carry the snippet, and the
+// last error (surfaced on the dashboard via /shopify/status and RL Core)
+async function recordInjectionResult(shop, result) {
+  const update = result.success
+    ? {
+        $set: {
+          script_injected: true,
+          script_injection_attempted: true,
+          last_injection_error: null
+        },
+        ...(result.theme_id ? { $addToSet: { injected_theme_ids: Number(result.theme_id) } } : {})
+      }
+    : {
+        $set: {
+          script_injected: false,
+          script_injection_attempted: true,
+          last_injection_error: {
+            message: result.message || result.error,
+            theme_id: result.theme_id ? Number(result.theme_id) : null,
+            at: new Date()
+          }
+        }
+      };
+
+  return ShopModel.updateOne({ shop }, update);
+}
+
 // ====== RL CALLBACK ======
 router.get("/rl-callback", async (req, res) => {
   console.log("[RL] ========================================");
   console.log("[RL] CALLBACK RECEIVED");
   console.log("[RL] ========================================");
-  console.log("[RL] Full URL:", req.url);
-  console.log("[RL] Query params:", JSON.stringify(req.query, null, 2));
   console.log("[RL] Referer:", req.get('referer'));
   console.log("[RL] User-Agent:", req.get('user-agent'));
   
   try {
-    const { shop, host, 'rl-token': rlToken } = req.query;
+    const { shop, host, state, 'rl-token': rlToken, 'rl-signature': rlSignature } = req.query;
     console.log("[RL] Extracted params:", { hasRlToken: !!rlToken, shop, host });
 
     if (!shop || !rlToken) {
@@ -127,16 +166,26 @@ router.get("/rl-callback", async (req, res) => {
       return res.status(400).send("Invalid callback parameters: missing shop or rl-token");
     }
 
-    // Decode token
-    console.log("[RL] Decoding rl-token...");
-    const decoded = JSON.parse(Buffer.from(rlToken, 'base64').toString('utf8'));
-    console.log("[RL] Decoded token:", { 
-      hasDid: !!decoded.did, 
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).send("Invalid callback parameters: invalid shop domain");
+    }
+
+    // Verify token signature / expiry before trusting anything in it
+    console.log("[RL] Verifying rl-token...");
+    const decoded = verifyRlToken(rlToken, rlSignature);
+    console.log("[RL] Verified token:", { 
       hasApiToken: !!decoded.api_token,
       did: decoded.did,
-      account_id: decoded.account_id 
+      account_id: decoded.account_id,
+      expires_at: decoded.api_token_expires_at
     });
 
+    // Must come back to the shop that started /rl/rl-connect (single use)
+    const stateValid = await AuthNonce.consume(state, shop, RL_CONNECT_PURPOSE);
+    if (!stateValid) {
+      throw new RlTokenError("INVALID_STATE", "Connection request expired or was not started from this shop");
+    }
+
     // Save tokens to MongoDB
     console.log("[RL] Saving to MongoDB...");
     const shopData = await ShopModel.findOneAndUpdate(
@@ -144,6 +193,7 @@ router.get("/rl-callback", async (req, res) => {
       { 
         $set: {
           api_token: decoded.api_token,      // RL token (JWT)
+          api_token_expires_at: decoded.api_token_expires_at,
           short_id: decoded.did,             // RL domain ID
           account_id: decoded.account_id,
           connected_at: new Date()
@@ -184,10 +234,11 @@ router.get("/rl-callback", async (req, res) => {
           shopData.access_token
         );
         
+        await recordInjectionResult(shop, injectResult);
+
         if (injectResult.success) {
           await ShopModel.updateOne({ shop }, { 
             $set: { 
-              script_injected: true,
               critical_css_injected: true
             }
           });
@@ -209,25 +260,28 @@ router.get("/rl-callback", async (req, res) => {
     res.redirect(redirectUrl);
 
   } catch (error) {
+    if (error instanceof RlTokenError) {
+      console.warn(`[RL] ❌ Rejected rl-token: ${error.code}`);
+      return res.status(400).send(`RabbitLoader connection rejected: ${error.message} (${error.code})`);
+    }
     console.error("[RL] ❌ Callback error:", error);
     console.error("[RL] Stack:", error.stack);
     res.status(500).send("Callback failed: " + error.message);
   }
 });
 
+// The RL callback above is a redirect back from rabbitloader.com; everything
+// below is called from the embedded app and needs a session token. None of
+// it uses the Admin API, so granted scopes aren't checked here.
+router.use(requireSessionTokenFor(router));
+
 // Connect to RabbitLoader
 router.get("/rl-connect", async (req, res) => {
-  const { shop, host } = req.query;
+  const shop = req.shop;
+  const { host } = req.query;
   
   console.log(`[RL] ========================================`);
   console.log(`[RL] Connect request for: ${shop}`);
-  
-  if (!shop) {
-    return res.status(400).json({ 
-      ok: false, 
-      error: "Shop parameter required" 
-    });
-  }
 
   try {
     const connectUrl = new URL('https://rabbitloader.com/account/');
@@ -235,8 +289,12 @@ router.get("/rl-connect", async (req, res) => {
     connectUrl.searchParams.set('action', 'connect');
     connectUrl.searchParams.set('site_url', `https://${shop}`);
     
+    // Single-use nonce binds the callback to this shop
+    const state = await AuthNonce.issue(shop, RL_CONNECT_PURPOSE);
+
     const redirectUrl = new URL('/rl/rl-callback', process.env.APP_URL);
     redirectUrl.searchParams.set('shop', shop);
+    redirectUrl.searchParams.set('state', state);
     if (host) {
       redirectUrl.searchParams.set('host', host);
     }
@@ -263,16 +321,9 @@ router.get("/rl-connect", async (req, res) => {
 
 // Disconnect from RabbitLoader
 router.get("/rl-disconnect", async (req, res) => {
-  const { shop } = req.query;
+  const shop = req.shop;
   
   console.log(`[RL] Disconnect request for: ${shop}`);
-  
-  if (!shop) {
-    return res.status(400).json({ 
-      ok: false, 
-      error: "Shop parameter required" 
-    });
-  }
 
   try {
     await ShopModel.updateOne(
@@ -280,6 +331,7 @@ router.get("/rl-disconnect", async (req, res) => {
       {
         $unset: { 
           api_token: "", 
+          api_token_expires_at: "",
           short_id: "",
           script_injected: "",
           script_injection_attempted: "",
@@ -329,6 +381,10 @@ router.get("/debug/:shop", async (req, res) => {
   
   try {
     const shopDomain = shop.endsWith(".myshopify.com") ? shop : `${shop}.myshopify.com`;
+    if (shopDomain !== req.shop) {
+      return res.status(403).json({ error: "Shop does not match session" });
+    }
+
     const shopRecord = await ShopModel.findOne({ shop: shopDomain });
     
     if (!shopRecord) {
@@ -347,6 +403,7 @@ router.get("/debug/:shop", async (req, res) => {
       injection_attempted: shopRecord.script_injection_attempted || false,
       connected_at: shopRecord.connected_at,
       did: shopRecord.short_id,
+      ...rlTokenStatus(shopRecord),
       history: shopRecord.history || []
     });
   } catch (error) {
@@ -355,12 +412,28 @@ router.get("/debug/:shop", async (req, res) => {
 });
 // ====== SAVE RL TOKEN ======
 router.post("/save-token", async (req, res) => {
-  const { shop, did, api_token } = req.body;
+  const shop = req.shop;
+  const { did: requestedDid, api_token } = req.body;
   
   console.log(`[RL] Save token request for shop: ${shop}`);
-  
-  if (!shop || !did) {
-    return res.status(400).json({ ok: false, error: "Shop and did are required" });
+
+  // The domain ID comes from the verified token, never from the body alone
+  let apiTokenInfo;
+  try {
+    apiTokenInfo = verifyRlApiToken(api_token);
+    if (!apiTokenInfo.signatureVerified) {
+      throw new RlTokenError("UNVERIFIED_API_TOKEN", "api_token could not be verified");
+    }
+    if (!apiTokenInfo.did) {
+      throw new RlTokenError("MISSING_DID", "api_token has no did claim");
+    }
+    if (requestedDid && requestedDid !== apiTokenInfo.did) {
+      throw new RlTokenError("DID_MISMATCH", "did does not match the api_token");
+    }
+  } catch (error) {
+    if (!(error instanceof RlTokenError)) throw error;
+    console.warn(`[RL] ❌ Rejected api_token for ${shop}: ${error.code}`);
+    return res.status(400).json({ ok: false, error: error.message, code: error.code });
   }
 
   try {
@@ -369,7 +442,8 @@ router.post("/save-token", async (req, res) => {
       {
         $set: {
           api_token: api_token,
-          short_id: did,
+          api_token_expires_at: apiTokenInfo.expiresAt,
+          short_id: apiTokenInfo.did,
           connected_at: new Date(),
           needs_setup: false
         }
@@ -396,4 +470,6 @@ router.post("/save-token", async (req, res) => {
     res.status(500).json({ ok: false, error: error.message });
   }
 });
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.injectDeferScript = injectDeferScript;
+module.exports.recordInjectionResult = recordInjectionResult;
\ No newline at end of file
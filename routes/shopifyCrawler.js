@@ -1,28 +1,38 @@
 // routes/shopifyCrawler.js
-// Crawls Shopify store and syncs pages to rl-core
+// Crawl control and status API (crawl engine: utils/siteCrawler.js)
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const mongoose = require('mongoose');
 const ShopModel = require('../models/Shop');
-const { shopifyRequest, shopifyGraphQL } = require('../utils/shopifyApi');
+const CrawlJob = require('../models/CrawlJob');
+const { startBackgroundCrawl, cancelCrawlJob, crawlJobProgress } = require('../utils/siteCrawler');
+const { diffCrawls } = require('../utils/crawlSnapshots');
+const { listCrawlExclusions } = require('../utils/crawlItems');
+const { EXCLUSION_REASONS } = require('../utils/publicationFilter');
+const { requireSessionTokenFor } = require('../utils/sessionToken');
+const { requireGrantedScopes } = require('../utils/scopes');
+const { rlTokenStatus } = require('../utils/rlToken');
 
-const RL_CORE_URL = process.env.RL_CORE_URL || 'http://localhost:4000';
+router.use(requireSessionTokenFor(router));
+
+// Only an explicit Admin API crawl needs the granted scopes. The sitemap
+// source reads the public storefront, and without a source the crawler
+// falls back to it when read_products is missing.
+function requireScopesForAdminApi(req, res, next) {
+  if (req.body?.source !== 'admin_api') {
+    return next();
+  }
+  return requireGrantedScopes(req, res, next);
+}
 
 // ============================================================
 // POST /crawler/start - Start full site crawl
 // ============================================================
-router.post('/start', async (req, res) => {
-  const { shop } = req.query;
+router.post('/start', requireScopesForAdminApi, async (req, res) => {
+  const shop = req.shop;
   
   console.log(`[Crawler] Starting crawl for: ${shop}`);
-  
-  if (!shop) {
-    return res.status(400).json({
-      ok: false,
-      error: 'Shop parameter required'
-    });
-  }
 
   try {
     const shopRecord = await ShopModel.findOne({ shop });
@@ -53,26 +63,24 @@ router.post('/start', async (req, res) => {
       });
     }
 
-    // Start crawl in background
+    // Optional body.source: 'admin_api' | 'sitemap' (default picked from granted scopes)
+    const { source } = req.body || {};
+    if (source && !['admin_api', 'sitemap'].includes(source)) {
+      return res.status(400).json({ ok: false, error: "source must be 'admin_api' or 'sitemap'" });
+    }
+
+    // Queue and run in background (an active crawl is reused, not duplicated)
+    const { job, existing } = await startBackgroundCrawl(shop, { trigger: 'manual', source });
+
     res.json({
       ok: true,
-      message: 'Site crawl started',
+      message: existing ? 'Site crawl already in progress' : 'Site crawl started',
       shop,
+      job_id: job._id,
+      existing,
       estimated_time: '30-60 seconds'
     });
 
-    // Run crawl asynchronously
-    crawlShopifyStore(shop, shopRecord.access_token).catch(err => {
-      console.error(`[Crawler] Error crawling ${shop}:`, err);
-      
-      // Mark shop for reauth if token expired
-      if (err.message === 'TOKEN_EXPIRED') {
-        ShopModel.updateOne({ shop }, { 
-          $set: { reauth_required: true }
-        }).catch(e => console.error('Failed to mark reauth:', e));
-      }
-    });
-
   } catch (error) {
     console.error('[Crawler] Start error:', error);
     res.status(500).json({
@@ -83,384 +91,219 @@ router.post('/start', async (req, res) => {
   }
 });
 
+function describeExclusions(summary) {
+  if (!summary) return null;
+  return {
+    ...summary,
+    reasons: Object.fromEntries(Object.keys(summary.by_reason || {}).map(reason => [reason, EXCLUSION_REASONS[reason] || reason]))
+  };
+}
+
 // ============================================================
-// Main crawl function
+// GET /crawler/status - Check crawl status
 // ============================================================
-async function crawlShopifyStore(shop, accessToken) {
-  console.log(`[Crawler] 🕷️  Crawling ${shop}...`);
+router.get('/status', async (req, res) => {
+  const shop = req.shop;
   
-  const startTime = Date.now();
-  const templateGroups = {};
-
   try {
-    // ============================================================
-    // 1. Fetch Products via GraphQL (paginated)
-    // ============================================================
-    console.log(`[Crawler] Fetching products...`);
-    
-    let products = [];
-    let hasNextPage = true;
-    let cursor = null;
-    
-    while (hasNextPage) {
-      const query = `
-        query GetProducts($cursor: String) {
-          products(first: 250, after: $cursor) {
-            edges {
-              cursor
-              node {
-                id
-                handle
-                title
-                onlineStoreUrl
-                status
-              }
-            }
-            pageInfo {
-              hasNextPage
-            }
-          }
-        }
-      `;
-      
-      const variables = cursor ? { cursor } : {};
-      const response = await shopifyGraphQL(shop, query, variables);
-      
-      // ✅ Handle token expiration
-      if (!response.ok && response.error === "TOKEN_EXPIRED") {
-        console.error(`[Crawler] Token expired for ${shop}`);
-        throw new Error('TOKEN_EXPIRED');
-      }
-      
-      if (!response.data?.products) break;
-      
-      const edges = response.data.products.edges;
-      edges.forEach(edge => {
-        const product = edge.node;
-        if (product.status === 'ACTIVE' && product.onlineStoreUrl) {
-          products.push({
-            id: product.id,
-            handle: product.handle,
-            title: product.title,
-            url: `/products/${product.handle}`,
-            full_url: product.onlineStoreUrl
-          });
-        }
-      });
-      
-      hasNextPage = response.data.products.pageInfo.hasNextPage;
-      cursor = edges.length > 0 ? edges[edges.length - 1].cursor : null;
-      
-      console.log(`[Crawler] Fetched ${products.length} products so far...`);
-    }
-    
-    console.log(`[Crawler] ✅ Total products: ${products.length}`);
-    
-    // Group products by template
-    templateGroups['product'] = {
-      count: products.length,
-      sample_page: products.length > 0 ? products[0].url : null,
-      pages: products.map(p => ({
-        id: p.id,
-        url: p.url,
-        title: p.title,
-        handle: p.handle,
-        critical_css_enabled: true,
-        js_defer_rules: []
-      }))
-    };
-
-    // ============================================================
-    // 2. Fetch Collections via GraphQL (paginated)
-    // ============================================================
-    console.log(`[Crawler] Fetching collections...`);
-    
-    let collections = [];
-    hasNextPage = true;
-    cursor = null;
+    const shopRecord = await ShopModel.findOne({ shop });
     
-    while (hasNextPage) {
-      const query = `
-        query GetCollections($cursor: String) {
-          collections(first: 250, after: $cursor) {
-            edges {
-              cursor
-              node {
-                id
-                handle
-                title
-              }
-            }
-            pageInfo {
-              hasNextPage
-            }
-          }
-        }
-      `;
-      
-      const variables = cursor ? { cursor } : {};
-      const response = await shopifyGraphQL(shop, query, variables);
-      
-      // Handle token expiration
-      if (!response.ok && response.error === "TOKEN_EXPIRED") {
-        console.error(`[Crawler] Token expired for ${shop}`);
-        throw new Error('TOKEN_EXPIRED');
-      }
-      
-      if (!response.data?.collections) break;
-      
-      const edges = response.data.collections.edges;
-      edges.forEach(edge => {
-        const collection = edge.node;
-        if (collection.handle) {
-          collections.push({
-            id: collection.id,
-            handle: collection.handle,
-            title: collection.title,
-            url: `/collections/${collection.handle}`,
-            full_url: `https://${shop}/collections/${collection.handle}`
-          });
-        }
+    if (!shopRecord) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Shop not found'
       });
-      
-      hasNextPage = response.data.collections.pageInfo.hasNextPage;
-      cursor = edges.length > 0 ? edges[edges.length - 1].cursor : null;
-      
-      console.log(`[Crawler] Fetched ${collections.length} collections so far...`);
-    }
-    
-    console.log(`[Crawler] ✅ Total collections: ${collections.length}`);
-    
-    // Group collections by template
-    if (collections.length > 0) {
-      templateGroups['collection'] = {
-        count: collections.length,
-        sample_page: collections[0].url,
-        pages: collections.map(c => ({
-          id: c.id,
-          url: c.url,
-          title: c.title,
-          handle: c.handle,
-          critical_css_enabled: true,
-          js_defer_rules: []
-        }))
-      };
     }
 
-    // ============================================================
-    // 3. Fetch Pages via REST API
-    // ============================================================
-    console.log(`[Crawler] Fetching pages...`);
-    
-    const pagesResponse = await shopifyRequest(shop, 'pages.json?limit=250');
-    
-    // Handle token expiration
-    if (!pagesResponse.ok && pagesResponse.error === "TOKEN_EXPIRED") {
-      console.error(`[Crawler] Token expired for ${shop}`);
-      throw new Error('TOKEN_EXPIRED');
-    }
-    
-    const pages = [];
-    if (pagesResponse.pages) {
-      pagesResponse.pages.forEach(page => {
-        pages.push({
-          id: `page_${page.id}`,
-          handle: page.handle,
-          title: page.title,
-          url: `/pages/${page.handle}`,
-          full_url: `https://${shop}/pages/${page.handle}`
-        });
+    const latestJob = await CrawlJob.findOne({ shop }).sort({ queued_at: -1 });
+
+    res.json({
+      ok: true,
+      shop,
+      authenticated: !!shopRecord.access_token,
+      connected_to_rl: !!shopRecord.api_token,
+      ...rlTokenStatus(shopRecord),
+      crawl: crawlJobProgress(latestJob),
+      // Why some URLs aren't being optimized (last completed crawl)
+      exclusions: describeExclusions(shopRecord.site_structure?.exclusions),
+      last_crawl_at: shopRecord.last_crawl_at,
+      last_crawl_pages: shopRecord.last_crawl_pages,
+      setup_in_progress: shopRecord.setup_in_progress,
+      setup_failed: shopRecord.setup_failed,
+      reauth_required: shopRecord.reauth_required || false
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================
+// GET /crawler/sitemap-report - Sitemap vs Admin API catalog diff
+// ============================================================
+router.get('/sitemap-report', async (req, res) => {
+  const shop = req.shop;
+
+  try {
+    const job = await CrawlJob.findOne(
+      { shop, status: 'succeeded', sitemap_report: { $exists: true } }
+    ).sort({ finished_at: -1 });
+
+    if (!job) {
+      return res.status(404).json({
+        ok: false,
+        error: 'No sitemap report yet, run a crawl first'
       });
     }
-    
-    console.log(`[Crawler] ✅ Total pages: ${pages.length}`);
-    
-    if (pages.length > 0) {
-      templateGroups['page'] = {
-        count: pages.length,
-        sample_page: pages[0].url,
-        pages: pages.map(p => ({
-          id: p.id,
-          url: p.url,
-          title: p.title,
-          handle: p.handle,
-          critical_css_enabled: true,
-          js_defer_rules: []
-        }))
-      };
-    }
 
-    // ============================================================
-    // 4. Add Homepage
-    // ============================================================
-    templateGroups['index'] = {
-      count: 1,
-      sample_page: '/',
-      pages: [{
-        id: 'homepage',
-        url: '/',
-        title: 'Home',
-        handle: 'index',
-        critical_css_enabled: true,
-        js_defer_rules: []
-      }]
-    };
-
-    // ============================================================
-    // 5. Get Active Theme
-    // ============================================================
-    let activeThemeName = 'Unknown';
-    try {
-      const themesData = await shopifyRequest(shop, 'themes.json');
-      if (themesData.ok) {
-        const activeTheme = themesData.themes?.find(t => t.role === 'main');
-        if (activeTheme) {
-          activeThemeName = activeTheme.name;
-        }
-      }
-    } catch (err) {
-      console.warn(`[Crawler] Could not fetch theme: ${err.message}`);
-    }
+    res.json({
+      ok: true,
+      shop,
+      job_id: job._id,
+      crawled_at: job.finished_at,
+      report: job.sitemap_report
+    });
 
-    // ============================================================
-    // 6. Calculate totals
-    // ============================================================
-    const totalPages = Object.values(templateGroups).reduce((sum, group) => sum + group.count, 0);
-    
-    const crawlTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    
-    console.log(`[Crawler] ✅ Crawl complete in ${crawlTime}s`);
-    console.log(`[Crawler] Total: ${totalPages} pages across ${Object.keys(templateGroups).length} templates`);
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+});
 
-    // ============================================================
-    // 7. Send to RL Core (ONLY if api_token exists)
-    // ============================================================
-    const shopRecord = await ShopModel.findOne({ shop });
+// ============================================================
+// GET /crawler/exclusions?resource=&reason= - URLs the last crawl left out, and why
+// ============================================================
+router.get('/exclusions', async (req, res) => {
+  const shop = req.shop;
+  const { resource, reason } = req.query;
 
-    if (shopRecord.api_token) {
-      console.log('[Crawler] Sending data to RL Core...');
-      
-      const siteData = {
-        template_groups: templateGroups,
-        total_pages: totalPages,
-        active_theme: activeThemeName
-      };
-
-      try {
-        const rlCoreResponse = await axios.post(
-          `${RL_CORE_URL}/site-analysis/analyze`,
-          { site_data: siteData },
-          {
-           headers: {
-  'Content-Type': 'application/json',
-  'X-Shop': shop,
-  'X-Platform': 'shopify',
-  'X-API-Key': process.env.INTERNAL_API_KEY || 'rl-internal'
-},
-            timeout: 30000
-          }
-        );
-
-        if (rlCoreResponse.data.ok) {
-          console.log(`[Crawler] ✅ Data sent to RL Core successfully`);
-        } else {
-          console.warn(`[Crawler] ⚠️ RL Core rejected site data:`, rlCoreResponse.data);
-        }
-      } catch (rlCoreError) {
-        console.error(`[Crawler] ⚠️ Failed to send to RL Core:`, rlCoreError.message);
-        // Continue anyway - don't fail the crawl
-      }
-    } else {
-      console.log('[Crawler] ⚠️ Skipping RL Core sync - no api_token (RabbitLoader not connected yet)');
+  const resources = ['products', 'collections', 'pages', 'blogs', 'articles'];
+  if (resource && !resources.includes(resource)) {
+    return res.status(400).json({ ok: false, error: `resource must be one of: ${resources.join(', ')}` });
+  }
+  if (reason && !EXCLUSION_REASONS[reason]) {
+    return res.status(400).json({ ok: false, error: `reason must be one of: ${Object.keys(EXCLUSION_REASONS).join(', ')}` });
+  }
+
+  try {
+    const job = await CrawlJob.findOne(
+      { shop, status: 'succeeded', source: 'admin_api' },
+      { finished_at: 1 }
+    ).sort({ finished_at: -1 });
+
+    if (!job) {
+      return res.status(404).json({
+        ok: false,
+        error: 'No completed catalog crawl yet, run a crawl first'
+      });
     }
 
-    // ============================================================
-    // 8. Update local shop record (ALWAYS, regardless of RL Core)
-    // ============================================================
-    await ShopModel.updateOne(
-      { shop },
-      {
-        $set: {
-          setup_in_progress: false,
-          setup_failed: false,  // ✅ Mark as successful
-          last_crawl_at: new Date(),
-          last_crawl_pages: totalPages,
-          site_structure: {
-            template_groups: templateGroups,
-            total_pages: totalPages,
-            active_theme: activeThemeName,
-            last_crawled: new Date()
-          }
-        },
-        $push: {
-          history: {
-            event: 'site_crawl_completed',
-            timestamp: new Date(),
-            details: {
-              total_pages: totalPages,
-              templates: Object.keys(templateGroups).length,
-              duration_seconds: parseFloat(crawlTime),
-              rl_core_synced: !!shopRecord.api_token
-            }
-          }
-        }
-      }
-    );
+    const entries = (await listCrawlExclusions(job._id, { resource, reason })).map(entry => ({
+      ...entry,
+      description: EXCLUSION_REASONS[entry.reason] || entry.reason
+    }));
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
 
-    console.log(`[Crawler] 🎉 All done for ${shop}!`);
+    res.json({
+      ok: true,
+      shop,
+      job_id: job._id,
+      crawled_at: job.finished_at,
+      total: entries.length,
+      excluded: entries.slice(0, limit),
+      truncated: entries.length > limit
+    });
 
   } catch (error) {
-    console.error(`[Crawler] ❌ Crawl failed for ${shop}:`, error.message);
-    
-    await ShopModel.updateOne(
-      { shop },
-      {
-        $set: {
-          setup_in_progress: false,
-          setup_failed: true,
-          reauth_required: error.message === 'TOKEN_EXPIRED'
-        },
-        $push: {
-          history: {
-            event: 'site_crawl_failed',
-            timestamp: new Date(),
-            details: { error: error.message }
-          }
-        }
-      }
-    );
-    
-    throw error;
+    res.status(500).json({
+      ok: false,
+      error: error.message
+    });
   }
-}
+});
 
 // ============================================================
-// GET /crawler/status - Check crawl status
+// GET /crawler/diff?from=<jobId>&to=<jobId> - What changed between two crawls
+// (defaults: to = latest crawl, from = the one before it)
 // ============================================================
-router.get('/status', async (req, res) => {
-  const { shop } = req.query;
-  
+router.get('/diff', async (req, res) => {
+  const shop = req.shop;
+  const { from, to } = req.query;
+
+  for (const jobId of [from, to]) {
+    if (jobId && !mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid job id' });
+    }
+  }
+
   try {
-    const shopRecord = await ShopModel.findOne({ shop });
-    
-    if (!shopRecord) {
+    const diff = await diffCrawls(shop, { fromJobId: from || null, toJobId: to || null });
+
+    if (!diff) {
       return res.status(404).json({
         ok: false,
-        error: 'Shop not found'
+        error: from || to ? 'No snapshot for that crawl' : 'No crawl snapshots yet, run a crawl first'
       });
     }
 
+    // Long lists are cut; summary always has the full counts
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    const truncated = ['added', 'removed', 'changed'].some(key => diff[key].length > limit);
+
     res.json({
       ok: true,
       shop,
-      authenticated: !!shopRecord.access_token,
-      connected_to_rl: !!shopRecord.api_token,
-      last_crawl_at: shopRecord.last_crawl_at,
-      last_crawl_pages: shopRecord.last_crawl_pages,
-      setup_in_progress: shopRecord.setup_in_progress,
-      setup_failed: shopRecord.setup_failed,
-      reauth_required: shopRecord.reauth_required || false
+      from: diff.from,
+      to: diff.to,
+      summary: diff.summary,
+      added: diff.added.slice(0, limit),
+      removed: diff.removed.slice(0, limit),
+      changed: diff.changed.slice(0, limit),
+      truncated
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message
     });
+  }
+});
+
+// ============================================================
+// DELETE /crawler/:jobId - Cancel a queued or running crawl
+// ============================================================
+router.delete('/:jobId', async (req, res) => {
+  const shop = req.shop;
+  const { jobId } = req.params;
+
+  if (!mongoose.isValidObjectId(jobId)) {
+    return res.status(400).json({ ok: false, error: 'Invalid job id' });
+  }
+
+  try {
+    const job = await cancelCrawlJob(shop, jobId);
+
+    if (!job) {
+      const existing = await CrawlJob.findOne({ _id: jobId, shop });
+      if (!existing) {
+        return res.status(404).json({ ok: false, error: 'Crawl job not found' });
+      }
+      return res.status(409).json({
+        ok: false,
+        error: `Crawl job already ${existing.status}`,
+        crawl: crawlJobProgress(existing)
+      });
+    }
+
+    console.log(`[Crawler] Cancel requested for ${jobId} (${shop})`);
+    res.json({ ok: true, crawl: crawlJobProgress(job) });
 
   } catch (error) {
     res.status(500).json({
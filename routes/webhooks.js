@@ -1,18 +1,30 @@
 const express = require("express");
 const router = express.Router();
 const crypto = require('crypto');
+const {
+  registerWebhookHandler,
+  ingestWebhook,
+  processWebhookEvent,
+  MAX_ATTEMPTS
+} = require("../utils/webhookPipeline");
 
 // Middleware to verify Shopify webhook
 function verifyShopifyWebhook(req, res, next) {
-  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  const hmac = req.get('X-Shopify-Hmac-Sha256') || '';
   const body = req.rawBody; // Need raw body for verification
+
+  if (body === undefined) {
+    console.error('Webhook verification failed: raw body not captured');
+    return res.status(401).send('Unauthorized');
+  }
   
   const hash = crypto
     .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
-    .update(body, 'utf8')
-    .digest('base64');
+    .update(body)
+    .digest();
+  const provided = Buffer.from(hmac, 'base64');
   
-  if (hash === hmac) {
+  if (provided.length === hash.length && crypto.timingSafeEqual(provided, hash)) {
     next();
   } else {
     console.error('Webhook verification failed');
@@ -20,33 +32,201 @@ function verifyShopifyWebhook(req, res, next) {
   }
 }
 
-// App uninstalled webhook
-router.post("/app/uninstalled", verifyShopifyWebhook, async (req, res) => {
-  const shop = req.get('X-Shopify-Shop-Domain');
-  
-  console.log(`[Webhook] App uninstalled for ${shop}`);
-  
+// ====== INGESTION ======
+
+// Every topic lands here: verify, persist (deduped), ack, then hand off.
+// The topic comes from X-Shopify-Topic, not from the URL.
+router.post("/*", verifyShopifyWebhook, async (req, res) => {
   try {
-    const ShopModel = require("../models/Shop");
-    const shopRecord = await ShopModel.findOne({ shop });
-    
-    if (shopRecord && shopRecord.accessToken) {
-      // Remove RabbitLoader code from theme
-      await removeRabbitLoaderCode(shop, shopRecord.accessToken);
-    }
-    
-    // Remove shop from database
-    await ShopModel.deleteOne({ shop });
-    
-    console.log(`[Webhook] ✅ Cleaned up ${shop}`);
+    const { event, duplicate } = await ingestWebhook(req);
     res.status(200).send('OK');
-    
+
+    if (!duplicate && event.status === 'received') {
+      setImmediate(() => {
+        processWebhookEvent(event._id).catch(err => {
+          console.error(`[Webhook] Processing error for ${event.webhook_id}:`, err.message);
+        });
+      });
+    }
   } catch (error) {
-    console.error('[Webhook] Uninstall cleanup error:', error);
+    console.error('[Webhook] Ingestion error:', error.message);
+    // Non-2xx makes Shopify redeliver
     res.status(500).send('Error');
   }
 });
 
+// ====== TOPIC HANDLERS ======
+
+// App uninstalled: soft-delete (see utils/shopLifecycle.js)
+registerWebhookHandler('app/uninstalled', async (event) => {
+  const { shop } = event;
+  
+  console.log(`[Webhook] App uninstalled for ${shop}`);
+  
+  const ShopModel = require("../models/Shop");
+  const shopRecord = await ShopModel.findOne({ shop });
+
+  if (!shopRecord) {
+    console.log(`[Webhook] ${shop} not found, nothing to clean up`);
+    return;
+  }
+
+  if (shopRecord.uninstalled_at) {
+    return; // already handled (redelivery)
+  }
+  
+  if (shopRecord.access_token) {
+    // Best effort: Shopify usually revokes the token before this arrives
+    await removeRabbitLoaderCode(shop, shopRecord.access_token);
+  }
+  
+  const { markShopUninstalled } = require("../utils/shopLifecycle");
+  await markShopUninstalled(shop);
+  
+  console.log(`[Webhook] ✅ Cleaned up ${shop}`);
+});
+
+// App installed: run the onboarding pipeline. Steps that already succeeded
+// (e.g. via the install callback) are skipped; a failed step makes the
+// pipeline retry this event, which resumes from that step.
+registerWebhookHandler('app/installed', async (event) => {
+  const { runOnboarding } = require("../utils/onboarding");
+  const result = await runOnboarding(event.shop);
+
+  if (result.error === 'ALREADY_RUNNING') {
+    return; // the install flow is onboarding right now
+  }
+  if (!result.ok) {
+    // Includes "No access token": the OAuth/token-exchange save may still be in flight
+    const failed = Object.entries(result.steps || {}).find(([, s]) => s.status === 'failed');
+    throw new Error(failed ? `${failed[0]}: ${failed[1].error}` : result.error);
+  }
+});
+
+// Products & collections: patch site_structure in place, push delta to RL Core
+[
+  'products/create', 'products/update', 'products/delete',
+  'collections/create', 'collections/update', 'collections/delete'
+].forEach(topic => {
+  registerWebhookHandler(topic, (event) => {
+    const { handleResourceWebhook } = require("../utils/siteStructureSync");
+    return handleResourceWebhook(event);
+  });
+});
+
+// Theme published / updated: keep the snippet on whichever theme is live
+async function handleThemeWebhook(event) {
+  const { shop, topic } = event;
+  const theme = event.payload || {};
+
+  if (theme.role !== 'main') {
+    return; // Unpublished themes don't serve traffic
+  }
+
+  const ShopModel = require("../models/Shop");
+  const shopRecord = await ShopModel.findOne({ shop });
+
+  if (!shopRecord?.access_token || !shopRecord.short_id) {
+    console.log(`[Theme] ${topic} for ${shop} - not connected, nothing to inject`);
+    return;
+  }
+
+  await ShopModel.updateOne({ shop }, { $set: { active_theme_id: theme.id } });
+
+  const { injectDeferScript, recordInjectionResult } = require("./shopifyConnect");
+  console.log(`[Theme] ${topic}: ensuring snippet on theme ${theme.id} (${theme.name}) for ${shop}`);
+
+  const result = await injectDeferScript(shop, shopRecord.short_id, shopRecord.access_token, theme.id);
+  await recordInjectionResult(shop, { ...result, theme_id: theme.id });
+
+  if (result.error === "TOKEN_EXPIRED") {
+    return; // reauth already flagged; retrying won't help
+  }
+
+  if (!result.success) {
+    // Tell the dashboard (via RL Core) that optimization stopped on the live theme
+    const { updateInjectionStatus } = require("../utils/rlCoreApi");
+    await updateInjectionStatus(shop, shopRecord.api_token, {
+      script_injected: false,
+      critical_css_injected: shopRecord.critical_css_injected,
+      script_injection_attempted: true,
+      critical_css_injection_attempted: shopRecord.critical_css_injection_attempted,
+      error: `Injection into theme ${theme.id} failed: ${result.error}`
+    });
+    throw new Error(`Injection into theme ${theme.id} failed: ${result.error}`);
+  }
+
+  if (!result.already_exists) {
+    console.log(`[Theme] ✅ Snippet injected into new main theme ${theme.id} for ${shop}`);
+  }
+}
+
+registerWebhookHandler('themes/publish', handleThemeWebhook);
+registerWebhookHandler('themes/update', handleThemeWebhook);
+
+// Bulk operation finished: wake the crawl waiting on it (it polls otherwise)
+registerWebhookHandler('bulk_operations/finish', (event) => {
+  const { notifyBulkOperationFinished } = require("../utils/bulkOperations");
+  const { admin_graphql_api_id: id, status } = event.payload || {};
+  console.log(`[Bulk] ${id} finished for ${event.shop}: ${status}`);
+  notifyBulkOperationFinished(id);
+});
+
+// ====== GDPR COMPLIANCE ======
+
+// Each compliance request gets an audit record that survives the purge
+function complianceHandler(processRequest) {
+  return async (event) => {
+    const { topic, shop } = event;
+    const payload = event.payload || {};
+    const ComplianceRequest = require("../models/ComplianceRequest");
+
+    console.log(`[Compliance] ${topic} for ${shop} (attempt ${event.attempts})`);
+
+    let record = await ComplianceRequest.findOne({ webhook_id: event.webhook_id });
+    if (!record) {
+      record = await ComplianceRequest.create({
+        topic,
+        shop,
+        shop_id: payload.shop_id,
+        webhook_id: event.webhook_id,
+        customer: payload.customer ? { id: payload.customer.id } : undefined,
+        orders: payload.orders_requested || payload.orders_to_redact,
+        data_request_id: payload.data_request?.id,
+        received_at: event.received_at
+      });
+    }
+
+    try {
+      await record.markStatus('processing');
+      const actions = await processRequest(shop, payload, event);
+      await record.markStatus('completed', { actions, error: null });
+      console.log(`[Compliance] ✅ ${topic} completed for ${shop}`);
+    } catch (error) {
+      await record.markStatus('failed', { error: error.message }).catch(() => {});
+      throw error; // let the pipeline retry
+    }
+  };
+}
+
+// We never store customer records (only store-level config and public URLs),
+// so customer requests are answered with an audit entry only.
+async function noCustomerData(shop, payload) {
+  return [{ note: 'No customer data stored by this app', customer_id: payload.customer?.id || null }];
+}
+
+registerWebhookHandler('customers/data_request', complianceHandler(noCustomerData));
+registerWebhookHandler('customers/redact', complianceHandler(noCustomerData));
+registerWebhookHandler('shop/redact', complianceHandler(async (shop, payload, event) => {
+  const { purgeShopData } = require("../utils/shopDataPurge");
+  // The redact's own event stays; it expires with the other processed events.
+  // On the last attempt an RL Core outage no longer holds up the local purge.
+  return purgeShopData(shop, {
+    currentEventId: event._id,
+    deferCore: event.attempts >= MAX_ATTEMPTS ? 'shop_redact' : null
+  });
+}));
+
 // Function to remove RabbitLoader code from theme
 async function removeRabbitLoaderCode(shop, accessToken) {
   console.log(`[Cleanup] Removing RabbitLoader code from ${shop}`);
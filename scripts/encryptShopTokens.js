@@ -0,0 +1,56 @@
+// scripts/encryptShopTokens.js
+// One-off migration: encrypt plaintext Shop credentials and re-encrypt values
+// written with an old key id. Safe to run repeatedly.
+//
+//   node scripts/encryptShopTokens.js            # apply
+//   node scripts/encryptShopTokens.js --dry-run  # report only
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const ShopModel = require("../models/Shop");
+const { encryptToken, decryptToken, needsReencryption } = require("../utils/tokenCrypto");
+
+const TOKEN_FIELDS = ["access_token", "api_token", "online_access_token", "refresh_token"];
+
+async function run({ dryRun }) {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`[Migrate] Connected${dryRun ? " (dry run)" : ""}`);
+
+  // Use the raw collection so schema setters don't touch the values we read
+  const cursor = ShopModel.collection.find(
+    { $or: TOKEN_FIELDS.map(field => ({ [field]: { $type: "string" } })) },
+    { projection: Object.fromEntries(TOKEN_FIELDS.map(field => [field, 1]).concat([["shop", 1]])) }
+  );
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    scanned++;
+    const $set = {};
+
+    TOKEN_FIELDS.forEach(field => {
+      if (needsReencryption(doc[field])) {
+        $set[field] = encryptToken(decryptToken(doc[field]));
+      }
+    });
+
+    if (Object.keys($set).length === 0) continue;
+
+    console.log(`[Migrate] ${doc.shop}: ${Object.keys($set).join(", ")}`);
+    if (!dryRun) {
+      await ShopModel.collection.updateOne({ _id: doc._id }, { $set });
+    }
+    updated++;
+  }
+
+  console.log(`[Migrate] ✅ Scanned ${scanned} shops, ${dryRun ? "would update" : "updated"} ${updated}`);
+}
+
+run({ dryRun: process.argv.includes("--dry-run") })
+  .catch(err => {
+    console.error("[Migrate] ❌ Failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,50 @@
+// scripts/migrateIndexes.js
+// One-off migration: rebuild the indexes whose partial filters used $in
+// (MongoDB 6.0+ only) and set the flags their replacements filter on:
+// `active` on queued / running CrawlJobs, `open` on pending / processing
+// AnalysisQueue entries. Safe to run repeatedly.
+//
+//   node scripts/migrateIndexes.js            # apply
+//   node scripts/migrateIndexes.js --dry-run  # report only
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const CrawlJob = require("../models/CrawlJob");
+const AnalysisQueue = require("../models/AnalysisQueue");
+const WebhookEvent = require("../models/WebhookEvent");
+
+async function run({ dryRun }) {
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+  console.log(`[Migrate] Connected${dryRun ? " (dry run)" : ""}`);
+
+  const flags = [
+    [CrawlJob, { status: { $in: CrawlJob.ACTIVE_STATUSES }, active: { $ne: true } }, { active: true }],
+    [AnalysisQueue, { status: { $in: ["pending", "processing"] }, open: { $ne: true } }, { open: true }]
+  ];
+  for (const [Model, filter, $set] of flags) {
+    const count = await Model.countDocuments(filter);
+    if (!dryRun && count) {
+      await Model.updateMany(filter, { $set });
+    }
+    console.log(`[Migrate] ${Model.modelName}: ${dryRun ? "would flag" : "flagged"} ${count}`);
+  }
+
+  // Drops indexes whose definition changed, then builds the schema's
+  for (const Model of [CrawlJob, AnalysisQueue, WebhookEvent]) {
+    const { toDrop, toCreate } = await Model.diffIndexes();
+    console.log(`[Migrate] ${Model.modelName}: drop ${toDrop.join(", ") || "none"}, create ${toCreate.length}`);
+    if (!dryRun) {
+      await Model.syncIndexes();
+    }
+  }
+
+  console.log(`[Migrate] ✅ Indexes ${dryRun ? "checked" : "synced"}`);
+}
+
+run({ dryRun: process.argv.includes("--dry-run") })
+  .catch(err => {
+    console.error("[Migrate] ❌ Failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,101 @@
+// scripts/sitemapFixtureServer.js
+// Local storefront sitemap fixture for the sitemap crawl source.
+//
+//   node scripts/sitemapFixtureServer.js            # serve on :4010
+//   node scripts/sitemapFixtureServer.js --check    # serve, run discovery + diff, exit
+//
+// Point the app at it with SITEMAP_BASE_URL=http://localhost:4010
+
+const http = require("http");
+const { discoverSitemapUrls, diffSitemapAgainstCatalog } = require("../utils/sitemapDiscovery");
+
+const PORT = parseInt(process.env.PORT, 10) || 4010;
+
+// What the storefront publishes in its sitemaps
+const SITEMAP_PATHS = {
+  products: ["/products/classic-tee", "/products/hoodie", "/products/gift-card", "/products/caf%C3%A9-mug"],
+  collections: ["/collections/all", "/collections/summer"],
+  pages: ["/pages/about", "/pages/contact"],
+  blogs: ["/blogs/news", "/blogs/news/launch-day"]
+};
+
+// What an Admin API crawl would have found: gift-card is in the sitemap but
+// not the catalog; preorder-cap and the faq page are missing from the sitemap
+const CATALOG = {
+  products: ["/products/classic-tee", "/products/hoodie", "/products/preorder-cap", "/products/café-mug"],
+  collections: ["/collections/all", "/collections/summer"],
+  pages: ["/pages/about", "/pages/contact", "/pages/faq"],
+  blogs: ["/blogs/news"],
+  articles: ["/blogs/news/launch-day"]
+};
+
+function escapeXml(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function urlset(origin, paths) {
+  const entries = paths.map(p => `  <url>\n    <loc>${escapeXml(origin + p)}</loc>\n  </url>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries}\n</urlset>\n`;
+}
+
+function sitemapIndex(origin) {
+  const entries = Object.keys(SITEMAP_PATHS)
+    .map(type => `  <sitemap>\n    <loc>${escapeXml(`${origin}/sitemap_${type}_1.xml?from=1&to=999`)}</loc>\n  </sitemap>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries}\n</sitemapindex>\n`;
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    const { pathname } = new URL(req.url, origin);
+
+    if (pathname === "/sitemap.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      return res.end(sitemapIndex(origin));
+    }
+
+    const child = /^\/sitemap_(\w+)_1\.xml$/.exec(pathname);
+    if (child && SITEMAP_PATHS[child[1]]) {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      return res.end(urlset(origin, SITEMAP_PATHS[child[1]]));
+    }
+
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+  });
+}
+
+async function check(baseUrl) {
+  const items = await discoverSitemapUrls(baseUrl);
+  const catalog = Object.fromEntries(
+    Object.entries(CATALOG).map(([key, paths]) => [key, paths.map(url => ({ id: url, url, title: null }))])
+  );
+  const diff = diffSitemapAgainstCatalog(items, catalog);
+
+  Object.entries(items).forEach(([key, list]) => {
+    console.log(`[Fixture] ${key}: ${list.map(i => i.url).join(", ") || "-"}`);
+  });
+  console.log("[Fixture] Diff:", JSON.stringify(diff, null, 2));
+}
+
+if (require.main === module) {
+  const server = createServer();
+
+  server.listen(PORT, async () => {
+    const baseUrl = `http://localhost:${PORT}`;
+    console.log(`[Fixture] Sitemap fixture on ${baseUrl}/sitemap.xml`);
+
+    if (process.argv.includes("--check")) {
+      try {
+        await check(baseUrl);
+      } catch (err) {
+        console.error("[Fixture] Check failed:", err.message);
+        process.exitCode = 1;
+      }
+      server.close();
+    }
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,214 @@
+// utils/analysisQueue.js
+// PSI analysis queue: the performance routes and onboarding queue storefront
+// URLs, the worker runs PageSpeed Insights for each and stores a
+// PagePerformance. One open entry per shop + URL (dedupe_key); failed runs
+// retry with backoff before ending as `failed`.
+
+const AnalysisQueue = require('../models/AnalysisQueue');
+const PagePerformance = require('../models/PagePerformance');
+const ShopModel = require('../models/Shop');
+const { runPageSpeed } = require('./pageSpeed');
+
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+// Covers both strategies (up to 2 min each)
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 5;
+
+const OPEN_STATUSES = ['pending', 'processing'];
+
+let workerTimer = null;
+let working = false;
+
+function dedupeKey(shop, url) {
+  return `${shop}|${url}`;
+}
+
+function retryDelay(attempt) {
+  return BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Queue a PSI analysis unless one is already open for the URL
+ * @param {string} shop - Shop domain
+ * @param {string} url - Storefront path, e.g. '/'
+ * @param {object} [options] - { template, priority, source }
+ * @returns {Promise<{ entry: object, created: boolean }>}
+ */
+async function enqueueAnalysis(shop, url, { template = null, priority = 0, source = 'dashboard' } = {}) {
+  const key = dedupeKey(shop, url);
+  const open = { dedupe_key: key, status: { $in: OPEN_STATUSES } };
+
+  const existing = await AnalysisQueue.findOne(open);
+  if (existing) {
+    if (priority > existing.priority) {
+      await AnalysisQueue.updateOne({ _id: existing._id }, { $set: { priority } });
+    }
+    return { entry: existing, created: false };
+  }
+
+  // PageSpeed should see what visitors see: the primary domain (stored by
+  // the onboarding shop_info step), not the myshopify host
+  const shopRecord = await ShopModel.findOne({ shop }, { shopInfo: 1 });
+  const host = shopRecord?.shopInfo?.domain || shop;
+
+  try {
+    const entry = await AnalysisQueue.create({
+      shop,
+      url,
+      full_url: `https://${host}${url}`,
+      template,
+      dedupe_key: key,
+      priority,
+      source,
+      open: true
+    });
+    console.log(`[Performance] Queued PSI analysis of ${url} for ${shop} (${source})`);
+    return { entry, created: true };
+  } catch (error) {
+    // Another request queued it in between
+    if (error.code === 11000) {
+      return { entry: await AnalysisQueue.findOne(open), created: false };
+    }
+    throw error;
+  }
+}
+
+// Atomically take the highest-priority due entry
+function claimEntry() {
+  const now = new Date();
+  return AnalysisQueue.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'processing', locked_until: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'processing', locked_until: new Date(now.getTime() + PROCESSING_LEASE_MS), started_at: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { priority: -1, next_attempt_at: 1 } }
+  );
+}
+
+function psiErrorMessage(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+async function runEntry(entry) {
+  const { shop, url } = entry;
+
+  try {
+    const shopRecord = await ShopModel.findOne({ shop });
+    if (!shopRecord || shopRecord.is_active === false) {
+      throw new Error('Shop is not installed');
+    }
+
+    const results = {};
+    for (const strategy of entry.strategies) {
+      try {
+        results[strategy] = await runPageSpeed(entry.full_url, strategy);
+      } catch (error) {
+        results[strategy] = { error: psiErrorMessage(error), fetched_at: new Date() };
+      }
+    }
+
+    const failed = Object.values(results).filter(result => result.error);
+    if (failed.length === entry.strategies.length) {
+      throw new Error(failed[0].error);
+    }
+
+    const themeId = shopRecord.site_structure?.active_theme_id || shopRecord.active_theme_id || null;
+    const record = await PagePerformance.create({
+      shop,
+      url,
+      full_url: entry.full_url,
+      template: entry.template,
+      mobile_score: results.mobile?.score ?? null,
+      desktop_score: results.desktop?.score ?? null,
+      mobile: results.mobile,
+      desktop: results.desktop,
+      theme_id: themeId,
+      // The RabbitLoader snippet is in the theme that served the page
+      rl_enabled: !!shopRecord.script_injected &&
+        (!themeId || (shopRecord.injected_theme_ids || []).includes(themeId)),
+      queue_id: entry._id,
+      analyzed_at: new Date()
+    });
+
+    await AnalysisQueue.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: 'done',
+          result_id: record._id,
+          completed_at: new Date(),
+          locked_until: null,
+          last_error: null
+        },
+        $unset: { open: '' }
+      }
+    );
+
+    console.log(`[Performance] ✅ ${url} for ${shop}: ${record.mobile_score ?? '-'}/${record.desktop_score ?? '-'}`);
+  } catch (error) {
+    const finished = entry.attempts >= MAX_ATTEMPTS;
+
+    await AnalysisQueue.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: finished ? 'failed' : 'pending',
+          next_attempt_at: new Date(Date.now() + retryDelay(entry.attempts)),
+          locked_until: null,
+          last_error: error.message,
+          ...(finished ? { completed_at: new Date() } : {})
+        },
+        ...(finished ? { $unset: { open: '' } } : {})
+      }
+    );
+
+    if (finished) {
+      console.error(`[Performance] ❌ PSI analysis of ${url} for ${shop} failed after ${entry.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`[Performance] ⚠️ PSI analysis of ${url} for ${shop} failed (attempt ${entry.attempts}), will retry:`, error.message);
+    }
+  }
+}
+
+/**
+ * Run due analyses, one at a time (each is a couple of Lighthouse runs)
+ */
+async function processDueAnalyses() {
+  for (let i = 0; i < WORKER_BATCH_SIZE; i++) {
+    const entry = await claimEntry();
+    if (!entry) break;
+    await runEntry(entry);
+  }
+}
+
+function startAnalysisWorker() {
+  if (workerTimer) return;
+
+  const tick = () => {
+    if (working) return; // previous batch still running
+    working = true;
+    processDueAnalyses()
+      .catch(err => console.error('[Performance] Worker error:', err.message))
+      .finally(() => { working = false; });
+  };
+
+  workerTimer = setInterval(tick, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  tick();
+  console.log('[Performance] Analysis worker started');
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  enqueueAnalysis,
+  processDueAnalyses,
+  startAnalysisWorker
+};
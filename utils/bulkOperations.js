@@ -0,0 +1,200 @@
+// utils/bulkOperations.js
+// GraphQL bulk operations: start a bulk query, wait for it (polling, or the
+// bulk_operations/finish webhook when it arrives first) and stream the JSONL
+// result line by line.
+
+const axios = require('axios');
+const { shopifyGraphQL } = require('./shopifyApi');
+
+const POLL_INTERVAL_MS = 10 * 1000;
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// bulk operation gid -> resolve(), woken by the finish webhook
+const finishWaiters = new Map();
+
+class BulkOperationError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.code = code;
+  }
+}
+
+function throwIfExpired(response) {
+  if (!response.ok && response.error === "TOKEN_EXPIRED") {
+    throw new Error('TOKEN_EXPIRED');
+  }
+}
+
+/**
+ * Start a bulk query. Only one can run per shop at a time.
+ * @returns {Promise<{ id: string, status: string }>}
+ */
+async function runBulkQuery(shop, query) {
+  const response = await shopifyGraphQL(shop, `
+    mutation RunBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, { query });
+  throwIfExpired(response);
+
+  const result = response.data?.bulkOperationRunQuery;
+  if (result?.userErrors?.length) {
+    throw new BulkOperationError(result.userErrors.map(e => e.message).join('; '), 'USER_ERROR');
+  }
+  if (!result?.bulkOperation) {
+    throw new BulkOperationError('bulkOperationRunQuery returned no operation');
+  }
+
+  console.log(`[Bulk] Started ${result.bulkOperation.id} for ${shop}`);
+  return result.bulkOperation;
+}
+
+async function getBulkOperation(shop, id) {
+  const response = await shopifyGraphQL(shop, `
+    query BulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `, { id });
+  throwIfExpired(response);
+
+  return response.data?.node || null;
+}
+
+async function cancelBulkOperation(shop, id) {
+  try {
+    await shopifyGraphQL(shop, `
+      mutation CancelBulk($id: ID!) {
+        bulkOperationCancel(id: $id) {
+          userErrors {
+            message
+          }
+        }
+      }
+    `, { id });
+  } catch (error) {
+    console.warn(`[Bulk] Could not cancel ${id} for ${shop}:`, error.message);
+  }
+}
+
+/**
+ * Called by the bulk_operations/finish webhook handler
+ */
+function notifyBulkOperationFinished(id) {
+  const wake = finishWaiters.get(id);
+  if (wake) wake();
+}
+
+function sleepOrFinish(id, ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      finishWaiters.delete(id);
+      resolve();
+    }
+    finishWaiters.set(id, done);
+  });
+}
+
+/**
+ * Wait until a bulk operation finishes
+ * @param {object} [options]
+ * @param {function(object): Promise<void>} [options.onPoll] - after each status check
+ * @returns {Promise<object>} the finished BulkOperation (status COMPLETED)
+ */
+async function waitForBulkOperation(shop, id, { timeoutMs = DEFAULT_TIMEOUT_MS, onPoll } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const operation = await getBulkOperation(shop, id);
+    if (!operation) {
+      throw new BulkOperationError(`Bulk operation ${id} not found`);
+    }
+
+    if (onPoll) await onPoll(operation);
+
+    if (FINISHED_STATUSES.includes(operation.status)) {
+      if (operation.status !== 'COMPLETED') {
+        throw new BulkOperationError(
+          `Bulk operation ${id} ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`,
+          operation.errorCode
+        );
+      }
+      return operation;
+    }
+
+    if (Date.now() > deadline) {
+      throw new BulkOperationError(`Bulk operation ${id} timed out`, 'TIMEOUT');
+    }
+
+    await sleepOrFinish(id, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Stream a JSONL result file, one parsed object per line.
+ * An operation with no results has no url.
+ * @param {string|null} url
+ * @param {function(object, number): Promise<void>|void} onRecord - (record, lineNumber)
+ * @returns {Promise<number>} lines read
+ */
+async function streamBulkResults(url, onRecord) {
+  if (!url) return 0;
+
+  const response = await axios.get(url, { responseType: 'stream', timeout: 60000 });
+  const stream = response.data;
+  stream.setEncoding('utf8');
+
+  let pending = '';
+  let line = 0;
+
+  // Async iteration gives backpressure: onRecord can await a checkpoint
+  for await (const chunk of stream) {
+    pending += chunk;
+    let newline;
+    while ((newline = pending.indexOf('\n')) >= 0) {
+      const text = pending.slice(0, newline).trim();
+      pending = pending.slice(newline + 1);
+      if (!text) continue;
+      line++;
+      await onRecord(JSON.parse(text), line);
+    }
+  }
+
+  if (pending.trim()) {
+    line++;
+    await onRecord(JSON.parse(pending), line);
+  }
+
+  return line;
+}
+
+module.exports = {
+  BulkOperationError,
+  runBulkQuery,
+  getBulkOperation,
+  cancelBulkOperation,
+  waitForBulkOperation,
+  notifyBulkOperationFinished,
+  streamBulkResults
+};
@@ -0,0 +1,82 @@
+// utils/crawlItems.js
+// Storage for what a crawl found (models/CrawlItemChunk.js). The crawler
+// writes one chunk per checkpoint; finalize and the status API page through
+// them by job.
+
+const CrawlItemChunk = require('../models/CrawlItemChunk');
+
+/**
+ * Store one checkpoint's items and exclusions (replaces a previous write of
+ * the same checkpoint)
+ * @param {object} job - CrawlJob
+ * @param {string} resource
+ * @param {number} seq - checkpoint number within the resource
+ * @param {{ items?: object[], excluded?: object[] }} batch
+ */
+async function saveCrawlChunk(job, resource, seq, { items = [], excluded = [] }) {
+  const size = CrawlItemChunk.CHUNK_SIZE;
+  const parts = Math.ceil(Math.max(items.length, excluded.length) / size);
+
+  for (let part = 0; part < parts; part++) {
+    await CrawlItemChunk.updateOne(
+      { job_id: job._id, resource, seq, part },
+      {
+        $set: {
+          shop: job.shop,
+          items: items.slice(part * size, (part + 1) * size),
+          excluded: excluded.slice(part * size, (part + 1) * size),
+          created_at: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  // A retried checkpoint may have come back smaller
+  await CrawlItemChunk.deleteMany({ job_id: job._id, resource, seq, part: { $gte: parts } });
+}
+
+/**
+ * A job's chunks in crawl order, one at a time (finalize streams these
+ * instead of holding the whole catalog)
+ * @yields {{ resource: string, items: object[], excluded: object[] }}
+ */
+async function* iterateCrawlChunks(jobId) {
+  const cursor = CrawlItemChunk.find({ job_id: jobId }, { resource: 1, items: 1, excluded: 1 })
+    .sort({ resource: 1, seq: 1, part: 1 })
+    .lean()
+    .cursor();
+
+  for await (const chunk of cursor) {
+    yield { resource: chunk.resource, items: chunk.items, excluded: chunk.excluded };
+  }
+}
+
+/**
+ * Exclusions of a job, optionally for one resource / reason
+ * @returns {Promise<object[]>} [{ resource, id, url, title, reason, ... }]
+ */
+async function listCrawlExclusions(jobId, { resource = null, reason = null } = {}) {
+  const entries = [];
+
+  const cursor = CrawlItemChunk.find(
+    { job_id: jobId, ...(resource ? { resource } : {}), 'excluded.0': { $exists: true } },
+    { resource: 1, excluded: 1 }
+  ).sort({ resource: 1, seq: 1, part: 1 }).lean().cursor();
+
+  for await (const chunk of cursor) {
+    for (const entry of chunk.excluded) {
+      if (!reason || entry.reason === reason) {
+        entries.push({ resource: chunk.resource, ...entry });
+      }
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  saveCrawlChunk,
+  iterateCrawlChunks,
+  listCrawlExclusions
+};
@@ -0,0 +1,279 @@
+// utils/crawlScheduler.js
+// Periodic recrawls so site_structure follows the catalog.
+//
+// Every active shop has crawl_schedule.next_crawl_at. Each tick an instance
+// leases due shops one at a time (crawl_schedule.lock_owner / lock_until),
+// so only one instance crawls a shop however many are running. The lease is
+// renewed while the crawl runs and released with the next due date.
+
+const os = require('os');
+const ShopModel = require('../models/Shop');
+const CrawlJob = require('../models/CrawlJob');
+const { crawlShopifyStore } = require('./siteCrawler');
+
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+const LEASE_MS = 10 * 60 * 1000;
+const LEASE_RENEW_MS = 3 * 60 * 1000;
+// Crawls per tick per instance; crawls are heavy, the rest wait for the next tick
+const MAX_CRAWLS_PER_TICK = 5;
+const SCHEDULE_BATCH_SIZE = 100;
+// next_crawl_at = interval ± 10%
+const JITTER_RATIO = 0.1;
+// First schedule for shops overdue already: spread them over this window
+const INITIAL_SPREAD_MS = 60 * 60 * 1000;
+// Failed crawls retry sooner than the cadence: 1h, 2h, 4h ... capped at the interval
+const RETRY_BASE_MS = 60 * 60 * 1000;
+// Ops endpoint: how late a crawl may be before it counts as overdue
+const OVERDUE_GRACE_MS = 60 * 60 * 1000;
+
+const DEFAULT_INTERVAL_HOURS = parseFloat(process.env.CRAWL_INTERVAL_HOURS) || 24;
+// CRAWL_INTERVAL_HOURS_<PLAN> overrides the default for one plan
+const PLAN_INTERVAL_HOURS = {
+  free: parseFloat(process.env.CRAWL_INTERVAL_HOURS_FREE) || DEFAULT_INTERVAL_HOURS,
+  basic: parseFloat(process.env.CRAWL_INTERVAL_HOURS_BASIC) || DEFAULT_INTERVAL_HOURS,
+  premium: parseFloat(process.env.CRAWL_INTERVAL_HOURS_PREMIUM) || DEFAULT_INTERVAL_HOURS
+};
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let schedulerTimer = null;
+let ticking = false;
+
+const ACTIVE_SHOP = { is_active: { $ne: false } };
+
+/**
+ * Recrawl cadence for a shop: per-shop override, then plan, then default
+ * @returns {number} milliseconds
+ */
+function crawlIntervalMs(shopRecord) {
+  const hours = shopRecord.crawl_schedule?.interval_hours
+    || PLAN_INTERVAL_HOURS[shopRecord.plan]
+    || DEFAULT_INTERVAL_HOURS;
+  return hours * 60 * 60 * 1000;
+}
+
+function withJitter(ms) {
+  return ms + (Math.random() * 2 - 1) * ms * JITTER_RATIO;
+}
+
+// Give shops that have never been scheduled a next_crawl_at
+async function scheduleNewShops() {
+  const shops = await ShopModel.find(
+    { ...ACTIVE_SHOP, 'crawl_schedule.next_crawl_at': null },
+    { shop: 1, plan: 1, last_crawl_at: 1, crawl_schedule: 1 }
+  ).limit(SCHEDULE_BATCH_SIZE);
+
+  const now = Date.now();
+  for (const shopRecord of shops) {
+    let next = (shopRecord.last_crawl_at ? new Date(shopRecord.last_crawl_at).getTime() : now)
+      + withJitter(crawlIntervalMs(shopRecord));
+    if (next < now) {
+      next = now + Math.random() * INITIAL_SPREAD_MS;
+    }
+
+    await ShopModel.updateOne(
+      { shop: shopRecord.shop, 'crawl_schedule.next_crawl_at': null },
+      { $set: { 'crawl_schedule.next_crawl_at': new Date(next) } }
+    );
+  }
+
+  return shops.length;
+}
+
+// Lease the most overdue shop nobody else holds
+function claimDueShop() {
+  const now = new Date();
+  return ShopModel.findOneAndUpdate(
+    {
+      ...ACTIVE_SHOP,
+      'crawl_schedule.next_crawl_at': { $lte: now },
+      $or: [
+        { 'crawl_schedule.lock_until': null },
+        { 'crawl_schedule.lock_until': { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        'crawl_schedule.lock_owner': INSTANCE_ID,
+        'crawl_schedule.lock_until': new Date(now.getTime() + LEASE_MS)
+      }
+    },
+    { new: true, sort: { 'crawl_schedule.next_crawl_at': 1 } }
+  );
+}
+
+// Record the outcome and drop the lease (only if it's still ours)
+function releaseShop(shop, fields) {
+  return ShopModel.updateOne(
+    { shop, 'crawl_schedule.lock_owner': INSTANCE_ID },
+    {
+      $set: {
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [`crawl_schedule.${key}`, value])),
+        'crawl_schedule.last_run_at': new Date(),
+        'crawl_schedule.lock_owner': null,
+        'crawl_schedule.lock_until': null
+      }
+    }
+  );
+}
+
+async function runScheduledCrawl(shopRecord) {
+  const { shop } = shopRecord;
+  const intervalMs = crawlIntervalMs(shopRecord);
+  const lastCrawl = shopRecord.last_crawl_at ? new Date(shopRecord.last_crawl_at).getTime() : 0;
+
+  // A manual / dashboard / onboarding crawl already covered this period
+  if (Date.now() - lastCrawl < intervalMs * (1 - JITTER_RATIO)) {
+    await releaseShop(shop, {
+      last_status: 'skipped',
+      next_crawl_at: new Date(lastCrawl + withJitter(intervalMs))
+    });
+    return 'skipped';
+  }
+
+  const renewTimer = setInterval(() => {
+    ShopModel.updateOne(
+      { shop, 'crawl_schedule.lock_owner': INSTANCE_ID },
+      { $set: { 'crawl_schedule.lock_until': new Date(Date.now() + LEASE_MS) } }
+    ).catch(err => console.error(`[Scheduler] Lease renewal failed for ${shop}:`, err.message));
+  }, LEASE_RENEW_MS);
+  renewTimer.unref();
+
+  console.log(`[Scheduler] 🕷️  Scheduled recrawl for ${shop}`);
+
+  try {
+    const job = await crawlShopifyStore(shop, { trigger: 'scheduled' });
+    await releaseShop(shop, {
+      last_status: 'succeeded',
+      last_error: null,
+      last_job_id: job._id,
+      consecutive_failures: 0,
+      next_crawl_at: new Date(Date.now() + withJitter(intervalMs))
+    });
+    console.log(`[Scheduler] ✅ Recrawled ${shop} (${job.total_pages} pages)`);
+    return 'succeeded';
+  } catch (error) {
+    const failures = (shopRecord.crawl_schedule?.consecutive_failures || 0) + 1;
+    const retryMs = Math.min(intervalMs, RETRY_BASE_MS * 2 ** (failures - 1));
+    await releaseShop(shop, {
+      last_status: 'failed',
+      last_error: error.message,
+      consecutive_failures: failures,
+      next_crawl_at: new Date(Date.now() + withJitter(retryMs))
+    });
+    console.error(`[Scheduler] Recrawl failed for ${shop} (${failures} in a row):`, error.message);
+    return 'failed';
+  } finally {
+    clearInterval(renewTimer);
+  }
+}
+
+/**
+ * One scheduler pass: schedule new shops, then crawl due ones
+ * @returns {Promise<{ scheduled: number, succeeded: number, failed: number, skipped: number }>}
+ */
+async function runSchedulerTick() {
+  const scheduled = await scheduleNewShops();
+
+  const results = { succeeded: 0, failed: 0, skipped: 0 };
+  for (let i = 0; i < MAX_CRAWLS_PER_TICK; i++) {
+    const shopRecord = await claimDueShop();
+    if (!shopRecord) break;
+    results[await runScheduledCrawl(shopRecord)]++;
+  }
+
+  return { scheduled, ...results };
+}
+
+function startCrawlScheduler() {
+  if (schedulerTimer || process.env.CRAWL_SCHEDULER_ENABLED === 'false') return;
+
+  const tick = () => {
+    if (ticking) return; // previous pass still crawling
+    ticking = true;
+    runSchedulerTick()
+      .catch(err => console.error('[Scheduler] Tick error:', err.message))
+      .finally(() => { ticking = false; });
+  };
+
+  schedulerTimer = setInterval(tick, TICK_INTERVAL_MS);
+  schedulerTimer.unref();
+  tick();
+  console.log(`[Scheduler] Crawl scheduler started on ${INSTANCE_ID}`);
+}
+
+/**
+ * Overdue, failing and running scheduled crawls, plus recent failed jobs (ops endpoint)
+ */
+async function crawlScheduleOverview({ limit = 100 } = {}) {
+  const now = new Date();
+  const fields = { shop: 1, plan: 1, last_crawl_at: 1, crawl_schedule: 1 };
+
+  const [overdue, failing, running, failedJobs, scheduledCount, unscheduledCount] = await Promise.all([
+    ShopModel.find(
+      { ...ACTIVE_SHOP, 'crawl_schedule.next_crawl_at': { $lt: new Date(now.getTime() - OVERDUE_GRACE_MS) } },
+      fields
+    ).sort({ 'crawl_schedule.next_crawl_at': 1 }).limit(limit),
+    ShopModel.find(
+      { ...ACTIVE_SHOP, 'crawl_schedule.consecutive_failures': { $gt: 0 } },
+      fields
+    ).sort({ 'crawl_schedule.consecutive_failures': -1 }).limit(limit),
+    ShopModel.find({ 'crawl_schedule.lock_until': { $gt: now } }, fields).limit(limit),
+    CrawlJob.find(
+      { status: 'failed', finished_at: { $gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) } },
+      { shop: 1, trigger: 1, source: 1, error: 1, attempts: 1, finished_at: 1 }
+    ).sort({ finished_at: -1 }).limit(limit),
+    ShopModel.countDocuments({ ...ACTIVE_SHOP, 'crawl_schedule.next_crawl_at': { $ne: null } }),
+    ShopModel.countDocuments({ ...ACTIVE_SHOP, 'crawl_schedule.next_crawl_at': null })
+  ]);
+
+  const summarize = shopRecord => ({
+    shop: shopRecord.shop,
+    plan: shopRecord.plan,
+    interval_hours: crawlIntervalMs(shopRecord) / (60 * 60 * 1000),
+    next_crawl_at: shopRecord.crawl_schedule?.next_crawl_at || null,
+    last_crawl_at: shopRecord.last_crawl_at || null,
+    last_run_at: shopRecord.crawl_schedule?.last_run_at || null,
+    last_status: shopRecord.crawl_schedule?.last_status || null,
+    last_error: shopRecord.crawl_schedule?.last_error || null,
+    consecutive_failures: shopRecord.crawl_schedule?.consecutive_failures || 0
+  });
+
+  return {
+    instance: INSTANCE_ID,
+    totals: {
+      scheduled: scheduledCount,
+      unscheduled: unscheduledCount,
+      overdue: overdue.length,
+      failing: failing.length,
+      running: running.length,
+      failed_jobs_24h: failedJobs.length
+    },
+    overdue: overdue.map(shopRecord => ({
+      ...summarize(shopRecord),
+      overdue_minutes: Math.round((now - shopRecord.crawl_schedule.next_crawl_at) / 60000)
+    })),
+    failing: failing.map(summarize),
+    running: running.map(shopRecord => ({
+      shop: shopRecord.shop,
+      lock_owner: shopRecord.crawl_schedule.lock_owner,
+      lock_until: shopRecord.crawl_schedule.lock_until
+    })),
+    failed_jobs: failedJobs.map(job => ({
+      job_id: job._id,
+      shop: job.shop,
+      trigger: job.trigger,
+      source: job.source,
+      attempts: job.attempts,
+      error: job.error,
+      finished_at: job.finished_at
+    }))
+  };
+}
+
+module.exports = {
+  crawlIntervalMs,
+  runSchedulerTick,
+  startCrawlScheduler,
+  crawlScheduleOverview
+};
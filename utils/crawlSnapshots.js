@@ -0,0 +1,247 @@
+// utils/crawlSnapshots.js
+// Per-crawl snapshots of every crawled URL and the diff between two of them.
+//
+// Deltas use the same shape as webhook updates (utils/siteStructureSync.js):
+// { added: [page], removed: [page], changed: [{ id, previous, current }] }
+// Group-level data (samples, section counts, locale variants) is compared by
+// hash per group, so a delta can carry the groups whose selection changed.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CrawlSnapshot = require('../models/CrawlSnapshot');
+const CrawlSnapshotChunk = require('../models/CrawlSnapshotChunk');
+
+const PAGE_FIELDS = ['url', 'handle', 'title', 'template'];
+// Per-group fields RL Core gets besides the pages
+const GROUP_META_FIELDS = ['sample_page', 'samples', 'sampling', 'section_count', 'locale_variants'];
+
+/**
+ * A group's non-page fields, as sent to RL Core
+ */
+function groupMeta(group) {
+  return Object.fromEntries(GROUP_META_FIELDS.map(field => [field, group[field] ?? null]));
+}
+
+function groupHashes(templateGroups) {
+  return Object.fromEntries(Object.entries(templateGroups).map(([key, group]) => [
+    key,
+    crypto.createHash('sha1').update(JSON.stringify(groupMeta(group))).digest('hex')
+  ]));
+}
+
+/**
+ * Group keys whose group-level data differs between two snapshots
+ * (including groups only one of them has)
+ */
+function changedGroupKeys(previousHashes, currentHashes) {
+  const keys = new Set([...Object.keys(previousHashes || {}), ...Object.keys(currentHashes || {})]);
+  return [...keys].filter(key => previousHashes?.[key] !== currentHashes?.[key]);
+}
+
+function pick(page) {
+  return Object.fromEntries(PAGE_FIELDS.map(field => [field, page[field] ?? null]));
+}
+
+// Compared fields of a page, hashed: a snapshot's index holds these, not its pages
+function fingerprint(page) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify(PAGE_FIELDS.map(field => page[field] ?? null)))
+    .digest('base64')
+    .slice(0, 16);
+}
+
+/**
+ * Pages of a snapshot in crawl order, one at a time
+ * @param {object} snapshot - CrawlSnapshot (or { _id })
+ */
+async function* iterateSnapshotPages(snapshot) {
+  const cursor = CrawlSnapshotChunk.find({ snapshot_id: snapshot._id }).sort({ seq: 1 }).lean().cursor();
+  for await (const chunk of cursor) {
+    yield* chunk.pages;
+  }
+}
+
+// Streams both snapshots; only id -> fingerprint indexes and the changes
+// themselves are held in memory
+async function compareSnapshots(from, to, { countOnly }) {
+  const delta = { added: [], removed: [], changed: [] };
+  const counts = { added: 0, removed: 0, changed: 0 };
+
+  const previous = new Map();
+  if (from) {
+    for await (const page of iterateSnapshotPages(from)) {
+      previous.set(page.id, fingerprint(page));
+    }
+  }
+
+  const current = new Set();
+  const changed = new Map();
+  for await (const page of iterateSnapshotPages(to)) {
+    current.add(page.id);
+    const before = previous.get(page.id);
+    if (before === undefined) {
+      counts.added++;
+      if (!countOnly) delta.added.push({ id: page.id, ...pick(page) });
+    } else if (before !== fingerprint(page)) {
+      counts.changed++;
+      if (!countOnly) changed.set(page.id, pick(page));
+    }
+  }
+
+  for (const id of previous.keys()) {
+    if (!current.has(id)) counts.removed++;
+  }
+  if (countOnly) return counts;
+
+  // Second pass over `from` for what removed / changed pages looked like
+  if (counts.removed || counts.changed) {
+    for await (const page of iterateSnapshotPages(from)) {
+      if (!current.has(page.id)) {
+        delta.removed.push({ id: page.id, ...pick(page) });
+      } else if (changed.has(page.id)) {
+        delta.changed.push({ id: page.id, previous: pick(page), current: changed.get(page.id) });
+      }
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * Pages added, removed and changed (url, handle, title or template) between two snapshots
+ * @param {object|null} from - CrawlSnapshot, null = everything is added
+ * @param {object} to - CrawlSnapshot (or { _id })
+ * @returns {Promise<{ added: object[], removed: object[], changed: object[] }>}
+ */
+function diffSnapshots(from, to) {
+  return compareSnapshots(from, to, { countOnly: false });
+}
+
+function changeCounts(delta) {
+  return { added: delta.added.length, removed: delta.removed.length, changed: delta.changed.length };
+}
+
+/**
+ * Start a crawl's snapshot: pages are added one at a time and stored
+ * CHUNK_SIZE per document. A retried finalize replaces its earlier pages.
+ * @param {object} job - CrawlJob
+ * @returns {Promise<{ snapshotId: object, total: function(): number, add: function(object): Promise<void>, finish: function(): Promise<void> }>}
+ */
+async function createSnapshotWriter(job) {
+  const size = CrawlSnapshotChunk.CHUNK_SIZE;
+  const existing = await CrawlSnapshot.findOne({ job_id: job._id }, { _id: 1 });
+  const snapshotId = existing?._id || new mongoose.Types.ObjectId();
+  await CrawlSnapshotChunk.deleteMany({ snapshot_id: snapshotId });
+
+  let buffer = [];
+  let seq = 0;
+  let total = 0;
+
+  const flush = async () => {
+    if (!buffer.length) return;
+    const pages = buffer;
+    buffer = [];
+    await CrawlSnapshotChunk.create({ snapshot_id: snapshotId, shop: job.shop, seq: seq++, pages });
+  };
+
+  return {
+    snapshotId,
+    total: () => total,
+    async add(page) {
+      buffer.push({ id: page.id, ...pick(page) });
+      total++;
+      if (buffer.length >= size) await flush();
+    },
+    finish: flush
+  };
+}
+
+/**
+ * Store the snapshot of a finished crawl, once its writer has every page
+ * @param {object} job - CrawlJob
+ * @param {object} writer - from createSnapshotWriter, finished
+ * @param {object} templateGroups
+ * @param {object} [meta] - { active_theme_id }
+ * @returns {Promise<object>} the CrawlSnapshot
+ */
+async function saveCrawlSnapshot(job, writer, templateGroups, { active_theme_id = null } = {}) {
+  const previous = await CrawlSnapshot.findOne({ shop: job.shop, job_id: { $ne: job._id } }).sort({ taken_at: -1 });
+  const changes = previous
+    ? await compareSnapshots(previous, { _id: writer.snapshotId }, { countOnly: true })
+    : { added: writer.total(), removed: 0, changed: 0 };
+
+  // The pages are already stored: the snapshot only becomes visible now.
+  // A retried finalize replaces the snapshot rather than failing on job_id.
+  return CrawlSnapshot.findOneAndUpdate(
+    { job_id: job._id },
+    {
+      $setOnInsert: { _id: writer.snapshotId },
+      $set: {
+        shop: job.shop,
+        source: job.source,
+        taken_at: new Date(),
+        total_pages: writer.total(),
+        active_theme_id,
+        group_hashes: groupHashes(templateGroups),
+        previous_snapshot_id: previous?._id || null,
+        changes
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * The newest snapshot RL Core has received, which the next delta is based on
+ */
+function lastSyncedSnapshot(shop, beforeId) {
+  return CrawlSnapshot.findOne({
+    shop,
+    'rl_core_sync.synced': true,
+    ...(beforeId ? { _id: { $ne: beforeId } } : {})
+  }).sort({ taken_at: -1 });
+}
+
+function recordRlCoreSync(snapshotId, sync) {
+  return CrawlSnapshot.updateOne({ _id: snapshotId }, { $set: { rl_core_sync: sync } });
+}
+
+/**
+ * Diff two crawls of a shop, by job id. Defaults: `to` = latest snapshot,
+ * `from` = the snapshot before `to`.
+ * @returns {Promise<object|null>} null if a requested snapshot doesn't exist
+ */
+async function diffCrawls(shop, { fromJobId = null, toJobId = null } = {}) {
+  const to = toJobId
+    ? await CrawlSnapshot.findOne({ shop, job_id: toJobId })
+    : await CrawlSnapshot.findOne({ shop }).sort({ taken_at: -1 });
+  if (!to) return null;
+
+  const from = fromJobId
+    ? await CrawlSnapshot.findOne({ shop, job_id: fromJobId })
+    : await CrawlSnapshot.findOne({ shop, taken_at: { $lt: to.taken_at } }).sort({ taken_at: -1 });
+  if (fromJobId && !from) return null;
+
+  const delta = await diffSnapshots(from, to);
+  const describe = snapshot => snapshot && {
+    job_id: snapshot.job_id,
+    taken_at: snapshot.taken_at,
+    source: snapshot.source,
+    total_pages: snapshot.total_pages
+  };
+
+  return { from: describe(from), to: describe(to), summary: changeCounts(delta), ...delta };
+}
+
+module.exports = {
+  diffSnapshots,
+  groupMeta,
+  changedGroupKeys,
+  iterateSnapshotPages,
+  changeCounts,
+  createSnapshotWriter,
+  saveCrawlSnapshot,
+  lastSyncedSnapshot,
+  recordRlCoreSync,
+  diffCrawls
+};
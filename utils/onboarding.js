@@ -0,0 +1,404 @@
+// utils/onboarding.js
+// Post-install onboarding as one idempotent pipeline.
+//
+// Each step's outcome is stored on Shop.onboarding.steps, so re-running the
+// pipeline skips what already succeeded and a single failed step can be
+// retried on its own. A step can also be `waiting` on background work (the
+// crawl): the pipeline stops there and is resumed when that work finishes.
+
+const ShopModel = require('../models/Shop');
+const { shopifyGraphQL, shopifyRequest } = require('./shopifyApi');
+const { syncShopToCore } = require('./rlCoreApi');
+
+const ONBOARDING_LEASE_MS = 10 * 60 * 1000;
+
+// Topics routes/webhooks.js handles that can be subscribed through the API.
+// app/installed and the compliance topics come from shopify.app.toml only.
+const WEBHOOK_TOPICS = [
+  'app/uninstalled',
+  'products/create',
+  'products/update',
+  'products/delete',
+  'collections/create',
+  'collections/update',
+  'collections/delete',
+  'themes/publish',
+  'themes/update',
+  'bulk_operations/finish'
+];
+
+// Register every webhook topic for this shop (idempotent)
+async function registerShopWebhooks(shop, accessToken) {
+  if (!accessToken) {
+    throw new Error('No access token available');
+  }
+
+  console.log(`[Webhook] Registering ${WEBHOOK_TOPICS.length} webhook topics for ${shop}`);
+
+  try {
+    const existingWebhooks = await shopifyRequest(shop, "webhooks.json?limit=250");
+
+    if (existingWebhooks.error === "TOKEN_EXPIRED") {
+      console.error(`[Webhook] Token expired for ${shop}, skipping webhook registration`);
+      return { success: false, error: "TOKEN_EXPIRED" };
+    }
+
+    const registered = [];
+    for (const topic of WEBHOOK_TOPICS) {
+      const address = `${process.env.APP_URL}/webhooks/${topic}`;
+      if (existingWebhooks.webhooks?.some(w => w.topic === topic && w.address === address)) {
+        continue;
+      }
+
+      const result = await shopifyRequest(shop, "webhooks.json", "POST", {
+        webhook: { topic, address, format: 'json' }
+      });
+
+      if (result.error === "TOKEN_EXPIRED") {
+        return { success: false, error: "TOKEN_EXPIRED" };
+      }
+      registered.push(topic);
+    }
+
+    console.log(`[Webhook] ✅ Webhooks up to date for ${shop} (${registered.length} registered)`);
+    return {
+      success: true,
+      registered,
+      message: registered.length ? 'Webhooks registered successfully' : 'Webhooks already exist'
+    };
+
+  } catch (error) {
+    console.error(`[Webhook] Registration error for ${shop}:`, error.message);
+    // Don't throw - return error gracefully
+    return { success: false, error: error.message };
+  }
+}
+
+// ====== STEPS ======
+// Each step gets the current Shop document and returns a small result object
+// (stored as-is). Throwing marks the step failed.
+
+async function fetchShopInfo(shopRecord) {
+  const response = await shopifyGraphQL(shopRecord.shop, `{
+    shop {
+      name
+      email
+      ianaTimezone
+      currencyCode
+      primaryDomain { host }
+      plan { displayName }
+    }
+  }`);
+
+  if (response?.error === 'TOKEN_EXPIRED') {
+    throw new Error('TOKEN_EXPIRED');
+  }
+
+  const data = response?.data;
+  if (!data?.shop) {
+    throw new Error('Could not fetch shop info');
+  }
+
+  const shopInfo = {
+    name: data.shop.name,
+    domain: data.shop.primaryDomain?.host,
+    email: data.shop.email,
+    timezone: data.shop.ianaTimezone,
+    currency: data.shop.currencyCode,
+    plan_name: data.shop.plan?.displayName
+  };
+
+  await ShopModel.updateOne({ shop: shopRecord.shop }, { $set: { shopInfo } });
+  return { name: shopInfo.name, domain: shopInfo.domain };
+}
+
+async function registerWebhooks(shopRecord) {
+  const result = await registerShopWebhooks(shopRecord.shop, shopRecord.access_token);
+  if (!result.success) {
+    throw new Error(result.error || 'Webhook registration failed');
+  }
+  return { message: result.message, registered: result.registered };
+}
+
+async function syncToCore(shopRecord) {
+  const result = await syncShopToCore({
+    shop: shopRecord.shop,
+    name: shopRecord.shopInfo?.name,
+    access_token: shopRecord.access_token,
+    api_token: shopRecord.api_token,
+    short_id: shopRecord.short_id,
+    account_id: shopRecord.account_id,
+    needs_setup: shopRecord.needs_setup
+  });
+
+  if (result?.ok === false) {
+    throw new Error(result.error || 'RL Core sync failed');
+  }
+  return { synced: true };
+}
+
+// Queues the crawl and waits for it outside the pipeline (a big store takes
+// longer than any lease); onCrawlFinished() resumes onboarding afterwards
+async function crawlStore(shopRecord, { previous, force }) {
+  const CrawlJob = require('../models/CrawlJob');
+  const { startBackgroundCrawl } = require('./siteCrawler');
+
+  const recorded = previous?.result?.job_id && await CrawlJob.findById(previous.result.job_id, { status: 1, total_pages: 1 });
+  if (recorded?.status === 'succeeded' && !force) {
+    return { job_id: recorded._id, pages: recorded.total_pages || 0 };
+  }
+  if (recorded?.isActive()) {
+    return { waiting: true, job_id: recorded._id };
+  }
+
+  const { job } = await startBackgroundCrawl(shopRecord.shop, { trigger: 'onboarding' });
+  return { waiting: true, job_id: job._id };
+}
+
+async function queuePsiBaseline(shopRecord) {
+  const { enqueueAnalysis } = require('./analysisQueue');
+
+  // Ahead of dashboard refreshes: this is the before-RabbitLoader baseline
+  const { created } = await enqueueAnalysis(shopRecord.shop, '/', {
+    template: 'index',
+    priority: 10,
+    source: 'onboarding'
+  });
+  return created ? { queued: true } : { queued: false, reason: 'already_queued' };
+}
+
+// Order matters: later steps use what earlier ones stored
+const STEPS = [
+  { name: 'shop_info', run: fetchShopInfo },
+  { name: 'webhooks', run: registerWebhooks },
+  { name: 'core_sync', run: syncToCore },
+  { name: 'crawl', run: crawlStore },
+  { name: 'psi_baseline', run: queuePsiBaseline }
+];
+
+const STEP_NAMES = STEPS.map(s => s.name);
+
+// ====== PIPELINE ======
+
+// Take the per-shop lease so two deliveries don't onboard concurrently
+async function acquireLease(shop) {
+  const now = new Date();
+  return ShopModel.findOneAndUpdate(
+    {
+      shop,
+      $or: [
+        { 'onboarding.locked_until': { $exists: false } },
+        { 'onboarding.locked_until': null },
+        { 'onboarding.locked_until': { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        'onboarding.status': 'running',
+        'onboarding.locked_until': new Date(now.getTime() + ONBOARDING_LEASE_MS),
+        'onboarding.last_run_at': now
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Run (or resume) onboarding for a shop.
+ * @param {string} shop - Shop domain
+ * @param {object} [options]
+ * @param {string} [options.step] - Only run this step
+ * @param {boolean} [options.force] - Re-run steps that already succeeded
+ * @returns {Promise<object>} { ok, status, steps } or { ok: false, error }
+ */
+async function runOnboarding(shop, { step = null, force = false } = {}) {
+  if (step && !STEP_NAMES.includes(step)) {
+    return { ok: false, error: `Unknown onboarding step: ${step}` };
+  }
+
+  const existing = await ShopModel.findOne({ shop });
+  if (!existing) {
+    return { ok: false, error: 'Shop not found' };
+  }
+  if (!existing.access_token) {
+    return { ok: false, error: 'No access token' };
+  }
+
+  const leased = await acquireLease(shop);
+  if (!leased) {
+    console.log(`[Onboarding] Already running for ${shop}, skipping`);
+    return { ok: false, error: 'ALREADY_RUNNING' };
+  }
+
+  // Whatever throws past the per-step handling, the lease is released so a
+  // retry can run straight away
+  let released = false;
+  try {
+    const result = await runSteps(shop, leased, { step, force });
+    released = true;
+    return result;
+  } finally {
+    if (!released) {
+      await ShopModel.updateOne(
+        { shop },
+        { $set: { 'onboarding.status': 'failed', 'onboarding.locked_until': null } }
+      ).catch(err => console.error(`[Onboarding] Could not release the lease for ${shop}:`, err.message));
+    }
+  }
+}
+
+// The pipeline itself, run while holding the lease. Its final write
+// releases the lease.
+async function runSteps(shop, leased, { step, force }) {
+  if (!leased.onboarding?.started_at) {
+    await ShopModel.updateOne({ shop }, { $set: { 'onboarding.started_at': new Date() } });
+  }
+
+  console.log(`[Onboarding] 🚀 Starting for ${shop}${step ? ` (step: ${step})` : ''}`);
+
+  const toRun = step ? STEPS.filter(s => s.name === step) : STEPS;
+
+  for (const { name, run } of toRun) {
+    const shopRecord = await ShopModel.findOne({ shop });
+    const previous = shopRecord.onboarding?.steps?.[name];
+
+    if (previous?.status === 'succeeded' && !force) {
+      continue;
+    }
+
+    const prefix = `onboarding.steps.${name}`;
+    await ShopModel.updateOne(
+      { shop },
+      {
+        $set: { [`${prefix}.status`]: 'running', [`${prefix}.started_at`]: new Date() },
+        $inc: { [`${prefix}.attempts`]: 1 }
+      }
+    );
+
+    try {
+      const result = await run(shopRecord, { previous, force });
+
+      if (result?.waiting) {
+        await ShopModel.updateOne(
+          { shop },
+          { $set: { [`${prefix}.status`]: 'waiting', [`${prefix}.result`]: result, [`${prefix}.error`]: null } }
+        );
+        console.log(`[Onboarding] ⏳ ${name} running in the background for ${shop}`);
+        break;
+      }
+
+      await ShopModel.updateOne(
+        { shop },
+        {
+          $set: {
+            [`${prefix}.status`]: 'succeeded',
+            [`${prefix}.result`]: result || null,
+            [`${prefix}.error`]: null,
+            [`${prefix}.completed_at`]: new Date()
+          }
+        }
+      );
+      console.log(`[Onboarding] ✅ ${name} done for ${shop}`);
+    } catch (error) {
+      await ShopModel.updateOne(
+        { shop },
+        {
+          $set: {
+            [`${prefix}.status`]: 'failed',
+            [`${prefix}.error`]: error.message,
+            [`${prefix}.completed_at`]: new Date()
+          }
+        }
+      );
+      console.error(`[Onboarding] ❌ ${name} failed for ${shop}:`, error.message);
+      // Later steps depend on earlier ones; stop here and let a retry resume
+      break;
+    }
+  }
+
+  const finalRecord = await ShopModel.findOne({ shop });
+  const steps = onboardingSteps(finalRecord);
+  const allDone = STEP_NAMES.every(name => steps[name].status === 'succeeded');
+  const anyFailed = STEP_NAMES.some(name => steps[name].status === 'failed');
+  const status = allDone ? 'completed' : (anyFailed ? 'failed' : 'pending');
+
+  await ShopModel.updateOne(
+    { shop },
+    {
+      $set: {
+        'onboarding.status': status,
+        'onboarding.locked_until': null,
+        ...(allDone && !finalRecord.onboarding?.completed_at ? { 'onboarding.completed_at': new Date() } : {})
+      }
+    }
+  );
+
+  console.log(`[Onboarding] ${allDone ? '🎉' : '⚠️'} ${shop} onboarding ${status}`);
+  return { ok: status !== 'failed', status, steps };
+}
+
+/**
+ * Step states for a Shop document, with every known step present
+ */
+function onboardingSteps(shopRecord) {
+  const stored = shopRecord?.onboarding?.steps || {};
+  return STEP_NAMES.reduce((acc, name) => {
+    const s = stored[name] || {};
+    acc[name] = {
+      status: s.status || 'pending',
+      attempts: s.attempts || 0,
+      error: s.error || null,
+      result: s.result || null,
+      completed_at: s.completed_at || null
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Crawl worker callback: if onboarding is waiting on this crawl, resume the
+ * pipeline, or record why the crawl step failed
+ * @param {object} job - finished CrawlJob
+ */
+async function onCrawlFinished(job) {
+  const prefix = 'onboarding.steps.crawl';
+  // The step may be waiting on a crawl someone else queued first
+  const waiting = { shop: job.shop, [`${prefix}.status`]: { $in: ['running', 'waiting'] }, [`${prefix}.result.job_id`]: job._id };
+  if (!await ShopModel.exists(waiting)) return;
+
+  if (job.status === 'succeeded') {
+    startOnboarding(job.shop);
+    return;
+  }
+
+  await ShopModel.updateOne(
+    waiting,
+    {
+      $set: {
+        [`${prefix}.status`]: 'failed',
+        [`${prefix}.error`]: job.error || `Crawl ${job.status}`,
+        [`${prefix}.completed_at`]: new Date(),
+        'onboarding.status': 'failed'
+      }
+    }
+  );
+  console.error(`[Onboarding] ❌ crawl failed for ${job.shop}:`, job.error || job.status);
+}
+
+/**
+ * Start onboarding without waiting for it (install flows)
+ */
+function startOnboarding(shop, options) {
+  runOnboarding(shop, options).catch(err => {
+    console.error(`[Onboarding] Error for ${shop}:`, err.message);
+  });
+}
+
+module.exports = {
+  runOnboarding,
+  startOnboarding,
+  onCrawlFinished,
+  onboardingSteps,
+  registerShopWebhooks,
+  STEP_NAMES
+};
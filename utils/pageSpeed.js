@@ -0,0 +1,115 @@
+// utils/pageSpeed.js
+// PageSpeed Insights API client: one Lighthouse run, reduced to what
+// PagePerformance stores (score, lab metrics, failing audits, CrUX).
+
+const axios = require('axios');
+
+const PSI_API_URL = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
+const PSI_API_KEY = process.env.GOOGLE_PSI_API_KEY || process.env.PAGESPEED_API_KEY;
+// A mobile Lighthouse run regularly takes 30-60s
+const PSI_TIMEOUT_MS = 120 * 1000;
+
+// PagePerformance lab_data field -> Lighthouse audit id
+const LAB_AUDITS = {
+  fcp: 'first-contentful-paint',
+  lcp: 'largest-contentful-paint',
+  cls: 'cumulative-layout-shift',
+  tbt: 'total-blocking-time',
+  si: 'speed-index',
+  tti: 'interactive',
+  ttfb: 'server-response-time'
+};
+
+// CrUX metric -> PagePerformance field_data key
+const FIELD_METRICS = {
+  LARGEST_CONTENTFUL_PAINT_MS: 'lcp',
+  CUMULATIVE_LAYOUT_SHIFT_SCORE: 'cls',
+  INTERACTION_TO_NEXT_PAINT: 'inp',
+  FIRST_CONTENTFUL_PAINT_MS: 'fcp',
+  EXPERIMENTAL_TIME_TO_FIRST_BYTE: 'ttfb'
+};
+
+const PASSING_AUDIT_SCORE = 0.9;
+
+function labData(audits) {
+  return Object.fromEntries(
+    Object.entries(LAB_AUDITS).map(([key, id]) => [key, audits[id]?.numericValue ?? null])
+  );
+}
+
+// Performance audits below passing, excluding the metrics themselves
+function auditSummary(lighthouse) {
+  const refs = lighthouse.categories?.performance?.auditRefs || [];
+  return refs
+    .filter(ref => ref.group !== 'metrics')
+    .map(ref => lighthouse.audits[ref.id])
+    .filter(audit => audit && typeof audit.score === 'number' && audit.score < PASSING_AUDIT_SCORE)
+    .map(audit => ({
+      id: audit.id,
+      title: audit.title,
+      score: audit.score,
+      display_value: audit.displayValue || null,
+      savings_ms: audit.details?.overallSavingsMs ?? null,
+      savings_bytes: audit.details?.overallSavingsBytes ?? null
+    }))
+    .sort((a, b) => (b.savings_ms || 0) - (a.savings_ms || 0));
+}
+
+function fieldData(data) {
+  const experience = data.loadingExperience?.metrics ? data.loadingExperience : data.originLoadingExperience;
+  if (!experience?.metrics) return null;
+
+  const metrics = {};
+  for (const [name, key] of Object.entries(FIELD_METRICS)) {
+    const metric = experience.metrics[name];
+    if (metric) {
+      metrics[key] = { p75: metric.percentile, category: metric.category };
+    }
+  }
+
+  return {
+    origin_fallback: experience === data.originLoadingExperience || !!experience.origin_fallback,
+    overall_category: experience.overall_category || null,
+    metrics
+  };
+}
+
+/**
+ * Run PageSpeed Insights for one URL and strategy
+ * @param {string} fullUrl - https://shop.myshopify.com/path
+ * @param {'mobile'|'desktop'} strategy
+ * @returns {Promise<object>} PagePerformance strategy result
+ */
+async function runPageSpeed(fullUrl, strategy) {
+  const response = await axios.get(PSI_API_URL, {
+    params: {
+      url: fullUrl,
+      strategy,
+      category: 'performance',
+      ...(PSI_API_KEY ? { key: PSI_API_KEY } : {})
+    },
+    timeout: PSI_TIMEOUT_MS
+  });
+
+  const lighthouse = response.data?.lighthouseResult;
+  if (!lighthouse?.categories?.performance) {
+    throw new Error(`PSI returned no performance result for ${fullUrl} (${strategy})`);
+  }
+  if (lighthouse.runtimeError?.code) {
+    throw new Error(`Lighthouse ${lighthouse.runtimeError.code}: ${lighthouse.runtimeError.message}`);
+  }
+
+  const score = lighthouse.categories.performance.score;
+  return {
+    score: score == null ? null : Math.round(score * 100),
+    lab_data: labData(lighthouse.audits || {}),
+    audits: auditSummary(lighthouse),
+    field_data: fieldData(response.data),
+    lighthouse_version: lighthouse.lighthouseVersion,
+    fetched_at: lighthouse.fetchTime ? new Date(lighthouse.fetchTime) : new Date()
+  };
+}
+
+module.exports = {
+  runPageSpeed
+};
@@ -0,0 +1,175 @@
+// utils/publicationFilter.js
+// Which crawled resources are actually live on the Online Store, and why the
+// others were left out (CrawlJob.excluded.<resource>[].reason).
+//
+// Products and collections are checked against the Online Store publication
+// (needs the optional read_publications scope; without it products fall back
+// to onlineStoreUrl and collections aren't checked). Pages and articles have
+// their own visibility: hidden, or published in the future.
+
+const { shopifyGraphQL } = require('./shopifyApi');
+const { getMissingScopes, resolveGrantedScopes, OPTIONAL_SCOPES } = require('./scopes');
+
+const EXCLUSION_REASONS = {
+  draft: 'Product is a draft',
+  archived: 'Product is archived',
+  not_published: 'Not published to the Online Store sales channel',
+  scheduled: 'Scheduled to be published later',
+  hidden: 'Visibility is set to hidden',
+  no_url: 'Has no storefront URL'
+};
+
+// nodes(ids:) with a nested connection: keep each query well under 1000 points
+const SCHEDULE_BATCH_SIZE = 25;
+
+function throwIfExpired(response) {
+  if (!response.ok && response.error === "TOKEN_EXPIRED") {
+    throw new Error('TOKEN_EXPIRED');
+  }
+}
+
+/**
+ * Id of the shop's Online Store publication, or null when the scope isn't
+ * granted or the channel isn't installed
+ */
+async function fetchOnlineStorePublicationId(shopRecord) {
+  const { shop } = shopRecord;
+  const missing = getMissingScopes(await resolveGrantedScopes(shopRecord), OPTIONAL_SCOPES.publications);
+  if (missing.length) {
+    console.log(`[Publications] ${shop} hasn't granted ${missing.join(', ')}, using onlineStoreUrl only`);
+    return null;
+  }
+
+  const response = await shopifyGraphQL(shop, `
+    query Publications {
+      publications(first: 50) {
+        nodes {
+          id
+          name
+        }
+      }
+    }
+  `);
+  throwIfExpired(response);
+
+  const onlineStore = (response.data?.publications?.nodes || []).find(p => p.name === 'Online Store');
+  if (!onlineStore) {
+    console.warn(`[Publications] No Online Store publication for ${shop}`);
+  }
+  return onlineStore?.id || null;
+}
+
+/**
+ * Extra selection for products / collections when the publication is known
+ */
+function publicationSelection(publicationId) {
+  return publicationId ? `
+            publishedOnPublication(publicationId: "${publicationId}")` : '';
+}
+
+function productExclusion(product, { publicationId }) {
+  if (product.status === 'DRAFT') return 'draft';
+  if (product.status === 'ARCHIVED') return 'archived';
+  if (publicationId ? product.publishedOnPublication === false : !product.onlineStoreUrl) return 'not_published';
+  if (!product.handle) return 'no_url';
+  return null;
+}
+
+function collectionExclusion(collection, { publicationId }) {
+  if (publicationId && collection.publishedOnPublication === false) return 'not_published';
+  if (!collection.handle) return 'no_url';
+  return null;
+}
+
+// REST page: published_at null = hidden, in the future = scheduled
+function pageExclusion(page, { now }) {
+  if (!page.published_at) return 'hidden';
+  if (new Date(page.published_at) > now) return 'scheduled';
+  if (!page.handle) return 'no_url';
+  return null;
+}
+
+function articleExclusion(article, { now }) {
+  if (!article.isPublished) {
+    return article.publishedAt && new Date(article.publishedAt) > now ? 'scheduled' : 'hidden';
+  }
+  if (!article.handle || !article.blog?.handle) return 'no_url';
+  return null;
+}
+
+/**
+ * Split `not_published` into `scheduled` where the Online Store publication
+ * has a future publish date (mutates the entries, adds publish_at)
+ * @param {object[]} excluded - [{ id, reason, ... }]
+ */
+async function refineScheduled(shop, excluded, { publicationId, now }) {
+  if (!publicationId) return excluded;
+
+  const candidates = excluded.filter(entry => entry.reason === 'not_published' && String(entry.id).startsWith('gid://'));
+
+  for (let i = 0; i < candidates.length; i += SCHEDULE_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + SCHEDULE_BATCH_SIZE);
+    const response = await shopifyGraphQL(shop, `
+      query PublicationSchedule($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          id
+          ... on Publishable {
+            resourcePublications(first: 20, onlyPublished: false) {
+              nodes {
+                isPublished
+                publishDate
+                publication {
+                  id
+                }
+              }
+            }
+          }
+        }
+      }
+    `, { ids: batch.map(entry => entry.id) });
+    throwIfExpired(response);
+
+    const byId = new Map((response.data?.nodes || []).filter(Boolean).map(node => [node.id, node]));
+    for (const entry of batch) {
+      const onlineStore = byId.get(entry.id)?.resourcePublications?.nodes
+        ?.find(rp => rp.publication?.id === publicationId);
+      if (onlineStore && !onlineStore.isPublished && onlineStore.publishDate && new Date(onlineStore.publishDate) > now) {
+        entry.reason = 'scheduled';
+        entry.publish_at = onlineStore.publishDate;
+      }
+    }
+  }
+
+  return excluded;
+}
+
+/**
+ * Counts for the status API
+ * @param {object} excludedByResource - exclusions keyed by resource
+ * @param {object} [summary] - a previous result to add to (summing chunk by chunk)
+ * @returns {{ total: number, by_reason: object, by_resource: object }}
+ */
+function summarizeExclusions(excludedByResource, summary = { total: 0, by_reason: {}, by_resource: {} }) {
+  for (const [resource, entries] of Object.entries(excludedByResource || {})) {
+    if (!entries?.length) continue;
+    summary.by_resource[resource] = (summary.by_resource[resource] || 0) + entries.length;
+    summary.total += entries.length;
+    for (const { reason } of entries) {
+      summary.by_reason[reason] = (summary.by_reason[reason] || 0) + 1;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  EXCLUSION_REASONS,
+  fetchOnlineStorePublicationId,
+  publicationSelection,
+  productExclusion,
+  collectionExclusion,
+  pageExclusion,
+  articleExclusion,
+  refineScheduled,
+  summarizeExclusions
+};
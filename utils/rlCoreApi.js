@@ -1,6 +1,8 @@
 // utils/rlCoreApi.js
 // API client to communicate with RL-Core backend
 
+const { decryptToken } = require('./tokenCrypto');
+
 const RL_CORE_URL = process.env.RL_CORE_URL || 'http://localhost:4000';
 
 /**
@@ -10,7 +12,8 @@ const RL_CORE_URL = process.env.RL_CORE_URL || 'http://localhost:4000';
  * @param {object} data - Request body data
  * @param {string} shop - Shop domain for authentication
  * @param {string} apiToken - API token for authentication (RL token, NOT Shopify token)
- * @returns {Promise<object>} API response
+ * @returns {Promise<object>} API response; `{ ok: false, status, error }` on a
+ *   non-2xx status, `{ ok: true }` for an empty 2xx body
  */
 async function rlCoreRequest(endpoint, method = 'GET', data = null, shop = null, apiToken = null) {
   const url = `${RL_CORE_URL}${endpoint}`;
@@ -21,7 +24,7 @@ async function rlCoreRequest(endpoint, method = 'GET', data = null, shop = null,
   
   // Add authentication headers if provided
   if (shop) headers['X-Shop'] = shop;
-  if (apiToken) headers['X-API-Key'] = apiToken;
+  if (apiToken) headers['X-API-Key'] = decryptToken(apiToken);
   headers['X-Platform'] = 'shopify';
   
   const options = {
@@ -37,13 +40,21 @@ async function rlCoreRequest(endpoint, method = 'GET', data = null, shop = null,
     console.log(`[RL-Core] ${method} ${endpoint} for shop: ${shop || 'none'}`);
     
     const response = await fetch(url, options);
-    const result = await response.json();
+    // 204 No Content and other empty answers have nothing to parse
+    const text = await response.text();
+    const result = text ? JSON.parse(text) : null;
     
     if (!response.ok) {
       console.error(`[RL-Core] API error (${response.status}):`, result);
+      return {
+        ...(result && typeof result === 'object' ? result : {}),
+        ok: false,
+        status: response.status,
+        error: result?.error || `HTTP ${response.status}`
+      };
     }
     
-    return result;
+    return result ?? { ok: true };
   } catch (error) {
     console.error(`[RL-Core] Request failed to ${endpoint}:`, error.message);
     return { ok: false, error: error.message };
@@ -56,19 +67,22 @@ async function rlCoreRequest(endpoint, method = 'GET', data = null, shop = null,
  */
 async function syncShopToCore(shopData) {
   console.log(`[RL-Core] Syncing shop to core: ${shopData.shop}`);
+
+  // Callers may pass values straight from the Shop document (encrypted at rest)
+  const apiToken = decryptToken(shopData.api_token);
   
   return await rlCoreRequest('/shops', 'POST', {
     shop: shopData.shop,
     name: shopData.name || shopData.shop,
     domain: shopData.shop,
     platform: 'shopify',
-    api_token: shopData.api_token,           // RL API token (JWT)
+    api_token: apiToken,                     // RL API token (JWT)
     short_id: shopData.short_id,             // RL domain ID
     account_id: shopData.account_id,
-    access_token: shopData.access_token,     // Shopify access token
+    access_token: decryptToken(shopData.access_token), // Shopify access token
     needs_setup: shopData.needs_setup,
     reauth_required: shopData.reauth_required
-  }, shopData.shop, shopData.api_token);
+  }, shopData.shop, apiToken);
 }
 
 /**
@@ -119,6 +133,18 @@ async function getSiteAnalysis(shop, apiToken) {
   return await rlCoreRequest(`/site-analysis?shop=${encodeURIComponent(shop)}`, 'GET', null, shop, apiToken);
 }
 
+/**
+ * Queue cache purge / re-optimization for URLs that were removed or changed
+ * @param {object} urls - { purge: [fullUrl], reoptimize: [fullUrl] }
+ */
+async function schedulePurge(shop, apiToken, urls) {
+  return await rlCoreRequest('/site-analysis/purge', 'POST', {
+    shop,
+    purge_urls: urls.purge || [],
+    reoptimize_urls: urls.reoptimize || []
+  }, shop, apiToken);
+}
+
 /**
  * Save template data to rl-core
  */
@@ -190,6 +216,7 @@ module.exports = {
   saveDeferConfig,
   saveSiteAnalysis,
   getSiteAnalysis,
+  schedulePurge,
   saveTemplate,
   getTemplates,
   savePerformanceMetrics,
@@ -1,8 +1,10 @@
 const axios = require('axios');
 const Shop = require('../models/Shop');
+const { decryptToken } = require('./tokenCrypto');
 
-function extractJWT(encodedToken) {
+function extractJWT(storedToken) {
   try {
+    const encodedToken = decryptToken(storedToken);
     if (encodedToken.startsWith('eyJ')) {
       console.log('[RL Report] api_token is already a JWT');
       return encodedToken;
@@ -0,0 +1,192 @@
+// utils/rlToken.js
+// Verifies the rl-token RabbitLoader hands back after /rl/rl-connect
+//
+// The rl-token is base64 JSON: { api_token, did, account_id, ... }.
+// Two independent checks are supported; at least one must be configured:
+//   RL_CALLBACK_SECRET  - HMAC-SHA256 (hex) of the raw rl-token, sent as `rl-signature`
+//   RL_JWT_SECRET       - HS256 secret for the api_token JWT
+//   RL_JWT_PUBLIC_KEY   - PEM public key for an RS256 api_token JWT
+// When api_token is a JWT its `exp` is always enforced and returned, along
+// with its `did` claim. The returned did is always a verified one: the
+// api_token claim, or the outer did when the callback HMAC covers it.
+
+const crypto = require('crypto');
+
+const RL_CONNECT_PURPOSE = 'rl_connect';
+
+class RlTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RlTokenError';
+    this.code = code;
+  }
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function timingSafeEqualHex(a, b) {
+  const left = Buffer.from(String(a || ''), 'hex');
+  const right = Buffer.from(String(b || ''), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(parts[0]).toString('utf8')),
+      payload: JSON.parse(base64UrlDecode(parts[1]).toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: base64UrlDecode(parts[2])
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+function verifyJwtSignature(jwt) {
+  const { header, signingInput, signature } = jwt;
+
+  if (header.alg === 'HS256' && process.env.RL_JWT_SECRET) {
+    const expected = crypto.createHmac('sha256', process.env.RL_JWT_SECRET).update(signingInput).digest();
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  }
+
+  if (header.alg === 'RS256' && process.env.RL_JWT_PUBLIC_KEY) {
+    return crypto.verify('RSA-SHA256', Buffer.from(signingInput), process.env.RL_JWT_PUBLIC_KEY, signature);
+  }
+
+  throw new RlTokenError('UNSUPPORTED_JWT', `No verification key configured for ${header.alg} api_token`);
+}
+
+/**
+ * Validate a RabbitLoader api_token.
+ * @returns {{ expiresAt: Date|null, signatureVerified: boolean, did: string|null }}
+ * @throws {RlTokenError}
+ */
+function verifyRlApiToken(apiToken) {
+  if (!apiToken || typeof apiToken !== 'string') {
+    throw new RlTokenError('MISSING_API_TOKEN', 'RabbitLoader token has no api_token');
+  }
+
+  const jwt = decodeJwt(apiToken);
+  if (!jwt) {
+    // Opaque token: only the callback HMAC can vouch for it
+    return { expiresAt: null, signatureVerified: false, did: null };
+  }
+
+  let signatureVerified = false;
+  if (process.env.RL_JWT_SECRET || process.env.RL_JWT_PUBLIC_KEY) {
+    if (!verifyJwtSignature(jwt)) {
+      throw new RlTokenError('INVALID_API_TOKEN_SIGNATURE', 'RabbitLoader api_token signature is invalid');
+    }
+    signatureVerified = true;
+  }
+
+  const { exp, did, short_id: shortId } = jwt.payload;
+  if (exp !== undefined) {
+    if (typeof exp !== 'number') {
+      throw new RlTokenError('INVALID_API_TOKEN', 'RabbitLoader api_token has an invalid exp claim');
+    }
+    if (exp * 1000 <= Date.now()) {
+      throw new RlTokenError('API_TOKEN_EXPIRED', 'RabbitLoader api_token has expired');
+    }
+  }
+
+  return {
+    expiresAt: typeof exp === 'number' ? new Date(exp * 1000) : null,
+    signatureVerified,
+    // Only trustworthy when signatureVerified
+    did: typeof (did || shortId) === 'string' ? (did || shortId) : null
+  };
+}
+
+/**
+ * Decode and verify the rl-token from a RabbitLoader callback.
+ * @param {string} rlToken - Raw base64 rl-token
+ * @param {string} [signature] - `rl-signature` sent alongside the token
+ * @returns {object} { api_token, did, account_id, api_token_expires_at }
+ * @throws {RlTokenError}
+ */
+function verifyRlToken(rlToken, signature) {
+  if (!rlToken || typeof rlToken !== 'string') {
+    throw new RlTokenError('MISSING_RL_TOKEN', 'Missing rl-token');
+  }
+
+  const callbackSecret = process.env.RL_CALLBACK_SECRET;
+  const jwtKeyConfigured = !!(process.env.RL_JWT_SECRET || process.env.RL_JWT_PUBLIC_KEY);
+
+  if (!callbackSecret && !jwtKeyConfigured) {
+    throw new RlTokenError('VERIFICATION_NOT_CONFIGURED', 'RabbitLoader token verification is not configured');
+  }
+
+  let callbackVerified = false;
+  if (callbackSecret) {
+    const expected = crypto.createHmac('sha256', callbackSecret).update(rlToken).digest('hex');
+    if (!timingSafeEqualHex(signature, expected)) {
+      throw new RlTokenError('INVALID_SIGNATURE', 'rl-token signature is missing or invalid');
+    }
+    callbackVerified = true;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(rlToken, 'base64').toString('utf8'));
+  } catch (err) {
+    throw new RlTokenError('MALFORMED_RL_TOKEN', 'rl-token is not valid base64 JSON');
+  }
+
+  if (!decoded || typeof decoded !== 'object') {
+    throw new RlTokenError('MALFORMED_RL_TOKEN', 'rl-token payload is not an object');
+  }
+
+  const outerDid = decoded.did || decoded.short_id;
+  const { expiresAt, signatureVerified, did: claimedDid } = verifyRlApiToken(decoded.api_token);
+
+  if (!callbackVerified && !signatureVerified) {
+    throw new RlTokenError('UNVERIFIED_RL_TOKEN', 'rl-token could not be verified');
+  }
+
+  // The outer JSON is only signed by the callback HMAC. Without it the did
+  // must come from the verified api_token; with both they have to agree.
+  if (signatureVerified && claimedDid && outerDid && claimedDid !== outerDid) {
+    throw new RlTokenError('DID_MISMATCH', 'rl-token did does not match the api_token');
+  }
+  const did = signatureVerified && claimedDid ? claimedDid : (callbackVerified ? outerDid : null);
+  if (!did || typeof did !== 'string') {
+    throw new RlTokenError('MISSING_DID', callbackVerified ? 'rl-token has no did' : 'api_token has no did claim');
+  }
+
+  return {
+    api_token: decoded.api_token,
+    did,
+    account_id: decoded.account_id,
+    api_token_expires_at: expiresAt
+  };
+}
+
+/**
+ * Reconnect hints for the dashboard
+ */
+function rlTokenStatus(shopRecord, warnDays = 7) {
+  const expiresAt = shopRecord.api_token_expires_at ? new Date(shopRecord.api_token_expires_at) : null;
+  const msLeft = expiresAt ? expiresAt.getTime() - Date.now() : null;
+
+  return {
+    rl_token_expires_at: expiresAt,
+    rl_token_expired: msLeft !== null && msLeft <= 0,
+    rl_reconnect_required: msLeft !== null && msLeft < warnDays * 24 * 60 * 60 * 1000
+  };
+}
+
+module.exports = {
+  RL_CONNECT_PURPOSE,
+  RlTokenError,
+  verifyRlToken,
+  verifyRlApiToken,
+  rlTokenStatus
+};
@@ -0,0 +1,147 @@
+// utils/sampleSelection.js
+// Representative sample pages per template group.
+//
+// Pages are ranked by how much content they carry (images, variants,
+// description length, ...), each signal as a percentile within the group so
+// no single signal dominates. The ranking is cut into equal strata and the
+// middle page of each stratum is a sample: with 3 samples that's a sparse,
+// a typical and a rich page. Ties break on id, so samples are stable
+// between crawls of an unchanged catalog.
+
+const SAMPLES_PER_GROUP = parseInt(process.env.CRAWL_SAMPLES_PER_GROUP, 10) || 3;
+
+// Per-item content signals set by the crawler's fetchers (item.signals)
+const SIGNALS = ['image_count', 'variant_count', 'description_length', 'product_count', 'article_count'];
+
+// Template suffixes / tags used for login- or password-gated content
+const GATED_PATTERN = /(^|[\s._-])(password|locked|private|members?|wholesale|b2b)($|[\s._-])/i;
+
+/**
+ * Whether an item looks gated behind a password or customer login
+ * @param {{ template_suffix?: string, tags?: string[] }} item
+ */
+function isPasswordGated({ template_suffix, tags }) {
+  return (!!template_suffix && GATED_PATTERN.test(template_suffix)) ||
+    (tags || []).some(tag => GATED_PATTERN.test(tag));
+}
+
+function exclusionReason(page) {
+  if (page.published === false) return 'draft';
+  if (page.gated) return 'password_gated';
+  return null;
+}
+
+// Percentile (0..1) of each page for one signal; tied values share a rank
+function percentiles(pages, signal) {
+  const value = page => page.signals?.[signal] ?? 0;
+  const sorted = [...pages].sort((a, b) => value(a) - value(b));
+  const result = new Map();
+  const last = Math.max(sorted.length - 1, 1);
+
+  for (let start = 0; start < sorted.length;) {
+    let end = start;
+    while (end + 1 < sorted.length && value(sorted[end + 1]) === value(sorted[start])) end++;
+    const rank = (start + end) / 2 / last;
+    for (let i = start; i <= end; i++) result.set(sorted[i], rank);
+    start = end + 1;
+  }
+  return result;
+}
+
+function stratumLabel(index, strata) {
+  if (strata === 1) return 'typical';
+  if (index === 0) return 'sparse';
+  if (index === strata - 1) return 'rich';
+  return 'typical';
+}
+
+/**
+ * Pick up to `count` representative samples from a group's pages
+ * @param {object[]} pages - crawled items ({ id, url, title, signals, published, gated })
+ * @param {object} [options]
+ * @param {number} [options.count]
+ * @returns {{ samples: object[], sample_page: string|null, sampling: object }}
+ */
+function selectSamples(pages, { count = SAMPLES_PER_GROUP } = {}) {
+  const collector = createSampleCollector();
+  for (const page of pages) {
+    collector.add(page);
+  }
+  return collector.select({ count });
+}
+
+/**
+ * selectSamples one page at a time: keeps only what the ranking needs
+ * (id, url, title, handle, signals) of eligible pages, so a crawl can stream
+ * its items instead of holding them all.
+ * @returns {{ add: function(object): void, select: function(object=): object }}
+ */
+function createSampleCollector() {
+  const excluded = { draft: 0, password_gated: 0 };
+  const eligible = [];
+
+  return {
+    add(page) {
+      const reason = exclusionReason(page);
+      if (reason) {
+        excluded[reason]++;
+      } else {
+        eligible.push({ id: page.id, url: page.url, title: page.title, handle: page.handle, signals: page.signals });
+      }
+    },
+    select({ count = SAMPLES_PER_GROUP } = {}) {
+      return rankSamples(eligible, excluded, count);
+    }
+  };
+}
+
+function rankSamples(eligible, excluded, count) {
+  const signals = SIGNALS.filter(signal => eligible.some(page => page.signals?.[signal] != null));
+  const sampling = { eligible: eligible.length, excluded, signals };
+
+  if (!eligible.length) {
+    return { samples: [], sample_page: null, sampling };
+  }
+
+  const richness = new Map(eligible.map(page => [page, 0]));
+  for (const signal of signals) {
+    for (const [page, rank] of percentiles(eligible, signal)) {
+      richness.set(page, richness.get(page) + rank / signals.length);
+    }
+  }
+
+  const ranked = [...eligible].sort((a, b) =>
+    (richness.get(a) - richness.get(b)) || String(a.id).localeCompare(String(b.id))
+  );
+
+  const strata = Math.min(count, ranked.length);
+  const samples = [];
+  for (let i = 0; i < strata; i++) {
+    const from = Math.floor((i * ranked.length) / strata);
+    const to = Math.floor(((i + 1) * ranked.length) / strata);
+    const page = ranked[Math.floor((from + to - 1) / 2)];
+    samples.push({
+      id: page.id,
+      url: page.url,
+      title: page.title,
+      handle: page.handle,
+      stratum: stratumLabel(i, strata),
+      richness: Math.round(richness.get(page) * 100) / 100,
+      signals: page.signals || {}
+    });
+  }
+
+  return {
+    samples,
+    // The single-page consumers (PSI, locale variants) get the middle sample
+    sample_page: samples[Math.floor(strata / 2)].url,
+    sampling
+  };
+}
+
+module.exports = {
+  SAMPLES_PER_GROUP,
+  isPasswordGated,
+  selectSamples,
+  createSampleCollector
+};
@@ -0,0 +1,173 @@
+// utils/scopes.js
+// Single source of truth for the Admin API scopes this app needs, and the
+// check that the scopes a shop actually granted still cover them.
+
+const ShopModel = require('../models/Shop');
+
+// Must stay in sync with `scopes` in shopify.app.toml
+const DEFAULT_SCOPES = [
+  'read_products',
+  'write_products',
+  'read_script_tags',
+  'write_script_tags',
+  'read_content',
+  'write_content',
+  'read_themes',
+  'write_themes'
+];
+
+// Requested at runtime by features that work without them (see
+// `optional_scopes` in shopify.app.toml). Never enforced by requireGrantedScopes.
+const OPTIONAL_SCOPES = {
+  // Markets- and locale-aware crawl variants (utils/storefrontLocales.js)
+  localization: ['read_markets', 'read_locales', 'read_translations'],
+  // Online Store publication checks for products / collections (utils/publicationFilter.js)
+  publications: ['read_publications']
+};
+
+// How long a scope lookup via the Admin API is trusted
+const SCOPE_CHECK_TTL_MS = 24 * 60 * 60 * 1000;
+
+function parseScopes(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(scope => scope.trim()).filter(Boolean))];
+}
+
+function getRequiredScopes() {
+  return process.env.SHOPIFY_SCOPES ? parseScopes(process.env.SHOPIFY_SCOPES) : DEFAULT_SCOPES;
+}
+
+/**
+ * Required scopes not covered by the granted set.
+ * A granted write_X also satisfies read_X.
+ */
+function getMissingScopes(grantedScopes, requiredScopes = getRequiredScopes()) {
+  const granted = new Set(parseScopes(grantedScopes));
+  return requiredScopes.filter(scope => {
+    if (granted.has(scope)) return false;
+    if (scope.startsWith('read_') && granted.has(`write_${scope.slice(5)}`)) return false;
+    return true;
+  });
+}
+
+/**
+ * Ask Shopify which scopes the installation currently holds
+ */
+async function fetchGrantedScopes(shop) {
+  const { shopifyGraphQL } = require('./shopifyApi');
+
+  const response = await shopifyGraphQL(shop, `
+    query AccessScopes {
+      currentAppInstallation {
+        accessScopes {
+          handle
+        }
+      }
+    }
+  `);
+
+  if (!response.data?.currentAppInstallation) {
+    return null;
+  }
+
+  return response.data.currentAppInstallation.accessScopes.map(scope => scope.handle);
+}
+
+// Stored scopes, refreshed from the Admin API when unknown or stale. Falls
+// back to the stored ones when the lookup fails; null if there are none
+// (unknown, not "nothing granted").
+async function resolveGrantedScopes(shopRecord) {
+  const checkedAt = shopRecord.scopes_checked_at ? new Date(shopRecord.scopes_checked_at).getTime() : 0;
+  const fresh = Date.now() - checkedAt < SCOPE_CHECK_TTL_MS;
+
+  if (shopRecord.granted_scopes?.length && fresh) {
+    return shopRecord.granted_scopes;
+  }
+
+  try {
+    const granted = await fetchGrantedScopes(shopRecord.shop);
+    if (granted) {
+      await ShopModel.updateOne(
+        { shop: shopRecord.shop },
+        { $set: { granted_scopes: granted, scopes_checked_at: new Date() } }
+      );
+      return granted;
+    }
+  } catch (error) {
+    console.warn(`[Scopes] Could not fetch access scopes for ${shopRecord.shop}:`, error.message);
+  }
+
+  return shopRecord.granted_scopes?.length ? shopRecord.granted_scopes : null;
+}
+
+function reconsentUrl(shop, missingScopes) {
+  const params = new URLSearchParams({ shop, missing: missingScopes.join(',') });
+  return `${process.env.APP_URL}/shopify/auth?${params.toString()}`;
+}
+
+// Middleware (after requireSessionToken): stop the request with a targeted
+// re-consent prompt when the shop's granted scopes don't cover what we need.
+async function requireGrantedScopes(req, res, next) {
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+
+  try {
+    const shopRecord = await ShopModel.findOne({ shop: req.shop });
+
+    // Not installed yet: the route itself reports that
+    if (!shopRecord?.access_token) {
+      return next();
+    }
+
+    const granted = await resolveGrantedScopes(shopRecord);
+
+    // Couldn't check: don't send a shop that may have everything to re-consent
+    if (!granted) {
+      return next();
+    }
+
+    const missing = getMissingScopes(granted);
+
+    if (missing.length === 0) {
+      return next();
+    }
+
+    console.warn(`[Scopes] ${req.shop} is missing scopes: ${missing.join(', ')}`);
+    const url = reconsentUrl(req.shop, missing);
+
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+      const items = missing.map(scope => `<li><code>${scope}</code></li>`).join('');
+      return res.status(403).send(`
+        <div style="text-align: center; padding: 50px; font-family: Arial, sans-serif;">
+          <h2>Additional permissions needed</h2>
+          <p>RabbitLoader needs access that hasn't been granted yet:</p>
+          <ul style="display: inline-block; text-align: left;">${items}</ul>
+          <p><a href="${url}" target="_top" style="color: #007bff;">Review and grant access</a></p>
+        </div>
+      `);
+    }
+
+    return res.status(403).json({
+      ok: false,
+      error: 'Missing required access scopes',
+      action: 'reauth_required',
+      missing_scopes: missing,
+      reauth_url: url
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  DEFAULT_SCOPES,
+  OPTIONAL_SCOPES,
+  parseScopes,
+  getRequiredScopes,
+  getMissingScopes,
+  fetchGrantedScopes,
+  resolveGrantedScopes,
+  requireGrantedScopes
+};
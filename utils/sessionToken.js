@@ -0,0 +1,175 @@
+// utils/sessionToken.js
+// Verifies Shopify App Bridge session tokens and pins the shop on the request
+
+const crypto = require('crypto');
+
+const SHOP_DOMAIN_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+class SessionTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionTokenError';
+    this.code = code;
+  }
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Decode and verify a Shopify session token (HS256 JWT)
+ * @param {string} token - Raw JWT from App Bridge
+ * @returns {object} Verified payload with an extra `shop` field
+ * @throws {SessionTokenError} When the signature or any claim is invalid
+ */
+function decodeSessionToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new SessionTokenError('MISSING_TOKEN', 'Session token required');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new SessionTokenError('MALFORMED_TOKEN', 'Session token is malformed');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (err) {
+    throw new SessionTokenError('MALFORMED_TOKEN', 'Session token is malformed');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new SessionTokenError('INVALID_ALGORITHM', `Unsupported algorithm: ${header.alg}`);
+  }
+
+  // Signature check (timing-safe)
+  const expected = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const provided = base64UrlDecode(signature);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new SessionTokenError('INVALID_SIGNATURE', 'Session token signature mismatch');
+  }
+
+  // Time-based claims
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+    throw new SessionTokenError('TOKEN_EXPIRED', 'Session token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new SessionTokenError('TOKEN_NOT_ACTIVE', 'Session token not yet valid');
+  }
+
+  // Audience must be this app
+  const audience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audience.includes(process.env.SHOPIFY_API_KEY)) {
+    throw new SessionTokenError('INVALID_AUDIENCE', 'Session token issued for another app');
+  }
+
+  // Destination must be a shop, and must match the issuer
+  let shop;
+  try {
+    shop = new URL(payload.dest).hostname;
+  } catch (err) {
+    throw new SessionTokenError('INVALID_DESTINATION', 'Session token has no valid dest');
+  }
+
+  if (!SHOP_DOMAIN_REGEX.test(shop)) {
+    throw new SessionTokenError('INVALID_DESTINATION', `Invalid shop in dest: ${shop}`);
+  }
+
+  let issuerHost = null;
+  try {
+    issuerHost = new URL(payload.iss).hostname;
+  } catch (err) {
+    // Falls through to the mismatch error below
+  }
+  if (issuerHost !== shop) {
+    throw new SessionTokenError('INVALID_ISSUER', 'Session token issuer does not match dest');
+  }
+
+  return { ...payload, shop };
+}
+
+/**
+ * Pull the raw token from the request.
+ * XHR calls send `Authorization: Bearer <token>`; document loads inside the
+ * admin iframe carry it as `?id_token=`.
+ */
+function getTokenFromRequest(req) {
+  const authHeader = req.get('Authorization') || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return req.query.id_token || null;
+}
+
+// Middleware: reject the request unless it carries a valid session token.
+// On success, `req.shop` holds the verified shop domain.
+function requireSessionToken(req, res, next) {
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+
+  try {
+    const payload = decodeSessionToken(getTokenFromRequest(req));
+    req.shop = payload.shop;
+    req.sessionToken = payload;
+    return next();
+  } catch (err) {
+    if (!(err instanceof SessionTokenError)) {
+      return next(err);
+    }
+
+    // Path only: the query can carry the token itself (?id_token=)
+    console.warn(`[Auth] Rejected ${req.method} ${req.baseUrl}${req.path}: ${err.code}`);
+
+    // Tells App Bridge to fetch a fresh token and retry once
+    res.setHeader('X-Shopify-Retry-Invalid-Session-Request', '1');
+    return res.status(401).json({
+      ok: false,
+      error: 'Invalid session token',
+      code: err.code
+    });
+  }
+}
+
+// Does one of the router's own routes handle this request?
+function routerHandles(router, req) {
+  return router.stack.some(layer =>
+    layer.route && layer.match(req.path) && layer.route._handles_method(req.method)
+  );
+}
+
+/**
+ * requireSessionToken for a router's routes only (`router.use(...)` form).
+ * A path the router doesn't handle leaves it untouched and ends in the
+ * app's 404 (or the next router) instead of a 401.
+ * @param {import('express').Router} router
+ */
+function requireSessionTokenFor(router) {
+  return (req, res, next) => {
+    if (!routerHandles(router, req)) {
+      return next('router');
+    }
+    return requireSessionToken(req, res, next);
+  };
+}
+
+module.exports = {
+  requireSessionToken,
+  requireSessionTokenFor,
+  decodeSessionToken,
+  getTokenFromRequest,
+  SessionTokenError,
+  SHOP_DOMAIN_REGEX
+};
@@ -0,0 +1,135 @@
+// utils/shopDataPurge.js
+// Hard-deletes everything we store about a shop (shop/redact)
+
+const mongoose = require('mongoose');
+const ShopModel = require('../models/Shop');
+const PendingCorePurge = require('../models/PendingCorePurge');
+const { rlCoreRequest } = require('./rlCoreApi');
+
+// Collections keyed by a `shop` field. Raw collection names are used so the
+// purge doesn't depend on every model being loaded in this process.
+// Add new per-shop collections here (not pendingcorepurges: it has to
+// outlive the purge).
+const SHOP_SCOPED_COLLECTIONS = [
+  'authnonces',
+  'crawlsnapshots',
+  'crawlsnapshotchunks',
+  'crawlitemchunks',
+  'sitepagechunks',
+  'crawljobs',
+  'pageperformances',
+  'analysisqueues',
+  'webhookevents'
+];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const CORE_RETRY_DELAY_MS = 60 * 60 * 1000;
+const CORE_RETRY_BATCH_SIZE = 50;
+
+function deleteShopInCore(shop, apiToken) {
+  return rlCoreRequest(`/shops?shop=${encodeURIComponent(shop)}`, 'DELETE', null, shop, apiToken);
+}
+
+/**
+ * Remove all data held for a shop and ask RL Core to do the same
+ * @param {string} shop - Shop domain
+ * @param {object} [options]
+ * @param {object} [options.currentEventId] - WebhookEvent running this purge
+ *   (shop/redact); kept so the pipeline can record its outcome or retry it
+ * @param {string} [options.deferCore] - when set (the reason, e.g.
+ *   'shop_redact'), a failed RL Core delete doesn't stop the local purge: it
+ *   is recorded as a PendingCorePurge and retried by retryPendingCorePurges
+ * @returns {Promise<Array>} One entry per action taken, for the audit record
+ * @throws if RL Core didn't confirm the delete and deferCore isn't set
+ *   (nothing local is deleted then)
+ */
+async function purgeShopData(shop, { currentEventId = null, deferCore = null } = {}) {
+  const actions = [];
+  const db = mongoose.connection.db;
+
+  // Tell RL Core first, while we still have the RL api_token. If it fails,
+  // stop here: the Shop (and its token) must survive for the retry. With
+  // deferCore the token moves to a PendingCorePurge instead.
+  const shopRecord = await ShopModel.findOne({ shop });
+  if (shopRecord?.api_token) {
+    const coreResult = await deleteShopInCore(shop, shopRecord.api_token);
+    if (coreResult?.ok !== false) {
+      actions.push({ target: 'rl-core', ok: true });
+    } else if (deferCore) {
+      await PendingCorePurge.updateOne(
+        { shop },
+        {
+          $set: { api_token: shopRecord.api_token, reason: deferCore, last_error: coreResult.error },
+          $setOnInsert: { attempts: 0, next_attempt_at: new Date(Date.now() + CORE_RETRY_DELAY_MS) }
+        },
+        { upsert: true }
+      );
+      console.warn(`[Purge] ⚠️ RL Core purge failed for ${shop}, queued for retry: ${coreResult.error}`);
+      actions.push({ target: 'rl-core', deferred: true, error: coreResult.error });
+    } else {
+      throw new Error(`RL Core purge failed: ${coreResult.error}`);
+    }
+  } else {
+    // Never connected to RabbitLoader: RL Core holds nothing for the shop
+    actions.push({ target: 'rl-core', skipped: 'not_connected' });
+  }
+
+  for (const name of SHOP_SCOPED_COLLECTIONS) {
+    const filter = name === 'webhookevents' && currentEventId
+      ? { shop, _id: { $ne: currentEventId } }
+      : { shop };
+    const result = await db.collection(name).deleteMany(filter);
+    actions.push({ collection: name, deleted: result.deletedCount });
+  }
+
+  // connect-mongo stores each session as a JSON string
+  const sessions = await db.collection('sessions').deleteMany({
+    session: { $regex: `"${escapeRegex(shop)}"` }
+  });
+  actions.push({ collection: 'sessions', deleted: sessions.deletedCount });
+
+  const shops = await ShopModel.deleteOne({ shop });
+  actions.push({ collection: 'shops', deleted: shops.deletedCount });
+
+  console.log(`[Purge] ✅ Purged data for ${shop}:`, JSON.stringify(actions));
+  return actions;
+}
+
+/**
+ * Retry RL Core deletes left behind by purgeShopData({ deferCore })
+ * @returns {Promise<number>} Deletes confirmed in this pass
+ */
+async function retryPendingCorePurges() {
+  const due = await PendingCorePurge.find({ next_attempt_at: { $lte: new Date() } })
+    .sort({ next_attempt_at: 1 })
+    .limit(CORE_RETRY_BATCH_SIZE);
+
+  let confirmed = 0;
+  for (const pending of due) {
+    const result = await deleteShopInCore(pending.shop, pending.api_token);
+    if (result?.ok !== false) {
+      await PendingCorePurge.deleteOne({ _id: pending._id });
+      console.log(`[Purge] ✅ RL Core purge confirmed for ${pending.shop} (attempt ${pending.attempts + 1})`);
+      confirmed++;
+      continue;
+    }
+
+    // Backoff caps at a day; the record stays until RL Core confirms
+    const delay = Math.min(CORE_RETRY_DELAY_MS * Math.pow(2, pending.attempts), 24 * CORE_RETRY_DELAY_MS);
+    await PendingCorePurge.updateOne(
+      { _id: pending._id },
+      {
+        $set: { next_attempt_at: new Date(Date.now() + delay), last_error: result.error },
+        $inc: { attempts: 1 }
+      }
+    );
+    console.warn(`[Purge] ⚠️ RL Core purge still failing for ${pending.shop}: ${result.error}`);
+  }
+
+  return confirmed;
+}
+
+module.exports = { purgeShopData, retryPendingCorePurges, SHOP_SCOPED_COLLECTIONS };
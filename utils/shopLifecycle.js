@@ -0,0 +1,202 @@
+// utils/shopLifecycle.js
+// Uninstall / reinstall handling.
+//
+// Uninstalling soft-deletes the shop: Shopify credentials are dropped and
+// RL Core pauses optimization, but defer rules, site structure, history and
+// the RabbitLoader connection are kept for the retention window. A reinstall
+// inside it restores them; after it, the shop is purged.
+//
+// Shopify sends shop/redact 48 hours after an uninstall that wasn't followed
+// by a reinstall, and that purges the shop (routes/webhooks.js). The window
+// can't outlast it: UNINSTALL_RETENTION_HOURS may shorten it, not extend it.
+
+const ShopModel = require('../models/Shop');
+const { updateShopInCore, saveDeferConfig } = require('./rlCoreApi');
+const { purgeShopData, retryPendingCorePurges } = require('./shopDataPurge');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SHOP_REDACT_DELAY_HOURS = 48;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 50;
+
+let purgeTimer = null;
+
+function retentionMs() {
+  const hours = parseFloat(process.env.UNINSTALL_RETENTION_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? Math.min(hours, SHOP_REDACT_DELAY_HOURS) : SHOP_REDACT_DELAY_HOURS) * HOUR_MS;
+}
+
+/**
+ * True when a soft-deleted shop can still be restored
+ */
+function isRestorable(shopRecord, now = new Date()) {
+  return !!(shopRecord?.uninstalled_at && shopRecord.purge_after && shopRecord.purge_after > now);
+}
+
+/**
+ * Soft-delete a shop after app/uninstalled
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object|null>} The shop before the update, or null if unknown
+ */
+async function markShopUninstalled(shop) {
+  const shopRecord = await ShopModel.findOne({ shop });
+  if (!shopRecord) {
+    return null;
+  }
+
+  const now = new Date();
+  const purgeAfter = new Date(now.getTime() + retentionMs());
+
+  await ShopModel.updateOne(
+    { shop },
+    {
+      $set: {
+        is_active: false,
+        uninstalled_at: now,
+        purge_after: purgeAfter,
+        script_injected: false,
+        injected_theme_ids: [],
+        'onboarding.locked_until': null
+      },
+      // The offline token is revoked by Shopify anyway
+      $unset: {
+        access_token: "",
+        access_token_expires_at: "",
+        refresh_token: "",
+        refresh_token_expires_at: "",
+        online_access_token: "",
+        online_access_token_expires_at: "",
+        online_access_user: "",
+        granted_scopes: "",
+        scopes_checked_at: ""
+      },
+      $push: {
+        history: {
+          event: 'uninstalled',
+          timestamp: now,
+          details: { purge_after: purgeAfter }
+        }
+      }
+    }
+  );
+
+  if (shopRecord.api_token) {
+    const result = await updateShopInCore(shop, shopRecord.api_token, {
+      shop,
+      optimization_paused: true,
+      paused_reason: 'app_uninstalled',
+      uninstalled_at: now
+    });
+    if (result?.ok === false) {
+      console.warn(`[Lifecycle] ⚠️ RL Core pause failed for ${shop}:`, result.error);
+    }
+  }
+
+  console.log(`[Lifecycle] ${shop} uninstalled, data kept until ${purgeAfter.toISOString()}`);
+  return shopRecord;
+}
+
+/**
+ * Called on install before the new token is saved. Restores a soft-deleted
+ * shop that is still inside its retention window; purges one that isn't.
+ * @returns {Promise<boolean>} true if previous config was restored
+ */
+async function restoreShopIfUninstalled(shop) {
+  const shopRecord = await ShopModel.findOne({ shop });
+  if (!shopRecord?.uninstalled_at) {
+    return false;
+  }
+
+  if (!isRestorable(shopRecord)) {
+    // Purge worker hasn't got to it yet: start clean. The install must not
+    // wait on RL Core, so its delete is queued if it fails.
+    console.log(`[Lifecycle] ${shop} reinstalled after retention, purging old data`);
+    try {
+      await purgeShopData(shop, { deferCore: 'reinstall' });
+    } catch (error) {
+      // At least drop the stale Shop (and its purge_after, or the worker
+      // would purge the new install); the rest is replaced by the next crawl
+      console.error(`[Lifecycle] Purge on reinstall failed for ${shop}, continuing install:`, error.message);
+      await ShopModel.deleteOne({ shop });
+    }
+    return false;
+  }
+
+  await ShopModel.updateOne(
+    { shop },
+    {
+      $set: { is_active: true },
+      $unset: { uninstalled_at: "", purge_after: "" },
+      $push: {
+        history: {
+          event: 'reinstall_restored',
+          timestamp: new Date(),
+          details: {
+            uninstalled_at: shopRecord.uninstalled_at,
+            rl_connected: !!shopRecord.api_token,
+            defer_rules: shopRecord.deferConfig?.rules?.length || 0
+          }
+        }
+      }
+    }
+  );
+
+  if (shopRecord.api_token) {
+    await updateShopInCore(shop, shopRecord.api_token, {
+      shop,
+      optimization_paused: false,
+      paused_reason: null
+    });
+
+    if (shopRecord.deferConfig) {
+      const config = shopRecord.deferConfig.toObject ? shopRecord.deferConfig.toObject() : shopRecord.deferConfig;
+      await saveDeferConfig(shop, shopRecord.api_token, config);
+    }
+  }
+
+  console.log(`[Lifecycle] ✅ Restored ${shop} (RL connected: ${!!shopRecord.api_token})`);
+  return true;
+}
+
+/**
+ * Hard-delete shops whose retention window has passed
+ */
+async function purgeExpiredShops() {
+  const expired = await ShopModel.find(
+    { uninstalled_at: { $ne: null }, purge_after: { $lte: new Date() } },
+    { shop: 1 }
+  ).limit(PURGE_BATCH_SIZE);
+
+  for (const { shop } of expired) {
+    try {
+      await purgeShopData(shop);
+    } catch (error) {
+      console.error(`[Lifecycle] Purge failed for ${shop}:`, error.message);
+    }
+  }
+
+  return expired.length;
+}
+
+function startRetentionPurgeWorker() {
+  if (purgeTimer) return;
+
+  const tick = () => purgeExpiredShops()
+    .then(count => {
+      if (count) console.log(`[Lifecycle] Purged ${count} expired shop(s)`);
+      return retryPendingCorePurges();
+    })
+    .catch(err => console.error('[Lifecycle] Purge worker error:', err.message));
+
+  purgeTimer = setInterval(tick, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+  tick();
+}
+
+module.exports = {
+  markShopUninstalled,
+  restoreShopIfUninstalled,
+  purgeExpiredShops,
+  startRetentionPurgeWorker,
+  isRestorable
+};
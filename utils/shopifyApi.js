@@ -1,111 +1,414 @@
 const ShopModel = require("../models/Shop");
+const { decryptToken } = require("./tokenCrypto");
+const { refreshAccessToken, offlineTokenFields } = require("./tokenExchange");
+const {
+  acquireRest,
+  recordRestCallLimit,
+  acquireGraphQL,
+  recordGraphQLCost
+} = require("./shopifyRateLimiter");
 
-async function shopifyRequest(shop, endpoint, method = "GET", data = null) {
-  const shopRecord = await ShopModel.findOne({ shop });
-  
-  if (!shopRecord?.access_token) {
-    throw new Error(`No access token for ${shop} - needs re-authentication`);
+// Refresh this long before the access token actually expires
+const REFRESH_SKEW_MS = 5 * 60 * 1000;
+// Cross-instance refresh lease
+const REFRESH_LOCK_MS = 30 * 1000;
+const REFRESH_WAIT_MS = 500;
+
+// In-process per-shop refresh lock: concurrent callers share one promise
+const refreshesInFlight = new Map();
+
+function apiUrl(shop, endpoint) {
+  return `https://${shop}/admin/api/${process.env.SHOPIFY_API_VERSION || '2025-01'}/${endpoint}`;
+}
+
+function tokenNeedsRefresh(shopRecord) {
+  if (!shopRecord.refresh_token || !shopRecord.access_token_expires_at) {
+    return false;
   }
+  return new Date(shopRecord.access_token_expires_at).getTime() - Date.now() < REFRESH_SKEW_MS;
+}
 
-  try {
-    const url = `https://${shop}/admin/api/${process.env.SHOPIFY_API_VERSION || '2025-01'}/${endpoint}`;
-    
-    const response = await fetch(url, {
-      method,
-      headers: {
-        "X-Shopify-Access-Token": shopRecord.access_token,
-        "Content-Type": "application/json"
-      },
-      body: data ? JSON.stringify(data) : null
-    });
-
-    if (response.status === 401) {
-      // Token might be invalid/expired - mark for reauth but DON'T delete token
-      console.warn(`[Token] Possibly expired or invalid for ${shop}. Marking for reauth check.`);
-      
-      // Mark shop as needing re-auth but KEEP the token
-      await ShopModel.updateOne(
-        { shop },
-        { 
-          $set: { 
-            needs_reauth: true,
-            reauth_required: true,
-            last_token_check: new Date()
-          }
-        }
-      );
-      
-      return { ok: false, error: "TOKEN_EXPIRED", needs_reauth: true };
+async function markReauthRequired(shop) {
+  console.warn(`[Token] Possibly expired or invalid for ${shop}. Marking for reauth check.`);
+
+  // Mark shop as needing re-auth but KEEP the token
+  await ShopModel.updateOne(
+    { shop },
+    {
+      $set: {
+        needs_reauth: true,
+        reauth_required: true,
+        last_token_check: new Date()
+      }
+    }
+  );
+}
+
+// Refresh the offline token, holding a Mongo lease so only one instance
+// spends the (single-use) refresh token. Returns the new plaintext token.
+async function performRefresh(shop, staleToken) {
+  const now = new Date();
+  const locked = await ShopModel.findOneAndUpdate(
+    {
+      shop,
+      $or: [
+        { token_refresh_lock_until: null },
+        { token_refresh_lock_until: { $lt: now } }
+      ]
+    },
+    { $set: { token_refresh_lock_until: new Date(now.getTime() + REFRESH_LOCK_MS) } },
+    { new: true }
+  );
+
+  if (!locked) {
+    // Another instance is refreshing; wait for it and pick up its token
+    const deadline = Date.now() + REFRESH_LOCK_MS;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, REFRESH_WAIT_MS));
+      const current = await ShopModel.findOne({ shop });
+      if (current?.access_token && current.access_token !== staleToken) {
+        return decryptToken(current.access_token);
+      }
+      if (!current?.token_refresh_lock_until || current.token_refresh_lock_until < new Date()) {
+        break;
+      }
     }
+    throw new Error(`Timed out waiting for token refresh for ${shop}`);
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Shopify API error: ${response.status} - ${error}`);
+  // Someone finished a refresh between our read and the lease
+  if (locked.access_token !== staleToken) {
+    await ShopModel.updateOne({ shop }, { $set: { token_refresh_lock_until: null } });
+    return decryptToken(locked.access_token);
+  }
+
+  try {
+    if (!locked.refresh_token) {
+      throw new Error(`No refresh token for ${shop}`);
     }
 
-    const result = await response.json();
-    return { ok: true, ...result };
-    
+    const tokenData = await refreshAccessToken(shop, decryptToken(locked.refresh_token));
+
+    await ShopModel.updateOne(
+      { shop },
+      {
+        $set: {
+          ...offlineTokenFields(tokenData),
+          token_refresh_lock_until: null,
+          reauth_required: false,
+          needs_reauth: false
+        }
+      }
+    );
+
+    console.log(`[Token] ✅ Refreshed offline token for ${shop}`);
+    return tokenData.access_token;
   } catch (error) {
-    console.error(`[Shopify API] Request failed for ${shop}:`, error.message);
+    await ShopModel.updateOne({ shop }, { $set: { token_refresh_lock_until: null } });
     throw error;
   }
 }
 
-async function shopifyGraphQL(shop, query, variables = {}) {
+/**
+ * Refresh a shop's offline token once, no matter how many callers ask at
+ * the same time.
+ * @param {string} shop - Shop domain
+ * @param {string} staleToken - Stored (encrypted) token the caller saw
+ * @returns {Promise<string>} Fresh plaintext access token
+ */
+function refreshShopToken(shop, staleToken) {
+  if (!refreshesInFlight.has(shop)) {
+    const pending = performRefresh(shop, staleToken)
+      .finally(() => refreshesInFlight.delete(shop));
+    refreshesInFlight.set(shop, pending);
+  }
+  return refreshesInFlight.get(shop);
+}
+
+// Load the shop's token, refreshing proactively if it is about to expire
+async function getAccessToken(shop) {
   const shopRecord = await ShopModel.findOne({ shop });
-  
+
   if (!shopRecord?.access_token) {
     throw new Error(`No access token for ${shop} - needs re-authentication`);
   }
 
-  try {
-    const url = `https://${shop}/admin/api/${process.env.SHOPIFY_API_VERSION || '2025-01'}/graphql.json`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        "X-Shopify-Access-Token": shopRecord.access_token,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ query, variables })
-    });
-
-    if (response.status === 401) {
-      console.warn(`[Token] Possibly expired or invalid for ${shop}. Marking for reauth check.`);
-      
-      await ShopModel.updateOne(
-        { shop },
-        { 
-          $set: { 
-            needs_reauth: true,
-            reauth_required: true,
-            last_token_check: new Date()
-          }
-        }
-      );
-      
-      return { ok: false, error: "TOKEN_EXPIRED", needs_reauth: true };
+  if (tokenNeedsRefresh(shopRecord)) {
+    try {
+      return { token: await refreshShopToken(shop, shopRecord.access_token), refreshed: true };
+    } catch (error) {
+      // Token may still be valid for a few minutes; let the request decide
+      console.warn(`[Token] Proactive refresh failed for ${shop}:`, error.message);
     }
+  }
+
+  return { token: decryptToken(shopRecord.access_token), stored: shopRecord.access_token, refreshed: false };
+}
+
+// fetch() with the shop's token. On 401 the token is refreshed once and the
+// request retried; only if that fails is the shop marked for reauth.
+// Returns null when reauth is required.
+async function authorizedFetch(shop, url, options) {
+  const access = await getAccessToken(shop);
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Shopify GraphQL error: ${response.status} - ${error}`);
+  const send = token => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      "X-Shopify-Access-Token": token
     }
+  });
 
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error(`[Shopify GraphQL] Errors:`, result.errors);
-      throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+  let response = await send(access.token);
+
+  if (response.status === 401 && !access.refreshed) {
+    try {
+      const freshToken = await refreshShopToken(shop, access.stored);
+      response = await send(freshToken);
+    } catch (error) {
+      console.warn(`[Token] Refresh after 401 failed for ${shop}:`, error.message);
     }
-    
+  }
+
+  if (response.status === 401) {
+    await markReauthRequired(shop);
+    return null;
+  }
+
+  return response;
+}
+
+// ====== RETRIES ======
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SHOPIFY_REQUEST_TIMEOUT_MS, 10) || 30000;
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+// GraphQL THROTTLED answers come with a 200; the bucket wait does the backoff
+const MAX_THROTTLE_RETRIES = 10;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffMs(attempt) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function retryAfterMs(response) {
+  const seconds = parseFloat(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Timeouts and dropped connections; the request may or may not have landed
+function isNetworkError(error) {
+  return error.name === 'TimeoutError' || error.name === 'AbortError' || error.message === 'fetch failed';
+}
+
+// authorizedFetch with a timeout, the rate limiter and backoff on 429/5xx.
+// 429s were never processed so they're always retried; 5xx and timeouts only
+// when repeating the request is harmless.
+async function sendWithRetry(shop, url, options, { acquire, idempotent, onResponse }) {
+  for (let attempt = 0; ; attempt++) {
+    await acquire();
+
+    let response;
+    try {
+      response = await authorizedFetch(shop, url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (error) {
+      if (!isNetworkError(error) || !idempotent || attempt >= MAX_RETRIES) throw error;
+      const delay = backoffMs(attempt);
+      console.warn(`[Shopify API] ${error.name === 'TimeoutError' ? 'Timeout' : error.message} for ${shop}, retry ${attempt + 1} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!response) return null;
+    if (onResponse) onResponse(response);
+
+    const retryable = response.status === 429 || (response.status >= 500 && idempotent);
+    if (!retryable || attempt >= MAX_RETRIES) return response;
+
+    const delay = retryAfterMs(response) ?? backoffMs(attempt);
+    console.warn(`[Shopify API] ${response.status} for ${shop}, retry ${attempt + 1} in ${Math.round(delay)}ms`);
+    await response.body?.cancel();
+    await sleep(delay);
+  }
+}
+
+// ====== REST ======
+
+async function restCall(shop, endpoint, method = "GET", data = null) {
+  const response = await sendWithRetry(shop, apiUrl(shop, endpoint), {
+    method,
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: data ? JSON.stringify(data) : null
+  }, {
+    acquire: () => acquireRest(shop),
+    idempotent: method !== "POST",
+    onResponse: res => recordRestCallLimit(shop, res.headers.get('x-shopify-shop-api-call-limit'))
+  });
+
+  if (!response) {
+    return { result: { ok: false, error: "TOKEN_EXPIRED", needs_reauth: true }, link: null };
+  }
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Shopify API error: ${response.status} - ${error}`);
+  }
+
+  const result = await response.json();
+  return { result: { ok: true, ...result }, link: response.headers.get('link') };
+}
+
+async function shopifyRequest(shop, endpoint, method = "GET", data = null) {
+  try {
+    const { result } = await restCall(shop, endpoint, method, data);
     return result;
-    
+  } catch (error) {
+    console.error(`[Shopify API] Request failed for ${shop}:`, error.message);
+    throw error;
+  }
+}
+
+// rel="next" from a Link header, as an endpoint relative to the API root
+function nextPageFromLink(link) {
+  const next = /<([^>]+)>;\s*rel="next"/.exec(link || '');
+  if (!next) return null;
+
+  const url = new URL(next[1]);
+  return {
+    endpoint: url.pathname.replace(/^\/admin\/api\/[^/]+\//, '') + url.search,
+    pageInfo: url.searchParams.get('page_info')
+  };
+}
+
+// Once page_info is set Shopify only accepts limit and fields alongside it
+function withPageInfo(endpoint, pageInfo) {
+  const [path, search = ''] = endpoint.split('?');
+  const params = new URLSearchParams(search);
+  const kept = new URLSearchParams();
+  for (const key of ['limit', 'fields']) {
+    if (params.has(key)) kept.set(key, params.get(key));
+  }
+  kept.set('page_info', pageInfo);
+  return `${path}?${kept}`;
+}
+
+/**
+ * Iterate a paginated REST endpoint by its Link headers.
+ * @param {string} endpoint - first page, e.g. 'pages.json?limit=250'
+ * @param {object} [options]
+ * @param {string} [options.pageInfo] - resume from a previous page's nextPageInfo
+ * @yields {object} page body ({ ok: true, pages: [...] }) plus nextPageInfo
+ */
+async function* paginateRest(shop, endpoint, { pageInfo = null } = {}) {
+  let next = pageInfo ? withPageInfo(endpoint, pageInfo) : endpoint;
+
+  while (next) {
+    const { result, link } = await restCall(shop, next);
+    if (!result.ok) {
+      throw new Error(result.error);
+    }
+
+    const nextPage = nextPageFromLink(link);
+    yield { ...result, nextPageInfo: nextPage?.pageInfo || null };
+    next = nextPage?.endpoint || null;
+  }
+}
+
+// ====== GRAPHQL ======
+
+function isThrottled(result) {
+  return result.errors?.some(error => error.extensions?.code === 'THROTTLED');
+}
+
+async function shopifyGraphQL(shop, query, variables = {}) {
+  try {
+    for (let throttled = 0; ; throttled++) {
+      const response = await sendWithRetry(shop, apiUrl(shop, 'graphql.json'), {
+        method: 'POST',
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ query, variables })
+      }, {
+        acquire: () => acquireGraphQL(shop, query),
+        idempotent: !/^\s*mutation\b/.test(query)
+      });
+
+      if (!response) {
+        return { ok: false, error: "TOKEN_EXPIRED", needs_reauth: true };
+      }
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Shopify GraphQL error: ${response.status} - ${error}`);
+      }
+
+      const result = await response.json();
+      recordGraphQLCost(shop, query, result.extensions?.cost);
+
+      if (isThrottled(result) && throttled < MAX_THROTTLE_RETRIES) {
+        console.warn(`[Shopify GraphQL] Throttled for ${shop}, waiting for the cost bucket`);
+        continue;
+      }
+
+      if (result.errors) {
+        console.error(`[Shopify GraphQL] Errors:`, result.errors);
+        throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+      }
+
+      return result;
+    }
   } catch (error) {
     console.error(`[Shopify GraphQL] Request failed for ${shop}:`, error.message);
     throw error;
   }
 }
 
-module.exports = { shopifyRequest, shopifyGraphQL };
\ No newline at end of file
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * Iterate a GraphQL connection by cursor. The query takes `$cursor: String`,
+ * passes it as `after:` and selects `pageInfo { hasNextPage endCursor }`
+ * plus `nodes` or `edges { node }`.
+ * @param {string} query
+ * @param {object} options
+ * @param {string} options.connection - path to the connection in `data`, e.g. 'products'
+ * @param {object} [options.variables]
+ * @param {string} [options.cursor] - resume after this cursor
+ * @yields {{ nodes: object[], endCursor: string|null, hasNextPage: boolean }}
+ */
+async function* paginateGraphQL(shop, query, { connection, variables = {}, cursor = null }) {
+  let after = cursor;
+
+  while (true) {
+    const response = await shopifyGraphQL(shop, query, { ...variables, cursor: after });
+    if (!response.ok && response.error === "TOKEN_EXPIRED") {
+      throw new Error('TOKEN_EXPIRED');
+    }
+
+    const page = getPath(response.data, connection);
+    if (!page) return;
+
+    const nodes = page.nodes || (page.edges || []).map(edge => edge.node);
+    const hasNextPage = !!page.pageInfo?.hasNextPage && !!page.pageInfo.endCursor;
+    yield { nodes, endCursor: page.pageInfo?.endCursor || after, hasNextPage };
+
+    if (!hasNextPage) return;
+    after = page.pageInfo.endCursor;
+  }
+}
+
+module.exports = {
+  shopifyRequest,
+  shopifyGraphQL,
+  paginateRest,
+  paginateGraphQL,
+  refreshShopToken
+};
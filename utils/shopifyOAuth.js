@@ -0,0 +1,65 @@
+// utils/shopifyOAuth.js
+// Validation helpers for the Shopify OAuth redirect flow
+
+const crypto = require('crypto');
+const { SHOP_DOMAIN_REGEX } = require('./sessionToken');
+
+const MAX_CALLBACK_AGE_SECONDS = 10 * 60;
+
+class OAuthError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Check that a value is a bare *.myshopify.com hostname
+ * (no scheme, path, port or credentials)
+ */
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_REGEX.test(shop);
+}
+
+/**
+ * Verify the `hmac` Shopify appends to OAuth redirects
+ * @param {object} query - Parsed query string (req.query)
+ * @returns {boolean}
+ */
+function verifyOAuthHmac(query) {
+  const { hmac, signature, ...params } = query;
+  if (!hmac || typeof hmac !== 'string') return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+
+  const expected = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(message)
+    .digest();
+  const provided = Buffer.from(hmac, 'hex');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Reject callbacks whose `timestamp` is too old (or from the future)
+ */
+function isFreshTimestamp(timestamp, maxAgeSeconds = MAX_CALLBACK_AGE_SECONDS) {
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return false;
+
+  const now = Math.floor(Date.now() / 1000);
+  return Math.abs(now - ts) <= maxAgeSeconds;
+}
+
+module.exports = {
+  OAuthError,
+  isValidShopDomain,
+  verifyOAuthHmac,
+  isFreshTimestamp
+};
@@ -0,0 +1,129 @@
+// utils/shopifyRateLimiter.js
+// Per-shop leaky buckets mirroring Shopify's own limits, so we wait locally
+// instead of collecting 429s / THROTTLED errors.
+//
+// REST:    X-Shopify-Shop-Api-Call-Limit: "32/40" -> 8 calls left of 40
+// GraphQL: extensions.cost.throttleStatus -> points left, bucket size, restore rate
+//
+// Buckets start from Shopify's standard-plan defaults and are corrected by
+// every response, so Plus (bigger, faster) buckets are picked up on first use.
+
+const REST_DEFAULTS = { capacity: 40, rate: 2 };
+const GRAPHQL_DEFAULTS = { capacity: 1000, rate: 50 };
+// Cost assumed for a query we haven't seen a requestedQueryCost for yet
+const DEFAULT_QUERY_COST = 100;
+// Forget shops we haven't talked to in a while
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+class LeakyBucket {
+  constructor({ capacity, rate }) {
+    this.capacity = capacity;
+    this.rate = rate; // units restored per second
+    this.available = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(this.capacity, this.available + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  // Wait until `cost` units are free, then take them
+  async take(cost) {
+    const needed = Math.min(cost, this.capacity);
+    this.refill();
+    while (this.available < needed) {
+      const waitMs = Math.ceil(((needed - this.available) / this.rate) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      this.refill();
+    }
+    this.available -= needed;
+  }
+
+  // Server-reported state always wins over our estimate
+  sync({ available, capacity, rate }) {
+    if (capacity > 0) this.capacity = capacity;
+    if (rate > 0) this.rate = rate;
+    if (Number.isFinite(available)) this.available = Math.max(0, Math.min(this.capacity, available));
+    this.updatedAt = Date.now();
+  }
+}
+
+// shop -> { rest, graphql, lastUsed }
+const buckets = new Map();
+// query text -> last requestedQueryCost
+const queryCosts = new Map();
+
+function pruneIdleBuckets() {
+  const cutoff = Date.now() - IDLE_BUCKET_MS;
+  for (const [shop, entry] of buckets) {
+    if (entry.lastUsed < cutoff) buckets.delete(shop);
+  }
+}
+
+function bucketsFor(shop) {
+  let entry = buckets.get(shop);
+  if (!entry) {
+    pruneIdleBuckets();
+    entry = { rest: new LeakyBucket(REST_DEFAULTS), graphql: new LeakyBucket(GRAPHQL_DEFAULTS) };
+    buckets.set(shop, entry);
+  }
+  entry.lastUsed = Date.now();
+  return entry;
+}
+
+/**
+ * Wait for a REST call slot
+ */
+function acquireRest(shop) {
+  return bucketsFor(shop).rest.take(1);
+}
+
+/**
+ * Update the REST bucket from X-Shopify-Shop-Api-Call-Limit ("used/capacity")
+ */
+function recordRestCallLimit(shop, header) {
+  const match = /^(\d+)\/(\d+)$/.exec(header || '');
+  if (!match) return;
+
+  const used = parseInt(match[1], 10);
+  const capacity = parseInt(match[2], 10);
+  // Leak rate scales with the bucket: 40 -> 2/s, 400 (Plus) -> 20/s
+  bucketsFor(shop).rest.sync({ available: capacity - used, capacity, rate: capacity / 20 });
+}
+
+/**
+ * Wait until the GraphQL bucket can cover this query's expected cost
+ */
+function acquireGraphQL(shop, query) {
+  return bucketsFor(shop).graphql.take(queryCosts.get(query) || DEFAULT_QUERY_COST);
+}
+
+/**
+ * Update the GraphQL bucket from a response's extensions.cost
+ */
+function recordGraphQLCost(shop, query, cost) {
+  if (!cost) return;
+
+  if (cost.requestedQueryCost) {
+    queryCosts.set(query, cost.requestedQueryCost);
+  }
+
+  const throttle = cost.throttleStatus;
+  if (throttle) {
+    bucketsFor(shop).graphql.sync({
+      available: throttle.currentlyAvailable,
+      capacity: throttle.maximumAvailable,
+      rate: throttle.restoreRate
+    });
+  }
+}
+
+module.exports = {
+  LeakyBucket,
+  acquireRest,
+  recordRestCallLimit,
+  acquireGraphQL,
+  recordGraphQLCost
+};
@@ -0,0 +1,1459 @@
+// utils/siteCrawler.js
+// Crawls a Shopify store into site_structure.template_groups and syncs it to rl-core.
+//
+// Each crawl is a CrawlJob. Products, collections, pages, blogs and articles are fetched one
+// page of results at a time and checkpointed (items + cursor) after every
+// page, so a crawl interrupted by a restart resumes from its last cursor.
+// Items are stored in CrawlItemChunk documents (utils/crawlItems.js), not
+// on the job, so the job document stays small however big the catalog.
+// Finalize streams them back: group members go to SitePageChunk
+// (utils/sitePages.js) and the Shop keeps only counts and samples per group.
+// The `sitemap` source reads the storefront sitemap instead (see
+// utils/sitemapDiscovery.js); Admin API crawls are diffed against it.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const ShopModel = require('../models/Shop');
+const CrawlJob = require('../models/CrawlJob');
+const { shopifyRequest, shopifyGraphQL, paginateRest, paginateGraphQL } = require('./shopifyApi');
+const {
+  templateGroupKey,
+  fetchThemeTemplates,
+  fetchTemplateSectionCounts,
+  resolveTemplate
+} = require('./themeTemplates');
+const { addLocaleVariants } = require('./storefrontLocales');
+const {
+  createSnapshotWriter,
+  saveCrawlSnapshot,
+  lastSyncedSnapshot,
+  recordRlCoreSync,
+  diffSnapshots,
+  groupMeta,
+  changedGroupKeys,
+  changeCounts
+} = require('./crawlSnapshots');
+const { pushDeltaToCore } = require('./siteStructureSync');
+const { saveCrawlChunk, iterateCrawlChunks } = require('./crawlItems');
+const { createGroupPageWriter, iterateGroupPages, deleteStalePages } = require('./sitePages');
+const {
+  BulkOperationError,
+  runBulkQuery,
+  waitForBulkOperation,
+  cancelBulkOperation,
+  streamBulkResults
+} = require('./bulkOperations');
+const { resolveGrantedScopes, getMissingScopes } = require('./scopes');
+const { isPasswordGated, createSampleCollector } = require('./sampleSelection');
+const {
+  fetchOnlineStorePublicationId,
+  publicationSelection,
+  productExclusion,
+  collectionExclusion,
+  pageExclusion,
+  articleExclusion,
+  refineScheduled,
+  summarizeExclusions
+} = require('./publicationFilter');
+const {
+  RESOURCE_KEYS: SITEMAP_RESOURCE_KEYS,
+  listChildSitemaps,
+  readChildSitemap,
+  collectSitemapUrls,
+  createSitemapDiff,
+  sitemapBaseUrl
+} = require('./sitemapDiscovery');
+
+const RL_CORE_URL = process.env.RL_CORE_URL || 'http://localhost:4000';
+
+const PAGE_SIZE = 250;
+// Above this many products a bulk operation beats paging
+const BULK_THRESHOLD = parseInt(process.env.CRAWL_BULK_THRESHOLD, 10) || 10000;
+const BULK_CHECKPOINT_LINES = 1000;
+// Pages per request when sending RL Core a whole site or a delta
+const RL_CORE_BATCH_SIZE = 1000;
+// description_length signal is capped here (and descriptions fetched truncated)
+const DESCRIPTION_SIGNAL_MAX = 2000;
+const JOB_LEASE_MS = 2 * 60 * 1000;
+const WORKER_INTERVAL_MS = 60 * 1000;
+const WAIT_POLL_MS = 5 * 1000;
+
+let workerTimer = null;
+let working = false;
+
+class CrawlCancelledError extends Error {
+  constructor(jobId) {
+    super(`Crawl ${jobId} was cancelled`);
+    this.name = 'CrawlCancelledError';
+  }
+}
+
+class CrawlLeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Crawl ${jobId} was taken over by another worker`);
+    this.name = 'CrawlLeaseLostError';
+  }
+}
+
+// ====== RESOURCE FETCHERS ======
+// Async iterators from a cursor: each page is
+// { items, excluded, fetched, nextCursor, hasMore }. `context` is
+// { publicationId, now } from crawlContext().
+
+const productFields = ({ publicationId }) => `
+            id
+            handle
+            title
+            onlineStoreUrl
+            status
+            templateSuffix
+            tags
+            description(truncateAt: ${DESCRIPTION_SIGNAL_MAX})
+            mediaCount {
+              count
+            }
+            variantsCount {
+              count
+            }${publicationSelection(publicationId)}`;
+
+function toProductItem(product) {
+  return {
+    id: product.id,
+    handle: product.handle,
+    title: product.title,
+    template_suffix: product.templateSuffix || null,
+    url: `/products/${product.handle}`,
+    full_url: product.onlineStoreUrl,
+    gated: isPasswordGated({ template_suffix: product.templateSuffix, tags: product.tags }),
+    signals: {
+      image_count: product.mediaCount?.count ?? 0,
+      variant_count: product.variantsCount?.count ?? 1,
+      description_length: (product.description || '').length
+    }
+  };
+}
+
+// Text length of an HTML body, for the description_length signal
+function textLength(html) {
+  return Math.min((html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().length, DESCRIPTION_SIGNAL_MAX);
+}
+
+// Split fetched nodes into crawled items and { id, url, title, reason } exclusions
+async function partition(shop, nodes, context, exclusion, toItem) {
+  const items = [];
+  const excluded = [];
+
+  for (const node of nodes) {
+    const item = toItem(node);
+    const reason = exclusion(node, context);
+    if (reason) {
+      excluded.push({ id: item.id, url: item.handle ? item.url : null, title: item.title, reason });
+    } else {
+      items.push(item);
+    }
+  }
+
+  return { items, excluded: await refineScheduled(shop, excluded, context) };
+}
+
+async function* graphQLPages(shop, cursor, context, { query, connection, exclusion, toItem }) {
+  for await (const page of paginateGraphQL(shop, query, { connection, cursor })) {
+    yield {
+      ...await partition(shop, page.nodes, context, exclusion, toItem),
+      fetched: page.nodes.length,
+      nextCursor: page.endCursor,
+      hasMore: page.hasNextPage
+    };
+  }
+}
+
+function iterateProducts(shop, cursor, context) {
+  return graphQLPages(shop, cursor, context, {
+    connection: 'products',
+    query: `
+      query GetProducts($cursor: String) {
+        products(first: ${PAGE_SIZE}, after: $cursor) {
+          nodes {${productFields(context)}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+    exclusion: productExclusion,
+    toItem: toProductItem
+  });
+}
+
+function iterateCollections(shop, cursor, context) {
+  return graphQLPages(shop, cursor, context, {
+    connection: 'collections',
+    query: `
+      query GetCollections($cursor: String) {
+        collections(first: ${PAGE_SIZE}, after: $cursor) {
+          nodes {
+            id
+            handle
+            title
+            templateSuffix
+            description(truncateAt: ${DESCRIPTION_SIGNAL_MAX})
+            image {
+              id
+            }
+            productsCount {
+              count
+            }${publicationSelection(context.publicationId)}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+    exclusion: collectionExclusion,
+    toItem: collection => ({
+      id: collection.id,
+      handle: collection.handle,
+      title: collection.title,
+      template_suffix: collection.templateSuffix || null,
+      url: `/collections/${collection.handle}`,
+      full_url: `https://${shop}/collections/${collection.handle}`,
+      gated: isPasswordGated({ template_suffix: collection.templateSuffix }),
+      signals: {
+        image_count: collection.image ? 1 : 0,
+        product_count: collection.productsCount?.count ?? 0,
+        description_length: (collection.description || '').length
+      }
+    })
+  });
+}
+
+// Pages come from REST; the cursor is the Link header's page_info.
+// A numeric cursor is a since_id checkpointed before Link pagination.
+async function* iteratePages(shop, cursor, context) {
+  const legacySinceId = cursor && /^\d+$/.test(cursor);
+  const endpoint = `pages.json?limit=${PAGE_SIZE}${legacySinceId ? `&since_id=${cursor}` : ''}`;
+
+  for await (const result of paginateRest(shop, endpoint, { pageInfo: legacySinceId ? null : cursor })) {
+    const pages = result.pages || [];
+    yield {
+      ...await partition(shop, pages, context, pageExclusion, page => ({
+        id: `page_${page.id}`,
+        handle: page.handle,
+        title: page.title,
+        template_suffix: page.template_suffix || null,
+        url: `/pages/${page.handle}`,
+        full_url: `https://${shop}/pages/${page.handle}`,
+        gated: isPasswordGated({ template_suffix: page.template_suffix }),
+        signals: {
+          description_length: textLength(page.body_html)
+        }
+      })),
+      fetched: pages.length,
+      nextCursor: result.nextPageInfo,
+      hasMore: !!result.nextPageInfo
+    };
+  }
+}
+
+function iterateBlogs(shop, cursor, context) {
+  return graphQLPages(shop, cursor, context, {
+    connection: 'blogs',
+    query: `
+      query GetBlogs($cursor: String) {
+        blogs(first: ${PAGE_SIZE}, after: $cursor) {
+          nodes {
+            id
+            handle
+            title
+            templateSuffix
+            articlesCount {
+              count
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+    exclusion: blog => (blog.handle ? null : 'no_url'),
+    toItem: blog => ({
+      id: blog.id,
+      handle: blog.handle,
+      title: blog.title,
+      template_suffix: blog.templateSuffix || null,
+      url: `/blogs/${blog.handle}`,
+      full_url: `https://${shop}/blogs/${blog.handle}`,
+      gated: isPasswordGated({ template_suffix: blog.templateSuffix }),
+      signals: {
+        article_count: blog.articlesCount?.count ?? 0
+      }
+    })
+  });
+}
+
+function iterateArticles(shop, cursor, context) {
+  return graphQLPages(shop, cursor, context, {
+    connection: 'articles',
+    query: `
+      query GetArticles($cursor: String) {
+        articles(first: ${PAGE_SIZE}, after: $cursor) {
+          nodes {
+            id
+            handle
+            title
+            isPublished
+            publishedAt
+            templateSuffix
+            tags
+            summary
+            image {
+              id
+            }
+            blog {
+              handle
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+    exclusion: articleExclusion,
+    toItem: article => ({
+      id: article.id,
+      handle: article.handle,
+      title: article.title,
+      blog_handle: article.blog?.handle,
+      template_suffix: article.templateSuffix || null,
+      url: `/blogs/${article.blog?.handle}/${article.handle}`,
+      full_url: `https://${shop}/blogs/${article.blog?.handle}/${article.handle}`,
+      gated: isPasswordGated({ template_suffix: article.templateSuffix, tags: article.tags }),
+      signals: {
+        image_count: article.image ? 1 : 0,
+        description_length: textLength(article.summary)
+      }
+    })
+  });
+}
+
+async function countProducts(shop) {
+  const response = await shopifyGraphQL(shop, `
+    query ProductsCount {
+      productsCount(limit: null) {
+        count
+      }
+    }
+  `);
+
+  if (!response.ok && response.error === "TOKEN_EXPIRED") {
+    throw new Error('TOKEN_EXPIRED');
+  }
+  return response.data?.productsCount?.count ?? null;
+}
+
+// Crawl order; also the keys of CrawlJob.progress and CrawlItemChunk.resource.
+// `bulk`: large catalogs are read with one bulk operation instead of paging.
+const RESOURCES = [
+  {
+    name: 'products',
+    iterate: iterateProducts,
+    bulk: {
+      count: countProducts,
+      query: context => `{ products { edges { node {${productFields(context)} } } } }`,
+      exclusion: productExclusion,
+      toItem: toProductItem
+    }
+  },
+  { name: 'collections', iterate: iterateCollections },
+  { name: 'pages', iterate: iteratePages },
+  { name: 'blogs', iterate: iterateBlogs },
+  { name: 'articles', iterate: iterateArticles }
+];
+
+// Resource -> template type (before any templateSuffix)
+const RESOURCE_TEMPLATES = {
+  products: 'product',
+  collections: 'collection',
+  pages: 'page',
+  blogs: 'blog',
+  articles: 'article'
+};
+
+// Storefront routes that exist on every shop, each its own template.
+// The 404 probe is a path that should never resolve.
+const FIXED_ROUTES = [
+  { template: 'index', url: '/', title: 'Home', handle: 'index', id: 'homepage' },
+  { template: 'list-collections', url: '/collections', title: 'Collections' },
+  { template: 'search', url: '/search', title: 'Search' },
+  { template: 'cart', url: '/cart', title: 'Cart' },
+  { template: '404', url: '/pages/rl-404-probe', title: 'Page not found' }
+];
+
+// ====== JOB LIFECYCLE ======
+
+/**
+ * Queue a crawl for a shop. Returns the active job instead if one exists.
+ * @param {string} shop - Shop domain
+ * @param {object} [options] - { trigger }
+ * @returns {Promise<{ job: object, existing: boolean }>}
+ */
+async function enqueueCrawl(shop, { trigger = 'manual', source = null } = {}) {
+  const active = await CrawlJob.findOne({ shop, status: { $in: CrawlJob.ACTIVE_STATUSES } })
+    .sort({ queued_at: -1 });
+  if (active) {
+    return { job: active, existing: true };
+  }
+
+  try {
+    const job = await CrawlJob.create({
+      shop,
+      trigger,
+      source: source || await defaultCrawlSource(shop),
+      active: true
+    });
+    console.log(`[Crawler] Queued ${job.source} crawl ${job._id} for ${shop} (${trigger})`);
+    return { job, existing: false };
+  } catch (error) {
+    // Another trigger queued one in between
+    if (error.code === 11000) {
+      const job = await CrawlJob.findOne({ shop, status: { $in: CrawlJob.ACTIVE_STATUSES } });
+      if (job) return { job, existing: true };
+    }
+    throw error;
+  }
+}
+
+// Without read_products the catalog can't be listed; the sitemap still can
+async function defaultCrawlSource(shop) {
+  const shopRecord = await ShopModel.findOne({ shop });
+  if (!shopRecord?.access_token) {
+    return 'sitemap';
+  }
+  const granted = await resolveGrantedScopes(shopRecord);
+  return getMissingScopes(granted, ['read_products']).length ? 'sitemap' : 'admin_api';
+}
+
+// Take the job if it's queued or its previous runner's lease has lapsed
+async function claimJob(jobId) {
+  const now = new Date();
+  const claimId = crypto.randomBytes(8).toString('hex');
+
+  const job = await CrawlJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: 'queued' },
+        { status: 'running', locked_until: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', claim_id: claimId, locked_until: new Date(now.getTime() + JOB_LEASE_MS) },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (job && !job.started_at) {
+    job.started_at = now;
+    await CrawlJob.updateOne({ _id: job._id }, { $set: { started_at: now } });
+  }
+
+  return job ? { job, claimId } : null;
+}
+
+// Apply an update only while we still own the running job
+async function updateOwnedJob(jobId, claimId, update) {
+  const result = await CrawlJob.updateOne(
+    { _id: jobId, status: 'running', claim_id: claimId },
+    update
+  );
+
+  if (result.matchedCount === 0) {
+    const current = await CrawlJob.findById(jobId, { status: 1 });
+    if (current?.status === 'cancelled') throw new CrawlCancelledError(jobId);
+    throw new CrawlLeaseLostError(jobId);
+  }
+}
+
+// What the fetchers check publication against; worked out once per run
+async function crawlContext(shop) {
+  const now = new Date();
+  let publicationId = null;
+  try {
+    publicationId = await fetchOnlineStorePublicationId(await ShopModel.findOne({ shop }));
+  } catch (error) {
+    if (error.message === 'TOKEN_EXPIRED') throw error;
+    console.warn(`[Crawler] Could not look up the Online Store publication for ${shop}: ${error.message}`);
+  }
+  return { publicationId, now };
+}
+
+// Paged vs bulk, decided once per job from the resource count
+async function chooseCrawlMode(job, claimId, { name, bulk }) {
+  const progress = job.progress[name];
+  if (progress.mode) return progress.mode;
+  if (!bulk) return 'paged';
+
+  let total = null;
+  try {
+    total = await bulk.count(job.shop);
+  } catch (error) {
+    if (error.message === 'TOKEN_EXPIRED') throw error;
+    console.warn(`[Crawler] Could not count ${name} for ${job.shop}: ${error.message}`);
+  }
+
+  const mode = total !== null && total > BULK_THRESHOLD ? 'bulk' : 'paged';
+  await updateOwnedJob(job._id, claimId, {
+    $set: { [`progress.${name}.mode`]: mode, [`progress.${name}.total`]: total }
+  });
+  progress.mode = mode;
+
+  if (mode === 'bulk') {
+    console.log(`[Crawler] ${total} ${name} for ${job.shop} (> ${BULK_THRESHOLD}), using a bulk operation`);
+  }
+  return mode;
+}
+
+// One bulk query, then stream its JSONL. cursor = result lines consumed.
+async function crawlResourceBulk(job, claimId, { name, bulk }, context) {
+  const progress = job.progress[name];
+  const prefix = `progress.${name}`;
+  const { shop } = job;
+
+  let operationId = progress.bulk_operation_id;
+  if (!operationId) {
+    ({ id: operationId } = await runBulkQuery(shop, bulk.query(context)));
+    await updateOwnedJob(job._id, claimId, { $set: { [`${prefix}.bulk_operation_id`]: operationId } });
+  }
+
+  let operation;
+  try {
+    operation = await waitForBulkOperation(shop, operationId, {
+      // Keep the lease alive; also notices cancellation while Shopify works
+      onPoll: () => updateOwnedJob(job._id, claimId, {
+        $set: { locked_until: new Date(Date.now() + JOB_LEASE_MS) }
+      })
+    });
+  } catch (error) {
+    if (error instanceof CrawlCancelledError) {
+      await cancelBulkOperation(shop, operationId);
+    }
+    throw error;
+  }
+
+  console.log(`[Crawler] Bulk ${name} ready for ${shop}: ${operation.objectCount} objects`);
+
+  const skip = parseInt(progress.cursor || '0', 10);
+  let batch = [];
+  let batchExcluded = [];
+  let batchLines = 0;
+  let lastLine = skip;
+  let seq = progress.requests || 0;
+
+  const flush = async () => {
+    await refineScheduled(shop, batchExcluded, context);
+    await saveCrawlChunk(job, name, seq++, { items: batch, excluded: batchExcluded });
+
+    await updateOwnedJob(job._id, claimId, {
+      $set: {
+        [`${prefix}.cursor`]: String(lastLine),
+        locked_until: new Date(Date.now() + JOB_LEASE_MS)
+      },
+      $inc: {
+        [`${prefix}.requests`]: 1,
+        [`${prefix}.fetched`]: batchLines,
+        [`${prefix}.kept`]: batch.length,
+        [`${prefix}.excluded`]: batchExcluded.length
+      }
+    });
+    console.log(`[Crawler] Streamed ${lastLine} ${name} so far...`);
+    batch = [];
+    batchExcluded = [];
+    batchLines = 0;
+  };
+
+  await streamBulkResults(operation.url, async (record, line) => {
+    if (line <= skip) return;
+    lastLine = line;
+    batchLines++;
+    const item = bulk.toItem(record);
+    const reason = bulk.exclusion(record, context);
+    if (reason) {
+      batchExcluded.push({ id: item.id, url: item.handle ? item.url : null, title: item.title, reason });
+    } else {
+      batch.push(item);
+    }
+    if (batchLines >= BULK_CHECKPOINT_LINES) await flush();
+  });
+
+  if (batchLines) await flush();
+}
+
+async function crawlResource(job, claimId, resource, context) {
+  const { name, iterate } = resource;
+  const progress = job.progress[name];
+  if (progress.status === 'done') {
+    return;
+  }
+
+  const prefix = `progress.${name}`;
+  await updateOwnedJob(job._id, claimId, {
+    $set: {
+      [`${prefix}.status`]: 'running',
+      ...(progress.started_at ? {} : { [`${prefix}.started_at`]: new Date() })
+    }
+  });
+
+  if (await chooseCrawlMode(job, claimId, resource) === 'bulk') {
+    try {
+      await crawlResourceBulk(job, claimId, resource, context);
+      await updateOwnedJob(job._id, claimId, {
+        $set: { [`${prefix}.status`]: 'done', [`${prefix}.completed_at`]: new Date() }
+      });
+      return;
+    } catch (error) {
+      // Another bulk query already running on the shop: page through instead
+      if (!(error instanceof BulkOperationError && error.code === 'USER_ERROR')) throw error;
+      console.warn(`[Crawler] Bulk ${name} unavailable for ${job.shop} (${error.message}), paging instead`);
+      await updateOwnedJob(job._id, claimId, { $set: { [`${prefix}.mode`]: 'paged' } });
+    }
+  }
+
+  console.log(`[Crawler] Fetching ${name}${progress.cursor ? ` (resuming after ${progress.cursor})` : ''}...`);
+
+  let kept = progress.kept || 0;
+  let seq = progress.requests || 0;
+
+  for await (const page of iterate(job.shop, progress.cursor, context)) {
+    // The chunk is keyed by checkpoint number, so a page fetched again after
+    // a crash overwrites itself; the cursor only moves once it's stored.
+    // The last page also closes the resource (REST has no cursor after it)
+    await saveCrawlChunk(job, name, seq++, page);
+    await updateOwnedJob(job._id, claimId, {
+      $set: {
+        [`${prefix}.cursor`]: page.nextCursor,
+        locked_until: new Date(Date.now() + JOB_LEASE_MS),
+        ...(page.hasMore ? {} : { [`${prefix}.status`]: 'done', [`${prefix}.completed_at`]: new Date() })
+      },
+      $inc: {
+        [`${prefix}.requests`]: 1,
+        [`${prefix}.fetched`]: page.fetched,
+        [`${prefix}.kept`]: page.items.length,
+        [`${prefix}.excluded`]: page.excluded.length
+      }
+    });
+
+    kept += page.items.length;
+    console.log(`[Crawler] Fetched ${kept} ${name} so far...`);
+  }
+
+  await updateOwnedJob(job._id, claimId, {
+    $set: { [`${prefix}.status`]: 'done', [`${prefix}.completed_at`]: new Date() }
+  });
+
+  console.log(`[Crawler] ✅ Total ${name}: ${kept}`);
+}
+
+// Sitemap source: one child sitemap per checkpoint; cursor = children done
+async function crawlSitemapSource(job, claimId) {
+  const progress = job.progress.sitemap;
+  if (progress.status === 'done') {
+    return;
+  }
+
+  const shopRecord = await ShopModel.findOne({ shop: job.shop });
+  const baseUrl = sitemapBaseUrl(shopRecord);
+
+  let children = job.sitemap_children;
+  if (!children?.length) {
+    children = await listChildSitemaps(baseUrl);
+    await updateOwnedJob(job._id, claimId, {
+      $set: {
+        sitemap_children: children,
+        'progress.sitemap.status': 'running',
+        'progress.sitemap.started_at': new Date()
+      }
+    });
+  }
+
+  console.log(`[Crawler] Reading ${children.length} sitemap(s) from ${baseUrl}...`);
+
+  for (let i = parseInt(progress.cursor || '0', 10); i < children.length; i++) {
+    const { items, count } = await readChildSitemap(children[i]);
+
+    for (const key of SITEMAP_RESOURCE_KEYS) {
+      await saveCrawlChunk(job, key, i, { items: items[key] });
+    }
+
+    await updateOwnedJob(job._id, claimId, {
+      $set: {
+        'progress.sitemap.cursor': String(i + 1),
+        locked_until: new Date(Date.now() + JOB_LEASE_MS)
+      },
+      $inc: {
+        'progress.sitemap.requests': 1,
+        'progress.sitemap.fetched': count,
+        'progress.sitemap.kept': count
+      }
+    });
+
+    console.log(`[Crawler] Sitemap ${i + 1}/${children.length}: ${count} URLs`);
+  }
+
+  await updateOwnedJob(job._id, claimId, {
+    $set: { 'progress.sitemap.status': 'done', 'progress.sitemap.completed_at': new Date() }
+  });
+}
+
+// Admin API crawl: report what the storefront sitemap disagrees with.
+// Streams the crawled chunks against the sitemap's URLs. Best effort, never
+// fails the crawl.
+async function buildSitemapReport(job, renewLease) {
+  try {
+    const shopRecord = await ShopModel.findOne({ shop: job.shop });
+    const baseUrl = sitemapBaseUrl(shopRecord);
+    const diff = createSitemapDiff(await collectSitemapUrls(baseUrl));
+
+    for await (const chunk of iterateCrawlChunks(job._id)) {
+      await renewLease();
+      diff.addCatalogItems(chunk.resource, chunk.items);
+    }
+
+    const report = diff.finish();
+    console.log(`[Crawler] Sitemap diff for ${job.shop}: ${report.totals.missing_from_sitemap} missing from sitemap, ${report.totals.not_in_catalog} not in catalog`);
+    return { checked_at: new Date(), base_url: baseUrl, ...report };
+  } catch (error) {
+    if (error instanceof CrawlLeaseLostError || error instanceof CrawlCancelledError) throw error;
+    console.warn(`[Crawler] ⚠️ Sitemap diff failed for ${job.shop}: ${error.message}`);
+    return { checked_at: new Date(), error: error.message };
+  }
+}
+
+function toGroupPage(item) {
+  return { id: item.id, url: item.url, title: item.title, handle: item.handle };
+}
+
+function newGroup(resolved, type) {
+  return {
+    template: resolved.template,
+    template_type: type,
+    template_suffix: resolved.template === type ? null : resolved.template.slice(type.length + 1),
+    theme_template_exists: resolved.exists,
+    fallback_from: [],
+    count: 0,
+    sample_page: null
+  };
+}
+
+/**
+ * Group a job's crawled items by the template they actually render with
+ * (`product`, `product.preorder`, ...). Chunks are streamed: each item is
+ * written to the job's group members and snapshot as it's read, and only
+ * counts and sample candidates stay in memory.
+ * @param {object} job - CrawlJob
+ * @param {string[]|null} themeTemplates - from fetchThemeTemplates
+ * @param {function(): Promise<void>} renewLease - called once per chunk
+ * @returns {Promise<{ templateGroups: object, exclusions: object, snapshot: object }>}
+ *   snapshot is the finished createSnapshotWriter
+ */
+async function groupCrawledItems(job, themeTemplates, renewLease) {
+  const templateGroups = {};
+  const collectors = {};
+  const members = await createGroupPageWriter(job);
+  const snapshot = await createSnapshotWriter(job);
+  let exclusions = summarizeExclusions({});
+
+  const groupFor = (resolved, type) => {
+    const key = templateGroupKey(resolved.template);
+    if (!templateGroups[key]) {
+      templateGroups[key] = newGroup(resolved, type);
+      collectors[key] = createSampleCollector();
+    }
+    return key;
+  };
+
+  const addPage = async (key, item) => {
+    const group = templateGroups[key];
+    group.count++;
+    collectors[key].add(item);
+    await members.add(key, toGroupPage(item));
+    await snapshot.add({ ...item, template: group.template });
+  };
+
+  // Products keep an (empty) default group so the dashboard always has one
+  groupFor(resolveTemplate('product', null, themeTemplates), 'product');
+
+  for await (const chunk of iterateCrawlChunks(job._id)) {
+    await renewLease();
+    exclusions = summarizeExclusions({ [chunk.resource]: chunk.excluded }, exclusions);
+
+    const type = RESOURCE_TEMPLATES[chunk.resource];
+    if (!type) continue;
+
+    for (const item of chunk.items) {
+      const resolved = resolveTemplate(type, item.template_suffix, themeTemplates);
+      const key = groupFor(resolved, type);
+      const group = templateGroups[key];
+
+      if (resolved.fallback_from && !group.fallback_from.includes(resolved.fallback_from)) {
+        group.fallback_from.push(resolved.fallback_from);
+      }
+      await addPage(key, item);
+    }
+  }
+
+  for (const route of FIXED_ROUTES) {
+    const key = groupFor(resolveTemplate(route.template, null, themeTemplates), route.template);
+    await addPage(key, {
+      id: route.id || `route_${route.template}`,
+      url: route.url,
+      title: route.title,
+      handle: route.handle || route.template
+    });
+  }
+
+  for (const [key, group] of Object.entries(templateGroups)) {
+    const selection = collectors[key].select();
+    group.sample_page = selection.sample_page;
+    group.samples = selection.samples;
+    group.sampling = selection.sampling;
+  }
+
+  await members.finish();
+  await snapshot.finish();
+
+  return { templateGroups, exclusions, snapshot };
+}
+
+// Group fields a crawl owns. Everything else on a group (psi_analyzed,
+// defer_recommendations, user_defer_config, js_analysis, psi_metrics, ...)
+// is written by analysis or the merchant and survives recrawls.
+const CRAWL_GROUP_FIELDS = [
+  'template',
+  'template_type',
+  'template_suffix',
+  'theme_template_exists',
+  'fallback_from',
+  'count',
+  'sample_page',
+  'samples',
+  'sampling',
+  'section_count',
+  'sample_full_url',
+  'locale_variants'
+];
+
+/**
+ * Update that merges a crawl's groups into the stored site_structure by
+ * template key instead of replacing it. Groups the crawl no longer finds are
+ * dropped, unless the merchant configured them (kept empty until they return).
+ * @param {object|Map|null} storedGroups - current site_structure.template_groups
+ * @param {object} templateGroups - from groupCrawledItems
+ * @param {object} fields - other site_structure fields to set
+ * @returns {{ $set: object, $unset: object }}
+ */
+function siteStructureUpdate(storedGroups, templateGroups, fields) {
+  const $set = {};
+  const $unset = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      $unset[`site_structure.${field}`] = '';
+    } else {
+      $set[`site_structure.${field}`] = value;
+    }
+  }
+
+  for (const [key, group] of Object.entries(templateGroups)) {
+    for (const field of CRAWL_GROUP_FIELDS) {
+      const path = `site_structure.template_groups.${key}.${field}`;
+      if (group[field] === undefined) {
+        $unset[path] = '';
+      } else {
+        $set[path] = group[field];
+      }
+    }
+    // Members live in SitePageChunk; drops what older crawls stored here
+    $unset[`site_structure.template_groups.${key}.pages`] = '';
+  }
+
+  const stored = storedGroups instanceof Map ? Object.fromEntries(storedGroups) : (storedGroups || {});
+  for (const [key, group] of Object.entries(stored)) {
+    if (templateGroups[key]) continue;
+    const prefix = `site_structure.template_groups.${key}`;
+    if (group?.user_defer_config?.length) {
+      Object.assign($set, {
+        [`${prefix}.count`]: 0,
+        [`${prefix}.sample_page`]: null,
+        [`${prefix}.samples`]: [],
+        [`${prefix}.locale_variants`]: []
+      });
+      $unset[`${prefix}.pages`] = '';
+    } else {
+      $unset[prefix] = '';
+    }
+  }
+
+  return { $set, $unset };
+}
+
+// Theme templates nothing on the store uses (informational)
+function unusedThemeTemplates(templateGroups, themeTemplates) {
+  if (!themeTemplates) return [];
+  const used = new Set(Object.values(templateGroups).map(g => g.template));
+  return themeTemplates.filter(name => !used.has(name));
+}
+
+function postSiteData(shop, body) {
+  return axios.post(`${RL_CORE_URL}/site-analysis/analyze`, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shop': shop,
+      'X-Platform': 'shopify',
+      'X-API-Key': process.env.INTERNAL_API_KEY || 'rl-internal'
+    },
+    timeout: 30000
+  });
+}
+
+// Whole site to RL Core (first sync, or after a theme switch), in batches:
+// the first request carries site_data (groups with counts and samples), the
+// rest RL_CORE_BATCH_SIZE group members each, read from the job's SitePageChunks.
+// Every request has batch { sync_id, index, total } so RL Core can assemble them.
+async function sendFullSiteData(shop, siteData, { jobId, renewLease }) {
+  const total = 1 + Math.ceil(siteData.total_pages / RL_CORE_BATCH_SIZE);
+  const batch = index => ({ sync_id: String(jobId), index, total });
+
+  const send = async (body) => {
+    await renewLease();
+    const rlCoreResponse = await postSiteData(shop, body);
+    if (!rlCoreResponse.data.ok) {
+      console.warn(`[Crawler] ⚠️ RL Core rejected site data batch ${body.batch.index + 1}/${total}:`, rlCoreResponse.data);
+      throw new Error(rlCoreResponse.data.error || 'Rejected by RL Core');
+    }
+  };
+
+  try {
+    await send({ site_data: siteData, batch: batch(0) });
+
+    let index = 1;
+    let pages = [];
+    for await (const chunk of iterateGroupPages(shop, jobId)) {
+      const template = siteData.template_groups[chunk.group]?.template || chunk.group;
+      for (const page of chunk.pages) {
+        pages.push({ ...page, template });
+        if (pages.length >= RL_CORE_BATCH_SIZE) {
+          await send({ pages, batch: batch(index++) });
+          pages = [];
+        }
+      }
+    }
+    if (pages.length) {
+      await send({ pages, batch: batch(index++) });
+    }
+
+    console.log(`[Crawler] ✅ Data sent to RL Core successfully (${index} requests)`);
+    return { ok: true };
+  } catch (rlCoreError) {
+    console.error(`[Crawler] ⚠️ Failed to send to RL Core:`, rlCoreError.message);
+    return { ok: false, error: rlCoreError.message };
+  }
+}
+
+// A delta split into requests of at most `size` pages (always at least one,
+// which carries group-only changes)
+function* deltaBatches(delta, size) {
+  const entries = [
+    ...delta.added.map(entry => ['added', entry]),
+    ...delta.removed.map(entry => ['removed', entry]),
+    ...delta.changed.map(entry => ['changed', entry])
+  ];
+
+  for (let i = 0; i === 0 || i < entries.length; i += size) {
+    const batch = { added: [], removed: [], changed: [] };
+    for (const [kind, entry] of entries.slice(i, i + size)) {
+      batch[kind].push(entry);
+    }
+    yield batch;
+  }
+}
+
+// Full site when RL Core has no usable baseline, otherwise only the
+// changes since the last snapshot it received. Never fails the crawl.
+async function syncCrawlToCore(shop, snapshot, siteData, { jobId, renewLease }) {
+  const baseline = await lastSyncedSnapshot(shop, snapshot._id);
+
+  // Sitemap items are keyed by URL, Admin API items by id: not comparable
+  const reason = !baseline ? 'no synced baseline'
+    : baseline.active_theme_id !== snapshot.active_theme_id ? 'theme changed'
+    : baseline.source !== snapshot.source ? 'crawl source changed'
+    : !baseline.group_hashes ? 'no group baseline'
+    : null;
+
+  if (reason) {
+    console.log(`[Crawler] Sending full site data to RL Core (${reason})...`);
+    const result = await sendFullSiteData(shop, siteData, { jobId, renewLease });
+    return { mode: 'full', synced: result.ok, error: result.error };
+  }
+
+  const delta = await diffSnapshots(baseline, snapshot);
+  const counts = changeCounts(delta);
+  // Groups whose samples / section count / locale variants moved, with their new values
+  const groupKeys = changedGroupKeys(baseline.group_hashes, snapshot.group_hashes)
+    .filter(key => siteData.template_groups[key]);
+  const templateGroups = Object.fromEntries(groupKeys.map(key => [key, {
+    template: siteData.template_groups[key].template,
+    count: siteData.template_groups[key].count,
+    ...groupMeta(siteData.template_groups[key])
+  }]));
+
+  if (!counts.added && !counts.removed && !counts.changed && !groupKeys.length) {
+    console.log('[Crawler] No changes since the last RL Core sync, nothing to send');
+    return { mode: 'none', synced: true, baseline_snapshot_id: baseline._id };
+  }
+
+  console.log(`[Crawler] Sending delta to RL Core: +${counts.added} -${counts.removed} ~${counts.changed}, ${groupKeys.length} group(s) updated`);
+  try {
+    // Site-level fields ride with the first batch. A failed batch leaves the
+    // snapshot unsynced, so the next crawl resends from the same baseline.
+    let first = true;
+    for (const batch of deltaBatches(delta, RL_CORE_BATCH_SIZE)) {
+      await renewLease();
+      await pushDeltaToCore(shop, batch, {
+        source: 'crawl',
+        site: first ? {
+          total_pages: siteData.total_pages,
+          active_theme: siteData.active_theme,
+          theme_templates: siteData.theme_templates,
+          localization: siteData.localization,
+          template_groups: templateGroups
+        } : null
+      });
+      first = false;
+    }
+    return { mode: 'delta', synced: true, baseline_snapshot_id: baseline._id };
+  } catch (error) {
+    console.error(`[Crawler] ⚠️ Failed to send delta to RL Core:`, error.message);
+    return { mode: 'delta', synced: false, baseline_snapshot_id: baseline._id, error: error.message };
+  }
+}
+
+// Group the crawled items, send them to RL Core and store site_structure.
+// renewLease() runs before each step: finalizing a big shop outlasts one
+// lease, and a lost lease (or cancel) stops it before the next step.
+async function finalizeCrawl(job, renewLease) {
+  const { shop } = job;
+
+  await renewLease();
+
+  // ============================================================
+  // Get Active Theme and the templates it defines
+  // ============================================================
+  let activeThemeName = 'Unknown';
+  let activeThemeId = null;
+  try {
+    const themesData = await shopifyRequest(shop, 'themes.json');
+    if (themesData.ok) {
+      const activeTheme = themesData.themes?.find(t => t.role === 'main');
+      if (activeTheme) {
+        activeThemeName = activeTheme.name;
+        activeThemeId = activeTheme.id;
+      }
+    }
+  } catch (err) {
+    console.warn(`[Crawler] Could not fetch theme: ${err.message}`);
+  }
+
+  const themeTemplates = activeThemeId ? await fetchThemeTemplates(shop, activeThemeId) : null;
+  if (!themeTemplates) {
+    console.warn(`[Crawler] ⚠️ Theme templates unknown for ${shop}, grouping by templateSuffix unchecked`);
+  }
+
+  const { templateGroups, exclusions, snapshot: snapshotWriter } = await groupCrawledItems(job, themeTemplates, renewLease);
+  const unusedTemplates = unusedThemeTemplates(templateGroups, themeTemplates);
+
+  if (activeThemeId && themeTemplates) {
+    await renewLease();
+    const templates = [...new Set(Object.values(templateGroups).map(g => g.template))]
+      .filter(name => themeTemplates.includes(name));
+    const sectionCounts = await fetchTemplateSectionCounts(shop, activeThemeId, templates);
+    for (const group of Object.values(templateGroups)) {
+      group.section_count = sectionCounts[group.template] ?? null;
+    }
+  }
+
+  // ============================================================
+  // Localized variants (Markets / Translate & Adapt)
+  // ============================================================
+  let localization = { enabled: false, roots: [] };
+  await renewLease();
+  try {
+    localization = await addLocaleVariants(await ShopModel.findOne({ shop }), templateGroups);
+  } catch (err) {
+    if (err.message === 'TOKEN_EXPIRED') throw err;
+    console.warn(`[Crawler] ⚠️ Could not build localized variants: ${err.message}`);
+    localization = { enabled: false, error: err.message, roots: [] };
+  }
+
+  // ============================================================
+  // Calculate totals
+  // ============================================================
+  const totalPages = Object.values(templateGroups).reduce((sum, group) => sum + group.count, 0);
+  const crawlTime = ((Date.now() - new Date(job.started_at).getTime()) / 1000).toFixed(2);
+
+  console.log(`[Crawler] ✅ Crawl complete in ${crawlTime}s`);
+  console.log(`[Crawler] Total: ${totalPages} pages across ${Object.keys(templateGroups).length} templates`);
+  if (exclusions.total) {
+    console.log(`[Crawler] Left out ${exclusions.total} not live on the Online Store:`, exclusions.by_reason);
+  }
+
+  // ============================================================
+  // Snapshot, then send RL Core only what changed (ONLY if api_token exists)
+  // ============================================================
+  await renewLease();
+  const snapshot = await saveCrawlSnapshot(job, snapshotWriter, templateGroups, { active_theme_id: activeThemeId });
+  console.log(`[Crawler] Changes since last crawl: +${snapshot.changes.added} -${snapshot.changes.removed} ~${snapshot.changes.changed}`);
+
+  const shopRecord = await ShopModel.findOne({ shop });
+  let rlCoreSync = { mode: 'none', synced: false };
+
+  if (shopRecord.api_token) {
+    await renewLease();
+    const siteData = {
+      template_groups: templateGroups,
+      total_pages: totalPages,
+      active_theme: activeThemeName,
+      theme_templates: themeTemplates || [],
+      localization
+    };
+    rlCoreSync = await syncCrawlToCore(shop, snapshot, siteData, { jobId: job._id, renewLease });
+  } else {
+    console.log('[Crawler] ⚠️ Skipping RL Core sync - no api_token (RabbitLoader not connected yet)');
+  }
+
+  await recordRlCoreSync(snapshot._id, rlCoreSync);
+  await renewLease();
+
+  // ============================================================
+  // Update local shop record (ALWAYS, regardless of RL Core)
+  // ============================================================
+  // Merged by group, and the revision is bumped rather than reset, so
+  // analysis results, merchant defer config and in-flight webhook updates
+  // (utils/siteStructureSync.js) survive the recrawl
+  const stored = await ShopModel.findOne({ shop }, { 'site_structure.template_groups': 1 });
+  const structure = siteStructureUpdate(stored?.site_structure?.template_groups, templateGroups, {
+    total_pages: totalPages,
+    active_theme: activeThemeName,
+    active_theme_id: activeThemeId,
+    theme_templates: themeTemplates || undefined,
+    unused_theme_templates: unusedTemplates,
+    localization,
+    exclusions,
+    pages_job_id: job._id,
+    pages_source: job.source,
+    last_crawled: new Date()
+  });
+
+  await ShopModel.updateOne(
+    { shop },
+    {
+      $set: {
+        setup_in_progress: false,
+        setup_failed: false,  // ✅ Mark as successful
+        last_crawl_at: new Date(),
+        last_crawl_pages: totalPages,
+        last_crawl_job_id: job._id,
+        ...structure.$set
+      },
+      ...(Object.keys(structure.$unset).length ? { $unset: structure.$unset } : {}),
+      $inc: { 'site_structure.revision': 1 },
+      $push: {
+        history: {
+          event: 'site_crawl_completed',
+          timestamp: new Date(),
+          details: {
+            job_id: job._id,
+            total_pages: totalPages,
+            templates: Object.keys(templateGroups).length,
+            duration_seconds: parseFloat(crawlTime),
+            rl_core_synced: rlCoreSync.synced,
+            rl_core_sync_mode: rlCoreSync.mode,
+            changes: snapshot.changes,
+            excluded: exclusions.total
+          }
+        }
+      }
+    }
+  );
+
+  // The previous crawl's group members are no longer referenced
+  await deleteStalePages(shop, job._id);
+
+  return totalPages;
+}
+
+// Onboarding waits for its crawl outside its own pipeline (utils/onboarding.js)
+function notifyOnboarding(job) {
+  if (!job || job.isActive()) return;
+  require('./onboarding').onCrawlFinished(job).catch(err => {
+    console.error(`[Crawler] Onboarding callback failed for ${job.shop}:`, err.message);
+  });
+}
+
+/**
+ * Run (or resume) a crawl job. Returns the job as it ended, or the current
+ * job untouched if another worker holds it.
+ * @param {string} jobId
+ * @returns {Promise<object|null>}
+ */
+async function runCrawlJob(jobId) {
+  const claimed = await claimJob(jobId);
+  if (!claimed) {
+    return CrawlJob.findById(jobId);
+  }
+
+  const { claimId } = claimed;
+  let job = claimed.job;
+  const { shop } = job;
+
+  console.log(`[Crawler] 🕷️  Crawling ${shop} (job ${job._id}, attempt ${job.attempts})...`);
+
+  try {
+    if (job.source === 'sitemap') {
+      await crawlSitemapSource(job, claimId);
+    } else {
+      const context = await crawlContext(shop);
+      for (const resource of RESOURCES) {
+        await crawlResource(job, claimId, resource, context);
+      }
+    }
+
+    const renewLease = () => updateOwnedJob(job._id, claimId, {
+      $set: { locked_until: new Date(Date.now() + JOB_LEASE_MS) }
+    });
+
+    // Re-read for the final progress; finalize streams the checkpointed items
+    job = await CrawlJob.findById(job._id);
+    await renewLease();
+    const totalPages = await finalizeCrawl(job, renewLease);
+
+    if (job.source !== 'sitemap') {
+      await renewLease();
+      await updateOwnedJob(job._id, claimId, { $set: { sitemap_report: await buildSitemapReport(job, renewLease) } });
+    }
+
+    const finishedAt = new Date();
+    await updateOwnedJob(job._id, claimId, {
+      $set: {
+        status: 'succeeded',
+        finished_at: finishedAt,
+        duration_ms: finishedAt - new Date(job.started_at),
+        total_pages: totalPages,
+        locked_until: null,
+        error: null
+      },
+      $unset: { active: '' }
+    });
+
+    console.log(`[Crawler] 🎉 All done for ${shop}!`);
+
+  } catch (error) {
+    if (error instanceof CrawlCancelledError) {
+      console.log(`[Crawler] 🛑 Crawl ${job._id} for ${shop} cancelled`);
+      const cancelled = await CrawlJob.findById(job._id);
+      notifyOnboarding(cancelled);
+      return cancelled;
+    }
+    if (error instanceof CrawlLeaseLostError) {
+      console.warn(`[Crawler] ${error.message}`);
+      return CrawlJob.findById(job._id);
+    }
+
+    console.error(`[Crawler] ❌ Crawl failed for ${shop}:`, error.message);
+
+    const finishedAt = new Date();
+    await CrawlJob.updateOne(
+      { _id: job._id, claim_id: claimId },
+      {
+        $set: {
+          status: 'failed',
+          finished_at: finishedAt,
+          duration_ms: job.started_at ? finishedAt - new Date(job.started_at) : null,
+          locked_until: null,
+          error: error.message
+        },
+        $unset: { active: '' }
+      }
+    );
+
+    await ShopModel.updateOne(
+      { shop },
+      {
+        $set: {
+          setup_in_progress: false,
+          setup_failed: true,
+          // Only ever raised here: other failures say nothing about the token
+          ...(error.message === 'TOKEN_EXPIRED' ? { reauth_required: true } : {})
+        },
+        $push: {
+          history: {
+            event: 'site_crawl_failed',
+            timestamp: new Date(),
+            details: { job_id: job._id, error: error.message }
+          }
+        }
+      }
+    );
+  }
+
+  const finished = await CrawlJob.findById(job._id);
+  notifyOnboarding(finished);
+  return finished;
+}
+
+/**
+ * Cancel a queued or running crawl. The runner stops at its next checkpoint.
+ * @returns {Promise<object|null>} The updated job, or null if not found / not active
+ */
+async function cancelCrawlJob(shop, jobId) {
+  return CrawlJob.findOneAndUpdate(
+    { _id: jobId, shop, status: { $in: CrawlJob.ACTIVE_STATUSES } },
+    { $set: { status: 'cancelled', finished_at: new Date(), locked_until: null }, $unset: { active: '' } },
+    { new: true }
+  );
+}
+
+/**
+ * Crawl a store and wait for the result (onboarding, scripts).
+ * Throws if the crawl fails or is cancelled.
+ */
+async function crawlShopifyStore(shop, { trigger = 'manual', source = null } = {}) {
+  const { job } = await enqueueCrawl(shop, { trigger, source });
+  let result = await runCrawlJob(job._id);
+
+  // Someone else is running it: wait for them
+  while (result?.isActive()) {
+    await new Promise(resolve => setTimeout(resolve, WAIT_POLL_MS));
+    result = await CrawlJob.findById(job._id);
+    if (result?.status === 'running' && result.locked_until < new Date()) {
+      result = await runCrawlJob(job._id);
+    }
+  }
+
+  if (result?.status !== 'succeeded') {
+    throw new Error(result?.error || `Crawl ${result?.status || 'missing'}`);
+  }
+  return result;
+}
+
+/**
+ * Queue a crawl and run it without waiting (used by /crawler/start and install flows)
+ * @returns {Promise<{ job: object, existing: boolean }>}
+ */
+async function startBackgroundCrawl(shop, { trigger = 'manual', source = null } = {}) {
+  const queued = await enqueueCrawl(shop, { trigger, source });
+
+  runCrawlJob(queued.job._id).catch(err => {
+    console.error(`[Crawler] Error crawling ${shop}:`, err);
+  });
+
+  return queued;
+}
+
+// ====== WORKER ======
+
+// Queued jobs and crawls whose runner died (lease expired)
+async function resumeCrawlJobs() {
+  const jobs = await CrawlJob.find(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', locked_until: { $lt: new Date() } }
+      ]
+    },
+    { _id: 1, shop: 1, status: 1 }
+  ).sort({ queued_at: 1 });
+
+  for (const job of jobs) {
+    console.log(`[Crawler] Resuming ${job.status} crawl ${job._id} for ${job.shop}`);
+    await runCrawlJob(job._id);
+  }
+
+  return jobs.length;
+}
+
+function startCrawlWorker() {
+  if (workerTimer) return;
+
+  const tick = () => {
+    if (working) return; // previous pass still crawling
+    working = true;
+    resumeCrawlJobs()
+      .catch(err => console.error('[Crawler] Worker error:', err.message))
+      .finally(() => { working = false; });
+  };
+
+  workerTimer = setInterval(tick, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  tick();
+  console.log('[Crawler] Worker started');
+}
+
+/**
+ * Progress summary for the status API
+ */
+function crawlJobProgress(job) {
+  if (!job) return null;
+
+  const resources = {};
+  const names = job.source === 'sitemap' ? ['sitemap'] : RESOURCES.map(r => r.name);
+  for (const name of names) {
+    const p = job.progress?.[name] || {};
+    resources[name] = {
+      status: p.status || 'pending',
+      mode: p.mode || null,
+      total: p.total ?? null,
+      requests: p.requests || 0,
+      fetched: p.fetched || 0,
+      kept: p.kept || 0,
+      excluded: p.excluded || 0,
+      started_at: p.started_at || null,
+      completed_at: p.completed_at || null
+    };
+  }
+
+  const startedAt = job.started_at ? new Date(job.started_at) : null;
+  return {
+    job_id: job._id,
+    status: job.status,
+    trigger: job.trigger,
+    source: job.source || 'admin_api',
+    attempts: job.attempts,
+    queued_at: job.queued_at,
+    started_at: job.started_at || null,
+    finished_at: job.finished_at || null,
+    elapsed_ms: startedAt ? (job.finished_at ? new Date(job.finished_at) : new Date()) - startedAt : 0,
+    total_pages: job.total_pages ?? null,
+    error: job.error || null,
+    resources
+  };
+}
+
+module.exports = {
+  enqueueCrawl,
+  runCrawlJob,
+  cancelCrawlJob,
+  crawlShopifyStore,
+  startBackgroundCrawl,
+  resumeCrawlJobs,
+  startCrawlWorker,
+  crawlJobProgress
+};
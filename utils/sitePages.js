@@ -0,0 +1,159 @@
+// utils/sitePages.js
+// Storage for template group members (models/SitePageChunk.js). A crawl
+// writes a fresh set under its job id; webhooks patch the current set
+// (site_structure.pages_job_id) one page at a time.
+
+const SitePageChunk = require('../models/SitePageChunk');
+
+/**
+ * Buffered writer for a crawl's group members: pages are added one at a
+ * time and written CHUNK_SIZE per group document.
+ * @param {object} job - CrawlJob
+ * @returns {Promise<{ add: function(string, object): Promise<void>, finish: function(): Promise<void> }>}
+ */
+async function createGroupPageWriter(job) {
+  const size = SitePageChunk.CHUNK_SIZE;
+  const buffers = {};
+  const seqs = {};
+
+  // A retried finalize writes the whole set again
+  await SitePageChunk.deleteMany({ shop: job.shop, job_id: job._id });
+
+  const flush = async (group) => {
+    const pages = buffers[group];
+    if (!pages?.length) return;
+    buffers[group] = [];
+    seqs[group] = (seqs[group] ?? -1) + 1;
+    await SitePageChunk.create({ shop: job.shop, job_id: job._id, group, seq: seqs[group], pages });
+  };
+
+  return {
+    async add(group, page) {
+      (buffers[group] ||= []).push(page);
+      if (buffers[group].length >= size) await flush(group);
+    },
+    async finish() {
+      for (const group of Object.keys(buffers)) {
+        await flush(group);
+      }
+    }
+  };
+}
+
+/**
+ * Every member of a set, one chunk at a time
+ * @yields {{ group: string, pages: object[] }}
+ */
+async function* iterateGroupPages(shop, jobId) {
+  const cursor = SitePageChunk.find({ shop, job_id: jobId }, { group: 1, pages: 1 })
+    .sort({ group: 1, seq: 1 })
+    .lean()
+    .cursor();
+
+  for await (const chunk of cursor) {
+    yield { group: chunk.group, pages: chunk.pages };
+  }
+}
+
+/**
+ * Find a page of the set by id, gid or URL (the first one given)
+ * @returns {Promise<{ group: string, page: object }|null>}
+ */
+async function findGroupPage(shop, jobId, { id = null, gid = null, url = null }) {
+  const match = id ? { id } : gid ? { gid } : { url };
+  const chunk = await SitePageChunk.findOne(
+    { shop, job_id: jobId, pages: { $elemMatch: match } },
+    { group: 1, pages: { $elemMatch: match } }
+  ).lean();
+
+  return chunk?.pages?.length ? { group: chunk.group, page: chunk.pages[0] } : null;
+}
+
+/**
+ * Add a page to a group (no-op if the group already has it)
+ */
+async function addGroupPage(shop, jobId, group, page) {
+  const size = SitePageChunk.CHUNK_SIZE;
+  if (await SitePageChunk.exists({ shop, job_id: jobId, group, 'pages.id': page.id })) {
+    return;
+  }
+
+  // Any chunk of the group with room left
+  const result = await SitePageChunk.updateOne(
+    { shop, job_id: jobId, group, [`pages.${size - 1}`]: { $exists: false } },
+    { $push: { pages: page } }
+  );
+  if (result.matchedCount) return;
+
+  const last = await SitePageChunk.findOne({ shop, job_id: jobId, group }, { seq: 1 }).sort({ seq: -1 }).lean();
+  await SitePageChunk.create({ shop, job_id: jobId, group, seq: (last?.seq ?? -1) + 1, pages: [page] });
+}
+
+/**
+ * Replace a page in place (`matchId` when its id changes)
+ */
+function updateGroupPage(shop, jobId, group, page, matchId = page.id) {
+  return SitePageChunk.updateOne(
+    { shop, job_id: jobId, group, 'pages.id': matchId },
+    { $set: { 'pages.$': page } }
+  );
+}
+
+/**
+ * Remove a page from a group
+ */
+function removeGroupPage(shop, jobId, group, id) {
+  return SitePageChunk.updateMany(
+    { shop, job_id: jobId, group, 'pages.id': id },
+    { $pull: { pages: { id } } }
+  );
+}
+
+/**
+ * Members of a group, counted from its chunks
+ */
+async function countGroupPages(shop, jobId, group) {
+  const [result] = await SitePageChunk.aggregate([
+    { $match: { shop, job_id: jobId, group } },
+    { $group: { _id: null, count: { $sum: { $size: '$pages' } } } }
+  ]);
+  return result?.count || 0;
+}
+
+/**
+ * The first member of a group (sample fallback)
+ */
+async function firstGroupPage(shop, jobId, group) {
+  const chunk = await SitePageChunk.findOne(
+    { shop, job_id: jobId, group, 'pages.0': { $exists: true } },
+    { pages: { $slice: 1 } }
+  ).sort({ seq: 1 }).lean();
+  return chunk?.pages?.[0] || null;
+}
+
+/**
+ * Drop a group's chunks (its last page left)
+ */
+function deleteGroupPages(shop, jobId, group) {
+  return SitePageChunk.deleteMany({ shop, job_id: jobId, group });
+}
+
+/**
+ * Drop every set but the current one
+ */
+function deleteStalePages(shop, currentJobId) {
+  return SitePageChunk.deleteMany({ shop, job_id: { $ne: currentJobId } });
+}
+
+module.exports = {
+  createGroupPageWriter,
+  iterateGroupPages,
+  findGroupPage,
+  addGroupPage,
+  updateGroupPage,
+  removeGroupPage,
+  countGroupPages,
+  firstGroupPage,
+  deleteGroupPages,
+  deleteStalePages
+};
@@ -0,0 +1,408 @@
+// utils/siteStructureSync.js
+// Incremental updates to template groups from webhooks, so a product or
+// collection change doesn't need a full recrawl. Members are patched in
+// SitePageChunk (utils/sitePages.js); site_structure gets counts and samples.
+
+const ShopModel = require('../models/Shop');
+const WebhookEvent = require('../models/WebhookEvent');
+const { saveSiteAnalysis, schedulePurge } = require('./rlCoreApi');
+const { templateGroupKey, resolveTemplate } = require('./themeTemplates');
+const {
+  findGroupPage,
+  addGroupPage,
+  updateGroupPage,
+  removeGroupPage,
+  countGroupPages,
+  firstGroupPage,
+  deleteGroupPages
+} = require('./sitePages');
+
+const MAX_SUMMARY_ATTEMPTS = 3;
+
+const RESOURCES = {
+  product: { group: 'product', path: 'products' },
+  collection: { group: 'collection', path: 'collections' }
+};
+
+class ConcurrentUpdateError extends Error {
+  constructor(shop) {
+    super(`site_structure for ${shop} changed during update`);
+    this.name = 'ConcurrentUpdateError';
+  }
+}
+
+/**
+ * Map a REST webhook payload to a template-group page entry.
+ * `eligible` mirrors the crawler's filter: only live storefront URLs count.
+ */
+function pageFromPayload(resource, payload) {
+  const { path } = RESOURCES[resource];
+  const isProduct = resource === 'product';
+
+  const eligible = !!payload.handle &&
+    payload.published_at != null &&
+    new Date(payload.published_at) <= new Date() && // scheduled: not live yet
+    (!isProduct || payload.status === undefined || payload.status === 'active');
+
+  return {
+    eligible,
+    template_suffix: payload.template_suffix || null,
+    page: {
+      id: payload.admin_graphql_api_id || `gid://shopify/${isProduct ? 'Product' : 'Collection'}/${payload.id}`,
+      url: `/${path}/${payload.handle}`,
+      title: payload.title,
+      handle: payload.handle
+    }
+  };
+}
+
+function toPlainGroups(templateGroups) {
+  if (!templateGroups) return {};
+  return templateGroups instanceof Map ? Object.fromEntries(templateGroups) : { ...templateGroups };
+}
+
+function plainGroup(group) {
+  if (!group) return null;
+  return group.toObject ? group.toObject() : { ...group };
+}
+
+// Groups rendered by a resource type: 'product', 'product:preorder', ...
+function isGroupOfType(key, group, type) {
+  return group?.template_type ? group.template_type === type : (key === type || key.startsWith(`${type}:`));
+}
+
+function newGroup(resolved, type) {
+  return {
+    template: resolved.template,
+    template_type: type,
+    template_suffix: resolved.template === type ? null : resolved.template.slice(type.length + 1),
+    theme_template_exists: resolved.exists,
+    fallback_from: [],
+    count: 0,
+    sample_page: null,
+    samples: []
+  };
+}
+
+/**
+ * Store counts and samples of the groups a change touched, recounted from
+ * their members. Guarded by site_structure.revision and retried a few times
+ * against concurrent updates.
+ * @param {object} touched - key -> { departed: ids, staleUrls: urls, created: group|null }
+ */
+async function saveGroupSummaries(shop, jobId, type, touched, fallback) {
+  for (let attempt = 1; ; attempt++) {
+    const shopRecord = await ShopModel.findOne({ shop }, { site_structure: 1 });
+    if (!shopRecord?.site_structure) return;
+    const revision = shopRecord.site_structure.revision ?? null;
+    const groups = toPlainGroups(shopRecord.site_structure.template_groups);
+
+    const $set = { 'site_structure.last_incremental_update': new Date() };
+    const $unset = {};
+
+    for (const [key, { departed, staleUrls, created }] of Object.entries(touched)) {
+      const prefix = `site_structure.template_groups.${key}`;
+      const group = plainGroup(groups[key]) || created;
+      const count = await countGroupPages(shop, jobId, key);
+
+      // Suffix groups disappear when their last page leaves; base groups stay
+      if (count === 0 && key !== type) {
+        $unset[prefix] = '';
+        delete groups[key];
+        await deleteGroupPages(shop, jobId, key);
+        continue;
+      }
+
+      // Departed pages leave the samples; new ones wait for the next crawl's selection
+      const samples = (group.samples || []).filter(sample => !departed.includes(sample.id));
+      const samplePage = group.sample_page && !staleUrls.includes(group.sample_page)
+        ? group.sample_page
+        : (samples[0]?.url || (await firstGroupPage(shop, jobId, key))?.url || null);
+
+      if (groups[key]) {
+        $set[`${prefix}.count`] = count;
+        $set[`${prefix}.sample_page`] = samplePage;
+        $set[`${prefix}.samples`] = samples;
+        if (fallback?.key === key) {
+          $set[`${prefix}.fallback_from`] = [...new Set([...(group.fallback_from || []), fallback.from])];
+        }
+      } else {
+        $set[prefix] = {
+          ...group,
+          count,
+          sample_page: samplePage,
+          samples,
+          ...(fallback?.key === key ? { fallback_from: [fallback.from] } : {})
+        };
+      }
+      groups[key] = { ...group, count };
+    }
+
+    $set['site_structure.total_pages'] = Object.values(groups).reduce((sum, g) => sum + (g.count || 0), 0);
+
+    const result = await ShopModel.updateOne(
+      { shop, 'site_structure.revision': revision },
+      {
+        $set,
+        ...(Object.keys($unset).length ? { $unset } : {}),
+        $inc: { 'site_structure.revision': 1 }
+      }
+    );
+
+    if (result.matchedCount > 0) return;
+    if (attempt >= MAX_SUMMARY_ATTEMPTS) throw new ConcurrentUpdateError(shop);
+  }
+}
+
+// Where a page of the change is stored. Sitemap crawls key pages by path
+// and know no Admin API id, so those are matched by gid (learned from an
+// earlier webhook) or by URL.
+async function findChangedPage(shop, jobId, change) {
+  return await findGroupPage(shop, jobId, { id: change.id }) ||
+    await findGroupPage(shop, jobId, { gid: change.id }) ||
+    (change.url ? await findGroupPage(shop, jobId, { url: change.url }) : null);
+}
+
+/**
+ * Work out one resource change against the current template groups. A
+ * changed templateSuffix moves the page to the group of the template it now
+ * renders with. Nothing is written: the plan is plain data, so it can be
+ * stored and replayed (see applyPlannedChange).
+ * @param {string} shop
+ * @param {string} resource - 'product' | 'collection'
+ * @param {object} change - { id, url?, page?, eligible?, template_suffix? } (no page = deleted)
+ * @returns {Promise<object|null>} { job_id, type, delta, ops, touched, fallback },
+ *   null when the shop has no site structure or nothing changed
+ */
+async function planResourceChange(shop, resource, change) {
+  const { group: type } = RESOURCES[resource];
+
+  const shopRecord = await ShopModel.findOne({ shop });
+  const structure = shopRecord?.site_structure;
+  if (!structure?.template_groups || !structure.pages_job_id) {
+    // Never crawled (or not since members moved out of the Shop): the next crawl will pick this up
+    console.log(`[SiteSync] No site structure for ${shop} yet, skipping ${resource} change`);
+    return null;
+  }
+
+  const jobId = structure.pages_job_id;
+  const keyedByUrl = structure.pages_source === 'sitemap';
+  const themeTemplates = structure.theme_templates?.length ? structure.theme_templates : null;
+  const groups = toPlainGroups(structure.template_groups);
+  const delta = { template: type, added: [], removed: [], changed: [] };
+
+  // Where the page is now
+  const found = await findChangedPage(shop, jobId, change);
+  const sourceKey = found && isGroupOfType(found.group, groups[found.group], type) ? found.group : null;
+  const existing = sourceKey ? found.page : null;
+
+  // Where it belongs
+  const resolved = resolveTemplate(type, change.template_suffix, themeTemplates);
+  const targetKey = templateGroupKey(resolved.template);
+  delta.template = resolved.template;
+
+  const touched = {};
+  const touch = key => (touched[key] ||= {
+    departed: [],
+    staleUrls: [],
+    created: groups[key] ? null : newGroup(resolved, type)
+  });
+  const ops = [];
+
+  if (change.page && change.eligible) {
+    // Keyed the way the crawl that wrote the set keys it
+    const page = keyedByUrl || existing?.id.startsWith('url:')
+      ? { ...change.page, id: `url:${change.page.url}`, gid: change.id }
+      : { ...change.page };
+    const key = existing?.id || page.id;
+
+    if (!existing) {
+      touch(targetKey);
+      ops.push({ op: 'add', group: targetKey, page });
+      delta.added.push(page);
+    } else if (sourceKey !== targetKey) {
+      Object.assign(touch(sourceKey), { departed: [existing.id], staleUrls: [existing.url] });
+      touch(targetKey);
+      ops.push(
+        { op: 'remove', group: sourceKey, id: existing.id },
+        { op: 'add', group: targetKey, page }
+      );
+      delta.changed.push({
+        id: key,
+        previous: { url: existing.url, handle: existing.handle, title: existing.title, template: groups[sourceKey]?.template || sourceKey },
+        current: { url: page.url, handle: page.handle, title: page.title, template: resolved.template }
+      });
+    } else if (existing.handle !== page.handle || existing.title !== page.title || existing.id !== page.id || existing.gid !== page.gid) {
+      if (existing.url !== page.url) touch(targetKey).staleUrls.push(existing.url);
+      if (existing.id !== page.id) touch(targetKey).departed.push(existing.id);
+      ops.push({ op: 'update', group: targetKey, page, match_id: existing.id });
+      if (existing.handle !== page.handle || existing.title !== page.title) {
+        delta.changed.push({
+          id: key,
+          previous: { url: existing.url, handle: existing.handle, title: existing.title },
+          current: { url: page.url, handle: page.handle, title: page.title }
+        });
+      }
+    }
+  } else if (existing) {
+    // Deleted, archived, drafted or unpublished
+    Object.assign(touch(sourceKey), { departed: [existing.id], staleUrls: [existing.url] });
+    ops.push({ op: 'remove', group: sourceKey, id: existing.id });
+    delta.removed.push(existing);
+    delta.template = groups[sourceKey]?.template || sourceKey;
+  }
+
+  if (!ops.length) return null;
+
+  const fallback = resolved.fallback_from && touched[targetKey] ? { key: targetKey, from: resolved.fallback_from } : null;
+  return { job_id: jobId, type, delta, ops, touched, fallback };
+}
+
+/**
+ * Write a planned change: members in SitePageChunk, then counts and samples
+ * on the Shop. Every op is idempotent (add skips a page already there,
+ * update and remove match by id), so a retry can replay the same plan.
+ * @param {string} shop
+ * @param {object} plan - from planResourceChange
+ * @returns {Promise<boolean>} false when a crawl replaced the set the plan was made against
+ */
+async function applyPlannedChange(shop, plan) {
+  const jobId = plan.job_id;
+  if (!await ShopModel.exists({ shop, 'site_structure.pages_job_id': jobId })) {
+    return false;
+  }
+
+  for (const { op, group, page, id, match_id: matchId } of plan.ops) {
+    if (op === 'add') await addGroupPage(shop, jobId, group, page);
+    else if (op === 'update') await updateGroupPage(shop, jobId, group, page, matchId);
+    else if (op === 'remove') await removeGroupPage(shop, jobId, group, id);
+  }
+
+  if (Object.keys(plan.touched).length) {
+    await saveGroupSummaries(shop, jobId, plan.type, plan.touched, plan.fallback);
+  } else {
+    await ShopModel.updateOne(
+      { shop },
+      { $set: { 'site_structure.last_incremental_update': new Date() }, $inc: { 'site_structure.revision': 1 } }
+    );
+  }
+  return true;
+}
+
+/**
+ * Apply one resource change to its template group (plan, then write)
+ * @returns {Promise<object>} delta { template, added, removed, changed }
+ */
+async function applyResourceChange(shop, resource, change) {
+  const plan = await planResourceChange(shop, resource, change);
+  if (plan) {
+    await applyPlannedChange(shop, plan);
+  }
+  return plan?.delta || emptyDelta(RESOURCES[resource].group);
+}
+
+function emptyDelta(template) {
+  return { template, added: [], removed: [], changed: [] };
+}
+
+/**
+ * Push a delta to RL Core and queue purge / re-optimization of affected URLs
+ * @param {object} [options]
+ * @param {string} [options.source] - 'webhook' | 'crawl'
+ * @param {object} [options.site] - site-level fields sent alongside (crawl deltas)
+ * @returns {Promise<object|undefined>} RL Core's answer, undefined if not connected
+ * @throws when RL Core rejects the delta or the purge request
+ */
+async function pushDeltaToCore(shop, delta, { source = 'webhook', site = null } = {}) {
+  const shopRecord = await ShopModel.findOne({ shop });
+  if (!shopRecord?.api_token) {
+    console.log(`[SiteSync] Skipping RL Core delta for ${shop} - RabbitLoader not connected`);
+    return;
+  }
+
+  const result = await saveSiteAnalysis(shop, shopRecord.api_token, {
+    mode: 'delta',
+    source,
+    delta,
+    ...(site ? { site_data: site } : {})
+  });
+  if (!result || result.ok === false) {
+    throw new Error(`RL Core rejected ${source} delta: ${result?.error || 'no response'}`);
+  }
+
+  // RL Core caches pages under the primary domain visitors use (like utils/analysisQueue.js)
+  const host = shopRecord.shopInfo?.domain || shop;
+  const fullUrl = path => `https://${host}${path}`;
+  const purge = [
+    ...delta.removed.map(p => fullUrl(p.url)),
+    ...delta.changed.filter(c => c.previous.url !== c.current.url).map(c => fullUrl(c.previous.url))
+  ];
+  const reoptimize = [
+    ...delta.added.map(p => fullUrl(p.url)),
+    ...delta.changed.map(c => fullUrl(c.current.url))
+  ];
+
+  if (purge.length || reoptimize.length) {
+    const purgeResult = await schedulePurge(shop, shopRecord.api_token, { purge, reoptimize });
+    if (!purgeResult || purgeResult.ok === false) {
+      throw new Error(`RL Core purge request failed: ${purgeResult?.error || 'no response'}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Webhook entry point: create/update/delete for products and collections
+ * @param {object} event - WebhookEvent
+ */
+async function handleResourceWebhook(event) {
+  const [topicResource, action] = event.topic.split('/');
+  const resource = topicResource === 'products' ? 'product' : 'collection';
+  const payload = event.payload || {};
+
+  let change;
+  if (action === 'delete') {
+    const { page } = pageFromPayload(resource, { ...payload, handle: payload.handle || '' });
+    // Delete payloads rarely carry the handle; without it a path-keyed page is found by gid only
+    change = { id: page.id, url: payload.handle ? page.url : null };
+  } else {
+    const { page, eligible, template_suffix } = pageFromPayload(resource, payload);
+    change = { id: page.id, url: page.url, page, eligible, template_suffix };
+  }
+
+  // The plan is stored on the event before anything is written: if the
+  // save or the RL Core push fails, the retry replays it instead of finding
+  // the change already applied and nothing left to send
+  let plan = event.site_change;
+  if (plan && !await applyPlannedChange(event.shop, plan)) {
+    plan = null; // a crawl replaced the set in between; plan against the new one
+  }
+  if (!plan) {
+    plan = await planResourceChange(event.shop, resource, change);
+    if (plan) {
+      await WebhookEvent.updateOne({ _id: event._id }, { $set: { site_change: plan } });
+      await applyPlannedChange(event.shop, plan);
+    }
+  }
+
+  // RL Core last: it only hears about changes that are saved here
+  const delta = plan?.delta || emptyDelta(RESOURCES[resource].group);
+  if (delta.added.length || delta.removed.length || delta.changed.length) {
+    await pushDeltaToCore(event.shop, delta);
+  }
+
+  console.log(`[SiteSync] ${event.topic} for ${event.shop}: +${delta.added.length} -${delta.removed.length} ~${delta.changed.length}`);
+
+  return delta;
+}
+
+module.exports = {
+  planResourceChange,
+  applyPlannedChange,
+  applyResourceChange,
+  pageFromPayload,
+  pushDeltaToCore,
+  handleResourceWebhook,
+  ConcurrentUpdateError
+};
@@ -0,0 +1,297 @@
+// utils/sitemapDiscovery.js
+// Storefront sitemap.xml as a crawl source, and the diff against the Admin API crawl.
+//
+// Sitemaps are streamed: <loc> entries are pulled out chunk by chunk, so a
+// 50k-URL product sitemap is never held in memory as one string.
+
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_CHILD_SITEMAPS = 200;
+// Child sitemaps we read (Shopify names them sitemap_<type>_<n>.xml)
+const CHILD_SITEMAP_TYPES = ['products', 'collections', 'pages', 'blogs'];
+// Sitemap entries are on the storefront; items are keyed like the Admin API crawl
+const RESOURCE_KEYS = ['products', 'collections', 'pages', 'blogs', 'articles'];
+// URLs listed per resource in a sitemap report (the CrawlJob holds it)
+const REPORT_LIST_LIMIT = 500;
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Stream a sitemap and call onLoc for every <loc>.
+ * @returns {Promise<{ isIndex: boolean, count: number }>}
+ */
+async function streamSitemapLocs(url, onLoc) {
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: 5,
+    headers: { 'User-Agent': 'RabbitLoader-Crawler/1.0' }
+  });
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let isIndex = null;
+    let count = 0;
+    const locPattern = /<loc>\s*([^<]*?)\s*<\/loc>/g;
+
+    response.data.setEncoding('utf8');
+
+    response.data.on('data', chunk => {
+      buffer += chunk;
+
+      if (isIndex === null) {
+        if (buffer.includes('<sitemapindex')) isIndex = true;
+        else if (buffer.includes('<urlset')) isIndex = false;
+      }
+
+      let match;
+      let consumed = 0;
+      locPattern.lastIndex = 0;
+      while ((match = locPattern.exec(buffer)) !== null) {
+        count++;
+        onLoc(decodeXmlEntities(match[1]));
+        consumed = locPattern.lastIndex;
+      }
+
+      // Keep only what may hold a <loc> split across chunks
+      buffer = buffer.slice(consumed);
+      const openTag = buffer.lastIndexOf('<loc');
+      buffer = openTag >= 0 ? buffer.slice(openTag) : buffer.slice(-8);
+    });
+
+    response.data.on('end', () => resolve({ isIndex: !!isIndex, count }));
+    response.data.on('error', reject);
+  });
+}
+
+/**
+ * Map a storefront URL to the crawl resource it belongs to.
+ * @returns {{ resource: string, item: object }|null}
+ */
+function classifySitemapUrl(loc) {
+  let parsed;
+  try {
+    parsed = new URL(loc);
+  } catch {
+    return null;
+  }
+
+  let segments;
+  try {
+    segments = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  // Decoded, like the catalog's `/products/${handle}` (handles can be non-ASCII)
+  const path = `/${segments.join('/')}`;
+  // No Admin API id from a sitemap; the path is stable enough to key on
+  const item = (handle, extra = {}) => ({
+    id: `url:${path}`,
+    handle,
+    title: null,
+    url: path,
+    full_url: `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`,
+    ...extra
+  });
+
+  if (segments[0] === 'products' && segments.length === 2) {
+    return { resource: 'products', item: item(segments[1]) };
+  }
+  if (segments[0] === 'collections' && segments.length === 2) {
+    return { resource: 'collections', item: item(segments[1]) };
+  }
+  if (segments[0] === 'pages' && segments.length === 2) {
+    return { resource: 'pages', item: item(segments[1]) };
+  }
+  if (segments[0] === 'blogs' && segments.length === 2) {
+    return { resource: 'blogs', item: item(segments[1]) };
+  }
+  if (segments[0] === 'blogs' && segments.length === 3) {
+    return { resource: 'articles', item: item(segments[2], { blog_handle: segments[1] }) };
+  }
+  return null;
+}
+
+/**
+ * Child sitemaps listed by the storefront's sitemap index
+ * @param {string} baseUrl - e.g. https://shop.com
+ * @returns {Promise<string[]>}
+ */
+async function listChildSitemaps(baseUrl) {
+  const children = [];
+  const { isIndex } = await streamSitemapLocs(`${baseUrl.replace(/\/+$/, '')}/sitemap.xml`, loc => {
+    children.push(loc);
+  });
+
+  if (!isIndex) {
+    // A flat urlset: treat the root itself as the only child
+    return [`${baseUrl.replace(/\/+$/, '')}/sitemap.xml`];
+  }
+
+  return children
+    .filter(loc => CHILD_SITEMAP_TYPES.some(type => loc.includes(`sitemap_${type}_`)))
+    .slice(0, MAX_CHILD_SITEMAPS);
+}
+
+/**
+ * Read one child sitemap into items grouped by resource
+ * @returns {Promise<{ items: object, count: number }>}
+ */
+async function readChildSitemap(url) {
+  const items = Object.fromEntries(RESOURCE_KEYS.map(key => [key, []]));
+  const seen = new Set();
+  let count = 0;
+
+  await streamSitemapLocs(url, loc => {
+    const classified = classifySitemapUrl(loc);
+    if (!classified || seen.has(classified.item.url)) return;
+    seen.add(classified.item.url);
+    items[classified.resource].push(classified.item);
+    count++;
+  });
+
+  return { items, count };
+}
+
+/**
+ * Whole-sitemap discovery (fixture checks, diffing)
+ * @returns {Promise<object>} items keyed by resource, like a crawl's items
+ */
+async function discoverSitemapUrls(baseUrl) {
+  const items = Object.fromEntries(RESOURCE_KEYS.map(key => [key, []]));
+  const seen = new Set();
+
+  for (const child of await listChildSitemaps(baseUrl)) {
+    const result = await readChildSitemap(child);
+    for (const key of RESOURCE_KEYS) {
+      for (const item of result.items[key]) {
+        if (seen.has(item.url)) continue;
+        seen.add(item.url);
+        items[key].push(item);
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Storefront sitemap URLs by resource, read one child sitemap at a time
+ * @returns {Promise<object>} resource -> Map(url -> full_url)
+ */
+async function collectSitemapUrls(baseUrl) {
+  const urls = Object.fromEntries(RESOURCE_KEYS.map(key => [key, new Map()]));
+
+  for (const child of await listChildSitemaps(baseUrl)) {
+    await streamSitemapLocs(child, loc => {
+      const classified = classifySitemapUrl(loc);
+      if (classified) {
+        urls[classified.resource].set(classified.item.url, classified.item.full_url);
+      }
+    });
+  }
+
+  return urls;
+}
+
+/**
+ * Compare sitemap URLs with the Admin API catalog, per resource. The
+ * catalog is fed a chunk at a time, so only the sitemap's URLs are held.
+ * Listed URLs stop at listLimit per resource (`truncated`); totals are exact.
+ * @param {object} sitemapUrls - collectSitemapUrls() result (consumed)
+ * @returns {{ addCatalogItems: function(string, object[]): void, finish: function(): object }}
+ *   finish() gives { totals, missing_from_sitemap, not_in_catalog, truncated }
+ */
+function createSitemapDiff(sitemapUrls, { listLimit = REPORT_LIST_LIMIT } = {}) {
+  const report = {
+    totals: { sitemap: 0, catalog: 0, missing_from_sitemap: 0, not_in_catalog: 0 },
+    missing_from_sitemap: Object.fromEntries(RESOURCE_KEYS.map(key => [key, []])),
+    not_in_catalog: Object.fromEntries(RESOURCE_KEYS.map(key => [key, []])),
+    truncated: false
+  };
+  const list = (target, entry) => {
+    if (target.length < listLimit) target.push(entry);
+    else report.truncated = true;
+  };
+
+  for (const key of RESOURCE_KEYS) {
+    report.totals.sitemap += sitemapUrls[key]?.size || 0;
+  }
+
+  return {
+    addCatalogItems(key, items) {
+      const urls = sitemapUrls[key];
+      if (!urls) return;
+
+      for (const item of items) {
+        report.totals.catalog++;
+        if (urls.has(item.url)) {
+          urls.set(item.url, null); // matched
+          continue;
+        }
+        report.totals.missing_from_sitemap++;
+        list(report.missing_from_sitemap[key], { id: item.id, url: item.url, title: item.title });
+      }
+    },
+
+    finish() {
+      for (const key of RESOURCE_KEYS) {
+        for (const [url, fullUrl] of sitemapUrls[key] || []) {
+          if (fullUrl === null) continue;
+          report.totals.not_in_catalog++;
+          list(report.not_in_catalog[key], { url, full_url: fullUrl });
+        }
+      }
+      return report;
+    }
+  };
+}
+
+/**
+ * Whole-list form of createSitemapDiff (fixture checks)
+ * @param {object} sitemapItems - discoverSitemapUrls() result
+ * @param {object} catalogItems - items by resource from an Admin API crawl
+ */
+function diffSitemapAgainstCatalog(sitemapItems, catalogItems) {
+  const sitemapUrls = Object.fromEntries(RESOURCE_KEYS.map(key => [
+    key,
+    new Map((sitemapItems[key] || []).map(i => [i.url, i.full_url]))
+  ]));
+  const diff = createSitemapDiff(sitemapUrls, { listLimit: Infinity });
+  for (const key of RESOURCE_KEYS) {
+    diff.addCatalogItems(key, catalogItems[key] || []);
+  }
+  return diff.finish();
+}
+
+/**
+ * Storefront origin to read sitemaps from. SITEMAP_BASE_URL points every
+ * shop at one host (local fixture server).
+ */
+function sitemapBaseUrl(shopRecord) {
+  if (process.env.SITEMAP_BASE_URL) {
+    return process.env.SITEMAP_BASE_URL.replace(/\/+$/, '');
+  }
+  return `https://${shopRecord.shopInfo?.domain || shopRecord.shop}`;
+}
+
+module.exports = {
+  RESOURCE_KEYS,
+  streamSitemapLocs,
+  classifySitemapUrl,
+  listChildSitemaps,
+  readChildSitemap,
+  discoverSitemapUrls,
+  collectSitemapUrls,
+  createSitemapDiff,
+  diffSitemapAgainstCatalog,
+  sitemapBaseUrl
+};
@@ -0,0 +1,196 @@
+// utils/storefrontLocales.js
+// Markets- and locale-aware URLs for crawled template groups.
+//
+// Every market web presence exposes one root URL per locale it serves
+// (https://shop.com/, https://shop.com/fr/, https://shop.ca/en-ca/ ...).
+// Each template group gets its sample page under every non-primary root,
+// with the handle translated when Translate & Adapt has a translation.
+
+const { shopifyGraphQL } = require('./shopifyApi');
+const { getMissingScopes, resolveGrantedScopes, OPTIONAL_SCOPES } = require('./scopes');
+
+const TRANSLATION_BATCH_SIZE = 250;
+
+// Crawler ids that aren't GraphQL ids yet
+function toResourceGid(id) {
+  if (typeof id !== 'string') return null;
+  if (id.startsWith('gid://')) return id;
+  const page = /^page_(\d+)$/.exec(id);
+  return page ? `gid://shopify/OnlineStorePage/${page[1]}` : null;
+}
+
+function throwIfExpired(response) {
+  if (!response.ok && response.error === "TOKEN_EXPIRED") {
+    throw new Error('TOKEN_EXPIRED');
+  }
+}
+
+/**
+ * Storefront root URLs across enabled markets, restricted to published locales.
+ * @returns {Promise<Array<{ market, market_handle, primary_market, locale, primary, url }>>}
+ */
+async function fetchStorefrontRoots(shop) {
+  const response = await shopifyGraphQL(shop, `
+    query StorefrontRoots {
+      shopLocales(published: true) {
+        locale
+        primary
+      }
+      markets(first: 50) {
+        nodes {
+          name
+          handle
+          enabled
+          primary
+          webPresence {
+            defaultLocale {
+              locale
+            }
+            rootUrls {
+              locale
+              url
+            }
+          }
+        }
+      }
+    }
+  `);
+  throwIfExpired(response);
+
+  const published = new Set((response.data?.shopLocales || []).map(l => l.locale));
+  const primaryLocale = (response.data?.shopLocales || []).find(l => l.primary)?.locale;
+  const roots = [];
+
+  for (const market of response.data?.markets?.nodes || []) {
+    if (!market.enabled || !market.webPresence) continue;
+
+    for (const root of market.webPresence.rootUrls || []) {
+      if (published.size && !published.has(root.locale)) continue;
+
+      roots.push({
+        market: market.name,
+        market_handle: market.handle,
+        primary_market: !!market.primary,
+        locale: root.locale,
+        // The storefront a visitor gets with no market/locale prefix
+        primary: !!market.primary && root.locale === primaryLocale,
+        url: root.url.endsWith('/') ? root.url : `${root.url}/`
+      });
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Translated handles for resources in one locale
+ * @returns {Promise<Map<string, string>>} resource gid -> handle
+ */
+async function fetchTranslatedHandles(shop, resourceIds, locale) {
+  const handles = new Map();
+
+  for (let i = 0; i < resourceIds.length; i += TRANSLATION_BATCH_SIZE) {
+    const batch = resourceIds.slice(i, i + TRANSLATION_BATCH_SIZE);
+    const response = await shopifyGraphQL(shop, `
+      query TranslatedHandles($ids: [ID!]!, $locale: String!) {
+        translatableResourcesByIds(first: ${TRANSLATION_BATCH_SIZE}, resourceIds: $ids) {
+          nodes {
+            resourceId
+            translations(locale: $locale) {
+              key
+              value
+            }
+          }
+        }
+      }
+    `, { ids: batch, locale });
+    throwIfExpired(response);
+
+    for (const node of response.data?.translatableResourcesByIds?.nodes || []) {
+      const handle = node.translations.find(t => t.key === 'handle')?.value;
+      if (handle) handles.set(node.resourceId, handle);
+    }
+  }
+
+  return handles;
+}
+
+// '/products/shirt' + translated 'chemise' -> 'products/chemise'
+function localizedPath(url, translatedHandle) {
+  const path = url.replace(/^\//, '');
+  if (!translatedHandle || !path) return path;
+  const segments = path.split('/');
+  segments[segments.length - 1] = translatedHandle;
+  return segments.join('/');
+}
+
+/**
+ * Add `locale_variants` to every group's sample page (mutates templateGroups).
+ * Skipped, with the reason returned, when the optional scopes aren't granted.
+ * @param {object} shopRecord
+ * @param {object} templateGroups - from groupCrawledItems (utils/siteCrawler.js)
+ * @returns {Promise<object>} summary stored as site_structure.localization
+ */
+async function addLocaleVariants(shopRecord, templateGroups) {
+  const { shop } = shopRecord;
+  const granted = await resolveGrantedScopes(shopRecord);
+  const missing = getMissingScopes(granted, OPTIONAL_SCOPES.localization);
+
+  if (missing.length) {
+    console.log(`[Locales] Skipping localized variants for ${shop}, missing scopes: ${missing.join(', ')}`);
+    return { enabled: false, missing_scopes: missing, roots: [] };
+  }
+
+  const roots = await fetchStorefrontRoots(shop);
+  const alternates = roots.filter(root => !root.primary);
+  const primaryRoot = roots.find(root => root.primary) || null;
+
+  const samples = Object.values(templateGroups)
+    .map(group => ({ group, page: (group.samples || []).find(p => p.url === group.sample_page) }))
+    .filter(({ page }) => page);
+
+  // One translation lookup per locale, for sample pages only
+  const ids = [...new Set(samples.map(({ page }) => toResourceGid(page.id)).filter(Boolean))];
+  const locales = [...new Set(alternates.map(root => root.locale))];
+  const translations = {};
+  for (const locale of locales) {
+    translations[locale] = ids.length ? await fetchTranslatedHandles(shop, ids, locale) : new Map();
+  }
+
+  let variantCount = 0;
+  for (const { group, page } of samples) {
+    const gid = toResourceGid(page.id);
+
+    group.locale_variants = alternates.map(root => {
+      const translatedHandle = gid ? translations[root.locale].get(gid) : null;
+      const fullUrl = `${root.url}${localizedPath(page.url, translatedHandle)}`;
+      return {
+        market: root.market,
+        locale: root.locale,
+        url: new URL(fullUrl).pathname,
+        full_url: fullUrl,
+        handle: translatedHandle || page.handle,
+        translated: !!translatedHandle
+      };
+    });
+
+    if (primaryRoot) {
+      group.sample_full_url = `${primaryRoot.url}${localizedPath(page.url, null)}`;
+    }
+    variantCount += group.locale_variants.length;
+  }
+
+  console.log(`[Locales] ✅ ${variantCount} localized variants across ${locales.length} locale(s) for ${shop}`);
+  return {
+    enabled: true,
+    primary_url: primaryRoot?.url || null,
+    locales,
+    roots
+  };
+}
+
+module.exports = {
+  addLocaleVariants,
+  fetchStorefrontRoots,
+  fetchTranslatedHandles
+};
@@ -0,0 +1,124 @@
+// utils/themeTemplates.js
+// Theme template names (product, product.preorder, ...) and how they map to
+// site_structure.template_groups keys.
+//
+// Mongoose maps can't hold keys containing '.', so the template
+// `product.preorder` is stored under the group key `product:preorder`.
+
+const { shopifyRequest } = require('./shopifyApi');
+
+const GROUP_KEY_SEPARATOR = ':';
+
+/**
+ * Template name for a resource type and its templateSuffix
+ * @param {string} type - e.g. 'product'
+ * @param {string} [suffix] - e.g. 'preorder'
+ * @returns {string} e.g. 'product.preorder'
+ */
+function templateName(type, suffix) {
+  return suffix ? `${type}.${suffix}` : type;
+}
+
+function templateGroupKey(template) {
+  return template.split('.').join(GROUP_KEY_SEPARATOR);
+}
+
+/**
+ * Reverse of templateGroupKey: 'product:preorder' -> { template, type, suffix }
+ */
+function parseGroupKey(key) {
+  const [type, ...rest] = key.split(GROUP_KEY_SEPARATOR);
+  const suffix = rest.length ? rest.join('.') : null;
+  return { template: templateName(type, suffix), type, suffix };
+}
+
+/**
+ * Template names defined in a theme, from its templates/*.json|liquid assets.
+ * Customer templates (templates/customers/*) are skipped.
+ * @returns {Promise<string[]|null>} null if the theme couldn't be read
+ */
+async function fetchThemeTemplates(shop, themeId) {
+  try {
+    const result = await shopifyRequest(shop, `themes/${themeId}/assets.json?fields=key`);
+    if (!result.ok) {
+      return null;
+    }
+
+    const names = new Set();
+    for (const { key } of result.assets || []) {
+      const match = /^templates\/([^/]+)\.(json|liquid)$/.exec(key);
+      if (match) names.add(match[1]);
+    }
+    return [...names].sort();
+  } catch (error) {
+    console.warn(`[Templates] Could not list templates for ${shop} theme ${themeId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Number of enabled sections in each JSON template (Online Store 2.0).
+ * Liquid templates, and ones that can't be read, map to null.
+ * @param {string[]} templates - template names, e.g. ['product', 'product.preorder']
+ * @returns {Promise<object>} template name -> count | null
+ */
+async function fetchTemplateSectionCounts(shop, themeId, templates) {
+  const counts = Object.fromEntries(templates.map(template => [template, null]));
+
+  try {
+    const listing = await shopifyRequest(shop, `themes/${themeId}/assets.json?fields=key`);
+    if (!listing.ok) return counts;
+    const jsonKeys = new Set((listing.assets || []).map(asset => asset.key));
+
+    for (const template of templates) {
+      const key = `templates/${template}.json`;
+      if (!jsonKeys.has(key)) continue;
+
+      const result = await shopifyRequest(shop, `themes/${themeId}/assets.json?asset[key]=${key}`);
+      if (!result.ok || !result.asset?.value) continue;
+
+      // Shopify prepends a /* ... */ notice to generated JSON templates
+      const json = JSON.parse(result.asset.value.replace(/^\s*\/\*[\s\S]*?\*\//, ''));
+      counts[template] = (json.order || []).filter(id => !json.sections?.[id]?.disabled).length;
+    }
+  } catch (error) {
+    console.warn(`[Templates] Could not count sections for ${shop} theme ${themeId}:`, error.message);
+  }
+
+  return counts;
+}
+
+/**
+ * The template Shopify actually renders for a resource. A suffix whose
+ * template file is missing from the theme falls back to the default.
+ * @param {string} type
+ * @param {string} [suffix]
+ * @param {string[]|null} themeTemplates - null = theme unknown, trust the suffix
+ * @returns {{ template: string, exists: boolean|null, fallback_from: string|null }}
+ */
+function resolveTemplate(type, suffix, themeTemplates) {
+  const requested = templateName(type, suffix);
+
+  if (!themeTemplates) {
+    return { template: requested, exists: null, fallback_from: null };
+  }
+
+  if (themeTemplates.includes(requested)) {
+    return { template: requested, exists: true, fallback_from: null };
+  }
+
+  if (suffix) {
+    return { template: type, exists: themeTemplates.includes(type), fallback_from: requested };
+  }
+
+  return { template: type, exists: false, fallback_from: null };
+}
+
+module.exports = {
+  templateName,
+  templateGroupKey,
+  parseGroupKey,
+  fetchThemeTemplates,
+  fetchTemplateSectionCounts,
+  resolveTemplate
+};
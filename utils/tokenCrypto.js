@@ -0,0 +1,128 @@
+// utils/tokenCrypto.js
+// Field-level AES-256-GCM encryption for credentials stored in Mongo
+//
+// Stored format:  enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>   (base64url parts)
+//
+// Keys come from TOKEN_ENCRYPTION_KEYS, a comma-separated list of
+// `<keyId>:<base64 32-byte key>`. New values are written with
+// TOKEN_ENCRYPTION_KEY_ID (defaults to the last key listed); older key ids
+// stay readable so keys can be rotated with the migration script.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let keyring = null;
+
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!raw) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+
+  const keys = new Map();
+  raw.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || !/^[A-Za-z0-9_-]+$/.test(keyId)) {
+      throw new Error(`Invalid key id in TOKEN_ENCRYPTION_KEYS: "${entry.slice(0, separator)}"`);
+    }
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${keyId}" must be 32 bytes (got ${key.length})`);
+    }
+    keys.set(keyId, key);
+  });
+
+  const currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || Array.from(keys.keys()).pop();
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${currentKeyId}" not found in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, currentKeyId };
+  return keyring;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:${FORMAT_VERSION}:`);
+}
+
+/**
+ * Encrypt a credential with the current key.
+ * Empty values and values that are already encrypted are returned unchanged.
+ */
+function encryptToken(value) {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys, currentKeyId } = loadKeyring();
+  const header = `${PREFIX}:${FORMAT_VERSION}:${currentKeyId}`;
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  cipher.setAAD(Buffer.from(header));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [
+    header,
+    iv.toString('base64url'),
+    authTag.toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored credential.
+ * Plaintext values written before encryption was enabled pass through as-is.
+ * @throws {Error} When the key id is unknown or the ciphertext was tampered with
+ */
+function decryptToken(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const parts = value.split(':');
+  if (parts.length !== 6) {
+    throw new Error('Malformed encrypted token');
+  }
+
+  const [prefix, version, keyId, iv, authTag, ciphertext] = parts;
+  const { keys } = loadKeyring();
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key id: ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(`${prefix}:${version}:${keyId}`));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * True when a stored value is plaintext or uses a key other than the current one
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[2] !== loadKeyring().currentKeyId;
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  needsReencryption
+};
@@ -0,0 +1,118 @@
+// utils/tokenExchange.js
+// Trades an App Bridge session token for Shopify access tokens
+// (managed installation; no OAuth redirect needed) and refreshes
+// expiring offline tokens
+
+const TOKEN_EXCHANGE_GRANT = 'urn:ietf:params:oauth:grant-type:token-exchange';
+const ID_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:id_token';
+
+const TOKEN_TYPES = {
+  offline: 'urn:shopify:params:oauth:token-type:offline-access-token',
+  online: 'urn:shopify:params:oauth:token-type:online-access-token'
+};
+
+/**
+ * Exchange a session token for an access token
+ * @param {string} shop - Verified shop domain (from the session token's dest)
+ * @param {string} sessionToken - Raw session token JWT
+ * @param {string} accessMode - 'offline' or 'online'
+ * @returns {Promise<object>} Shopify token response (access_token, scope, ...)
+ */
+async function exchangeSessionToken(shop, sessionToken, accessMode = 'offline') {
+  const requestedTokenType = TOKEN_TYPES[accessMode];
+  if (!requestedTokenType) {
+    throw new Error(`Unknown access mode: ${accessMode}`);
+  }
+
+  console.log(`[TokenExchange] Requesting ${accessMode} token for ${shop}`);
+
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify({
+      client_id: process.env.SHOPIFY_API_KEY,
+      client_secret: process.env.SHOPIFY_API_SECRET,
+      grant_type: TOKEN_EXCHANGE_GRANT,
+      subject_token: sessionToken,
+      subject_token_type: ID_TOKEN_TYPE,
+      requested_token_type: requestedTokenType,
+      // Ask for an expiring offline token + refresh token
+      ...(accessMode === 'offline' ? { expiring: '1' } : {})
+    })
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Token exchange failed: ${response.status} - ${body}`);
+  }
+
+  const tokenData = await response.json();
+  if (!tokenData.access_token) {
+    throw new Error('Token exchange returned no access_token');
+  }
+
+  return tokenData;
+}
+
+/**
+ * Trade a refresh token for a new access token (the refresh token rotates)
+ * @param {string} shop - Shop domain
+ * @param {string} refreshToken - Plaintext refresh token
+ * @returns {Promise<object>} Shopify token response
+ */
+async function refreshAccessToken(shop, refreshToken) {
+  console.log(`[TokenRefresh] Refreshing offline token for ${shop}`);
+
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify({
+      client_id: process.env.SHOPIFY_API_KEY,
+      client_secret: process.env.SHOPIFY_API_SECRET,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    })
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Token refresh failed: ${response.status} - ${body}`);
+  }
+
+  const tokenData = await response.json();
+  if (!tokenData.access_token) {
+    throw new Error('Token refresh returned no access_token');
+  }
+
+  return tokenData;
+}
+
+/**
+ * Map an offline token response to Shop fields.
+ * Non-expiring tokens clear any previous expiry/refresh data.
+ */
+function offlineTokenFields(tokenData, now = Date.now()) {
+  return {
+    access_token: tokenData.access_token,
+    refresh_token: tokenData.refresh_token || null,
+    access_token_expires_at: tokenData.expires_in
+      ? new Date(now + tokenData.expires_in * 1000)
+      : null,
+    refresh_token_expires_at: tokenData.refresh_token_expires_in
+      ? new Date(now + tokenData.refresh_token_expires_in * 1000)
+      : null
+  };
+}
+
+module.exports = {
+  exchangeSessionToken,
+  refreshAccessToken,
+  offlineTokenFields,
+  TOKEN_TYPES
+};
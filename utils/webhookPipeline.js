@@ -0,0 +1,200 @@
+// utils/webhookPipeline.js
+// Persist-then-process pipeline for Shopify webhooks
+//
+// Deliveries are stored (deduped on X-Shopify-Webhook-Id) and acknowledged
+// straight away; topic handlers run afterwards with exponential-backoff
+// retries. Events that keep failing end up as `dead_letter`.
+
+const WebhookEvent = require('../models/WebhookEvent');
+const ShopModel = require('../models/Shop');
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+// Compliance requests name the customer (email, phone); events keep ids only
+const CUSTOMER_TOPICS = ['customers/data_request', 'customers/redact'];
+
+const handlers = new Map();
+let workerTimer = null;
+
+/**
+ * Register the handler for a webhook topic
+ * @param {string} topic - e.g. 'products/update'
+ * @param {function(object): Promise<any>} handler - Receives the WebhookEvent
+ */
+function registerWebhookHandler(topic, handler) {
+  handlers.set(topic, handler);
+}
+
+function retryDelay(attempt) {
+  return BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+}
+
+// What gets persisted for a delivery: customer PII never reaches the database
+function storedPayload(topic, body) {
+  if (!CUSTOMER_TOPICS.includes(topic)) {
+    return body;
+  }
+
+  const payload = body || {};
+  return {
+    shop_id: payload.shop_id,
+    shop_domain: payload.shop_domain,
+    customer: payload.customer ? { id: payload.customer.id } : undefined,
+    orders_requested: payload.orders_requested,
+    orders_to_redact: payload.orders_to_redact,
+    data_request: payload.data_request ? { id: payload.data_request.id } : undefined
+  };
+}
+
+/**
+ * Store a verified delivery. Returns { event, duplicate }.
+ */
+async function ingestWebhook(req) {
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+
+  if (!webhookId || !topic || !shop) {
+    throw new Error('Missing Shopify webhook headers');
+  }
+
+  try {
+    const event = await WebhookEvent.create({
+      webhook_id: webhookId,
+      topic,
+      shop,
+      api_version: req.get('X-Shopify-API-Version'),
+      triggered_at: req.get('X-Shopify-Triggered-At') ? new Date(req.get('X-Shopify-Triggered-At')) : undefined,
+      payload: storedPayload(topic, req.body),
+      status: handlers.has(topic) ? 'received' : 'skipped',
+      processed_at: handlers.has(topic) ? undefined : new Date()
+    });
+
+    if (handlers.has(topic)) {
+      await ShopModel.updateOne({ shop }, { $addToSet: { pending_webhooks: webhookId } });
+    } else {
+      console.warn(`[Webhook] No handler for ${topic}, stored as skipped`);
+    }
+
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      console.log(`[Webhook] Duplicate delivery ${webhookId} (${topic}) ignored`);
+      return { event: null, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+// Atomically take an event so only one instance runs it
+function claimEvent(filter) {
+  const now = new Date();
+  return WebhookEvent.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: { $in: ['received', 'retrying'] }, next_attempt_at: { $lte: now } },
+        { status: 'processing', locked_until: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'processing', locked_until: new Date(now.getTime() + PROCESSING_LEASE_MS) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { next_attempt_at: 1 } }
+  );
+}
+
+async function runEvent(event) {
+  const handler = handlers.get(event.topic);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for ${event.topic}`);
+    }
+
+    await handler(event);
+
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: 'processed', processed_at: new Date(), locked_until: null, last_error: null } }
+    );
+    await ShopModel.updateOne(
+      { shop: event.shop },
+      {
+        $pull: { pending_webhooks: event.webhook_id },
+        $set: { last_webhook_processed: new Date() }
+      }
+    );
+
+    console.log(`[Webhook] ✅ ${event.topic} processed for ${event.shop} (attempt ${event.attempts})`);
+  } catch (error) {
+    const deadLetter = event.attempts >= MAX_ATTEMPTS;
+
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          status: deadLetter ? 'dead_letter' : 'retrying',
+          next_attempt_at: new Date(Date.now() + retryDelay(event.attempts)),
+          locked_until: null,
+          last_error: error.message,
+          ...(deadLetter ? { dead_lettered_at: new Date() } : {})
+        },
+        $push: { errors_log: { attempt: event.attempts, message: error.message, at: new Date() } }
+      }
+    );
+
+    if (deadLetter) {
+      await ShopModel.updateOne({ shop: event.shop }, { $pull: { pending_webhooks: event.webhook_id } });
+      console.error(`[Webhook] ☠️ ${event.topic} for ${event.shop} moved to dead letter after ${event.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`[Webhook] ⚠️ ${event.topic} for ${event.shop} failed (attempt ${event.attempts}), will retry:`, error.message);
+    }
+  }
+}
+
+/**
+ * Process one stored event now (called right after the ack)
+ */
+async function processWebhookEvent(eventId) {
+  const event = await claimEvent({ _id: eventId });
+  if (event) {
+    await runEvent(event);
+  }
+}
+
+// Pick up retries and anything left behind by a restart
+async function processDueEvents() {
+  for (let i = 0; i < WORKER_BATCH_SIZE; i++) {
+    const event = await claimEvent({});
+    if (!event) break;
+    await runEvent(event);
+  }
+}
+
+function startWebhookWorker() {
+  if (workerTimer) return;
+
+  const tick = () => processDueEvents().catch(err => {
+    console.error('[Webhook] Worker error:', err.message);
+  });
+
+  workerTimer = setInterval(tick, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  tick();
+  console.log('[Webhook] Worker started');
+}
+
+module.exports = {
+  registerWebhookHandler,
+  ingestWebhook,
+  processWebhookEvent,
+  processDueEvents,
+  startWebhookWorker,
+  MAX_ATTEMPTS
+};